@@ -0,0 +1,33 @@
+// Relays fired dashboard alerts to the user's webhook.
+// POST /api/alerts  { webhook: "https://...", payload: { ... } }
+// Only hosts listed in ALERT_WEBHOOK_HOSTS are relayed to (any public host in
+// development); lib/notify.ts refuses targets that resolve to private addresses.
+
+import { WebhookError, alertWebhookAllowed, isAllowedWebhook, postWebhook } from "@/lib/notify";
+
+export async function POST(req: Request) {
+  let body: any;
+  try {
+    body = await req.json();
+  } catch {
+    return Response.json({ error: { code: 400, message: "Invalid JSON body" } }, { status: 400 });
+  }
+  const { webhook, payload } = body || {};
+  if (typeof webhook !== "string" || !isAllowedWebhook(webhook)) {
+    return Response.json({ error: { code: 400, message: "webhook must be an https URL" } }, { status: 400 });
+  }
+  if (!alertWebhookAllowed(webhook)) {
+    return Response.json({ error: { code: 403, message: "webhook host is not in ALERT_WEBHOOK_HOSTS" } }, { status: 403 });
+  }
+  if (!payload || typeof payload !== "object") {
+    return Response.json({ error: { code: 400, message: "payload object required" } }, { status: 400 });
+  }
+
+  try {
+    await postWebhook(webhook, payload);
+    return Response.json({ ok: true });
+  } catch (err) {
+    const status = err instanceof WebhookError ? err.status : 502;
+    return Response.json({ error: { code: status, message: err?.message || "Webhook delivery failed" } }, { status });
+  }
+}
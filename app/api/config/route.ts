@@ -0,0 +1,10 @@
+// Tells the dashboard whether a server-side Helius key is configured,
+// so it can hide the API key field. Never returns the key itself.
+
+import { serverKeyConfigured } from "@/lib/helius";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  return Response.json({ serverKey: serverKeyConfigured() });
+}
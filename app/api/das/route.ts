@@ -0,0 +1,31 @@
+// Server-side proxy for Helius DAS methods (getAssetsByOwner only, see lib/jsonrpc.ts).
+// Uses HELIUS_API_KEY when configured, otherwise the client's api-key param.
+
+import { heliusRpc, resolveHeliusKey } from "@/lib/helius";
+import { DAS_METHODS, rejectRpcBody } from "@/lib/jsonrpc";
+
+export async function POST(req: Request) {
+  const body = await req.text();
+  const rejected = rejectRpcBody(body, DAS_METHODS);
+  if (rejected) return rejected;
+  const apiKey = resolveHeliusKey(new URL(req.url).searchParams.get("api-key"));
+  if (!apiKey) {
+    return Response.json({ error: { code: 400, message: "api-key required (server has no HELIUS_API_KEY)" } }, { status: 400 });
+  }
+
+  let res: Response;
+  try {
+    res = await heliusRpc(body, apiKey);
+  } catch (err) {
+    return Response.json({ error: { code: 502, message: err?.message || "Helius request failed" } }, { status: 502 });
+  }
+  if (!res.ok) {
+    const status = res.status === 401 || res.status === 403 ? 401 : res.status === 429 ? 429 : 502;
+    const message = status === 401 ? "Invalid Helius API key" : `Helius error ${res.status}`;
+    return Response.json({ error: { code: status, message } }, { status });
+  }
+  if (!res.headers.get("content-type")?.includes("json")) {
+    return Response.json({ error: { code: 502, message: "Unexpected Helius response" } }, { status: 502 });
+  }
+  return Response.json(await res.json());
+}
@@ -0,0 +1,52 @@
+// Daily watchlist digest, triggered by the Vercel cron in vercel.json.
+// GET /api/digest[?preview=1]
+// Vercel sends "Authorization: Bearer $CRON_SECRET"; without CRON_SECRET the
+// route only runs outside production. `preview` returns the rendered digest
+// without delivering it or advancing the stored state.
+
+import {
+  buildDigest, checkDigestStateStore, deliverDigest, digestConfig, hasDeliveryTarget, loadDigestState, renderHtml, renderMarkdown, saveDigestState,
+} from "@/lib/digest";
+import { ApiError, errorJson } from "@/lib/wallet-api";
+
+export const maxDuration = 300;
+
+function authorized(req: Request): boolean {
+  const secret = process.env.CRON_SECRET?.trim();
+  if (!secret) return process.env.NODE_ENV !== "production";
+  return req.headers.get("authorization") === `Bearer ${secret}`;
+}
+
+export async function GET(req: Request) {
+  if (!authorized(req)) return errorJson(new ApiError("Unauthorized", 401));
+  const preview = new URL(req.url).searchParams.has("preview");
+  try {
+    const config = digestConfig();
+    if (!config.wallets.length) throw new ApiError("DIGEST_WALLETS is empty", 500);
+    if (!preview && !hasDeliveryTarget(config)) {
+      throw new ApiError("No delivery target (DIGEST_WEBHOOK, or SMTP_URL with DIGEST_EMAIL_TO)", 500);
+    }
+    if (!preview) checkDigestStateStore();
+
+    const digest = await buildDigest(config, await loadDigestState());
+    if (preview) {
+      const { state, ...rest } = digest;
+      return Response.json({ markdown: renderMarkdown(digest), html: renderHtml(digest), digest: rest }, { headers: { "Cache-Control": "no-store" } });
+    }
+
+    // Already delivered: a failed save is reported, not turned into an error
+    const { delivered, errors } = await deliverDigest(config, digest);
+    try { await saveDigestState(digest.state); }
+    catch (err) { errors.push(`state: ${err?.message || "save failed"}`); }
+    return Response.json({
+      ok: true,
+      at: new Date(digest.at).toISOString(),
+      wallets: digest.wallets.length,
+      failedWallets: digest.wallets.filter(w => w.error).map(w => w.address),
+      delivered,
+      errors,
+    }, { headers: { "Cache-Control": "no-store" } });
+  } catch (err) {
+    return errorJson(err);
+  }
+}
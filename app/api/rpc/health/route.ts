@@ -0,0 +1,10 @@
+// Reports recent latency, error rate and breaker state for each RPC upstream.
+// GET /api/rpc/health
+
+import { poolHealth } from "@/lib/rpc-pool";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  return Response.json(poolHealth(), { headers: { "Cache-Control": "no-store" } });
+}
@@ -1,33 +1,20 @@
-// Server-side proxy for official Solana RPC.
+// Server-side JSON-RPC proxy.
 // The public api.mainnet-beta.solana.com blocks browser fetch (403),
 // but server-to-server calls work fine.
-// Falls back to Helius if the official RPC returns an error.
+// Upstreams (official RPC, Helius, or our own nodes) come from the pool
+// config in lib/rpc-pool.ts; the one that answered is named in X-RPC-Upstream.
+// Only the read methods the dashboard uses are forwarded (lib/jsonrpc.ts).
 
-const SOLANA_RPC = "https://api.mainnet-beta.solana.com";
-const HELIUS_RPC = "https://mainnet.helius-rpc.com";
+import { RPC_METHODS, rejectRpcBody } from "@/lib/jsonrpc";
+import { rpcRequest } from "@/lib/rpc-pool";
 
 export async function POST(req: Request) {
   const body = await req.text();
+  const rejected = rejectRpcBody(body, RPC_METHODS);
+  if (rejected) return rejected;
   const apiKey = new URL(req.url).searchParams.get("api-key");
 
-  const headers = { "Content-Type": "application/json" };
-
-  // Try official Solana RPC first (server-side, no CORS restriction)
-  try {
-    const res = await fetch(SOLANA_RPC, { method: "POST", headers, body });
-    if (res.ok) {
-      const json = await res.json();
-      if (!json.error) {
-        return Response.json(json);
-      }
-    }
-  } catch {}
-
-  // Fall back to Helius
-  if (!apiKey) {
-    return Response.json({ error: { code: 400, message: "api-key required for fallback" } }, { status: 400 });
-  }
-  const res = await fetch(`${HELIUS_RPC}/?api-key=${apiKey}`, { method: "POST", headers, body });
-  const json = await res.json();
-  return Response.json(json, { status: res.ok ? 200 : res.status });
+  const { status, json, upstream } = await rpcRequest(body, apiKey);
+  const headers = upstream ? { "X-RPC-Upstream": upstream } : undefined;
+  return Response.json(json, { status, headers });
 }
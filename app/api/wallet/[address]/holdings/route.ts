@@ -0,0 +1,18 @@
+// Current SOL, fungible tokens and NFTs via getBalance + Helius DAS.
+// Cached for a short TTL (see lib/wallet-api).
+// GET /api/wallet/<address>/holdings[?api-key=...]
+
+import { cachedJson, errorJson, parseWalletQuery, walletHoldings } from "@/lib/wallet-api";
+
+export const maxDuration = 60;
+
+export async function GET(req: Request, { params }: { params: Promise<{ address: string }> }) {
+  const { address } = await params;
+  try {
+    const q = parseWalletQuery(req, address);
+    const { holdings, fetchedAt } = await walletHoldings(q);
+    return cachedJson({ address, asOf: new Date(fetchedAt).toISOString(), ...holdings }, fetchedAt);
+  } catch (err) {
+    return errorJson(err);
+  }
+}
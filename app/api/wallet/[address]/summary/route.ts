@@ -0,0 +1,33 @@
+// Wallet totals, daily series and counterparties from the same analyze() the
+// dashboard runs. Responses are cached for a short TTL (see lib/wallet-api).
+// GET /api/wallet/<address>/summary?days=15&tz=UTC[&api-key=...]
+
+import { cachedJson, errorJson, parseWalletQuery, walletAnalysis } from "@/lib/wallet-api";
+
+export const maxDuration = 60;
+
+export async function GET(req: Request, { params }: { params: Promise<{ address: string }> }) {
+  const { address } = await params;
+  try {
+    const q = parseWalletQuery(req, address);
+    const { result: r, truncated, fetchedAt } = await walletAnalysis(q);
+    return cachedJson({
+      address, days: r.days, tz: q.tz, truncated,
+      asOf: new Date(r.asOf).toISOString(),
+      from: r.dailyData[0]?.date ?? null,
+      to: r.dailyData[r.dailyData.length - 1]?.date ?? null,
+      totals: {
+        incoming: r.totalIn, outgoing: r.totalOut, net: r.totalIn - r.totalOut,
+        incomingUsd: r.totalInUsd, outgoingUsd: r.totalOutUsd, priced: r.priced,
+        txCount: r.totalTx, uniqueWallets: r.uniqueWallets, tokens: r.totalTokens,
+      },
+      fees: r.fees,
+      daily: r.dailyData,
+      counterparties: r.allCounterparties,
+      txTypes: r.txTypes,
+      txSources: r.txSources,
+    }, fetchedAt);
+  } catch (err) {
+    return errorJson(err);
+  }
+}
@@ -0,0 +1,25 @@
+// Server-side transaction fetch: pages through Helius enhanced transactions
+// for one wallet so the API key stays on the server.
+// GET /api/wallet/<address>/transactions?days=15[&until=<signature>][&api-key=...]
+// `until` returns only transactions newer than that signature (cache resume).
+// Responds { transactions, truncated }; `truncated` means the page cap or time
+// budget ran out before the lookback did, so the oldest transaction returned
+// is as far back as the result goes.
+
+import { fetchTransactions } from "@/lib/helius";
+import { errorJson, parseWalletQuery } from "@/lib/wallet-api";
+
+// Long lookbacks page through many Helius responses
+export const maxDuration = 60;
+
+export async function GET(req: Request, { params }: { params: Promise<{ address: string }> }) {
+  const { address } = await params;
+  try {
+    const q = parseWalletQuery(req, address);
+    const until = new URL(req.url).searchParams.get("until");
+    const { txs, truncated } = await fetchTransactions(q.address, q.apiKey, { days: q.days, until });
+    return Response.json({ transactions: txs, truncated });
+  } catch (err) {
+    return errorJson(err);
+  }
+}
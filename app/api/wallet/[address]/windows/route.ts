@@ -0,0 +1,30 @@
+// Rolling 1h/6h/24h windows (compWin) plus the hour-of-day trend over a range,
+// all measured at fetch time. Cached for a short TTL (see lib/wallet-api).
+// GET /api/wallet/<address>/windows?days=15&tz=UTC&range=24h|<fromISO>/<toISO>[&api-key=...]
+
+import { RANGE_DEFAULT, compHourlyTrend, compWin, parseRange, rangeParam, resolveRange } from "@/lib/analysis";
+import { EXPORT_WINDOWS } from "@/lib/export";
+import { ApiError, cachedJson, errorJson, parseWalletQuery, walletAnalysis } from "@/lib/wallet-api";
+
+export const maxDuration = 60;
+
+export async function GET(req: Request, { params }: { params: Promise<{ address: string }> }) {
+  const { address } = await params;
+  try {
+    const q = parseWalletQuery(req, address);
+    const rangeRaw = new URL(req.url).searchParams.get("range") || RANGE_DEFAULT;
+    const range = parseRange(rangeRaw);
+    if (range.preset && range.preset !== rangeRaw) throw new ApiError(`Invalid range "${rangeRaw}"`, 400);
+
+    const { result: r, truncated, fetchedAt } = await walletAnalysis(q);
+    const { from, to } = resolveRange(range, r.asOf);
+    return cachedJson({
+      address, days: r.days, tz: q.tz, truncated,
+      asOf: new Date(r.asOf).toISOString(),
+      windows: Object.fromEntries(EXPORT_WINDOWS.map(([name, ms]) => [name, compWin(r.rawEvents, ms, r.asOf)])),
+      hourly: { range: rangeParam(range), ...compHourlyTrend(r.rawEvents, from, to, r.tz) },
+    }, fetchedAt);
+  } catch (err) {
+    return errorJson(err);
+  }
+}
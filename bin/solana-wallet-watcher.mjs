@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+// Runs the TypeScript CLI through tsx with the repo's tsconfig, so the @/
+// path alias resolves from any working directory
+import { spawnSync } from "child_process";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+const here = (p) => fileURLToPath(new URL(p, import.meta.url));
+const tsx = createRequire(import.meta.url).resolve("tsx/cli");
+const { status } = spawnSync(process.execPath, [
+  tsx, "--tsconfig", here("../tsconfig.json"), here("../cli/solana-wallet-watcher.ts"), ...process.argv.slice(2),
+], { stdio: "inherit" });
+process.exit(status ?? 1);
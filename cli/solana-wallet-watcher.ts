@@ -0,0 +1,282 @@
+// Command-line wallet analysis on the same lib/ code the dashboard uses, so
+// both report the same numbers for the same transactions, lookback and zone.
+//
+//   solana-wallet-watcher analyze <address...> [--days 30] [--format json|table|csv]
+//   solana-wallet-watcher fetch <address...> [--days 30] > txs.json
+//
+// Transactions come from Helius (--api-key or HELIUS_API_KEY) or, with
+// --input, from a local JSON file: an array of Helius transactions, an
+// { address: transactions } map (what `fetch` writes) or a dashboard snapshot.
+
+import { readFileSync, writeFileSync } from "fs";
+import { parseArgs } from "util";
+import {
+  DEFAULT_DAYS, MAX_DAYS, analyze, compRange, compHourlyTrend, mergeTxs, parseRange, rangeParam,
+  resolveRange, short, type AnalysisResult, type HeliusTx, type Range,
+} from "@/lib/analysis";
+import { EXPORTS, toCsv, exportMeta, type ExportColumn } from "@/lib/export";
+import { fetchTransactions, resolveHeliusKey } from "@/lib/helius";
+import { sumHoldings, type Holdings } from "@/lib/holdings";
+import { TZ_DEFAULT, isTz, tzName } from "@/lib/time";
+import { heliusHoldings } from "@/lib/wallet-api";
+
+const USAGE = `Usage:
+  solana-wallet-watcher analyze <address...> [options]
+  solana-wallet-watcher fetch <address...> [--days N] [--out FILE]
+
+Options:
+  --days N        Lookback in days (default ${DEFAULT_DAYS}, max ${MAX_DAYS})
+  --format F      table | json | csv (default table)
+  --dataset D     CSV dataset: ${Object.keys(EXPORTS).join(" | ")} (default daily)
+  --input FILE    Read transactions from FILE instead of Helius
+  --tz ZONE       local | UTC | IANA zone for daily/hourly buckets (default local)
+  --range R       Window: 1h | 6h | 24h | 3d | 7d | <fromISO>/<toISO> (default 24h)
+  --now ISO       Reference time for buckets and windows (default now,
+                  or the snapshot's fetch time with a snapshot --input)
+  --group         Analyze all addresses as one wallet (internal transfers net out)
+  --holdings      Include current holdings (needs an API key)
+  --api-key KEY   Helius API key (default $HELIUS_API_KEY)
+  --out FILE      Write output to FILE instead of stdout
+`;
+
+class UsageError extends Error {}
+
+interface Source {
+  byAddress: Map<string, HeliusTx[]>;
+  // Plain array input: the same transactions for every address
+  shared: HeliusTx[] | null;
+  now: number | null;
+  days: number | null;
+  tz: string | null;
+}
+
+interface Report {
+  address: string;
+  result: AnalysisResult;
+  holdings: Holdings | null;
+}
+
+function parseCli(argv: string[]) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      days: { type: "string" },
+      format: { type: "string", default: "table" },
+      dataset: { type: "string", default: "daily" },
+      input: { type: "string" },
+      tz: { type: "string" },
+      range: { type: "string", default: "24h" },
+      now: { type: "string" },
+      group: { type: "boolean", default: false },
+      holdings: { type: "boolean", default: false },
+      "api-key": { type: "string" },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  const [command, ...addresses] = positionals;
+  return { command, addresses, opts: values };
+}
+
+function parseDays(v: string | undefined, fallback: number): number {
+  if (v == null) return fallback;
+  const n = parseInt(v, 10);
+  if (!Number.isFinite(n) || n < 1) throw new UsageError(`--days must be a positive integer (got "${v}")`);
+  return Math.min(n, MAX_DAYS);
+}
+
+function readSource(file: string): Source {
+  let raw: any;
+  try { raw = JSON.parse(readFileSync(file, "utf8")); }
+  catch (err) { throw new Error(`Could not read ${file}: ${err?.message}`); }
+  const src: Source = { byAddress: new Map(), shared: null, now: null, days: null, tz: null };
+  if (Array.isArray(raw)) {
+    src.shared = raw;
+  } else if (Array.isArray(raw?.wallets)) {
+    // Dashboard snapshot: replay at its fetch time with its settings
+    for (const w of raw.wallets) if (w?.address && Array.isArray(w.txs)) src.byAddress.set(w.address, w.txs);
+    const at = Date.parse(raw.fetchedAt);
+    src.now = Number.isNaN(at) ? null : at;
+    src.days = Number.isFinite(raw.settings?.days) ? raw.settings.days : null;
+    src.tz = raw.settings?.tz && isTz(raw.settings.tz) ? raw.settings.tz : null;
+  } else if (raw && typeof raw === "object") {
+    for (const [address, txs] of Object.entries(raw)) if (Array.isArray(txs)) src.byAddress.set(address, txs as HeliusTx[]);
+  } else {
+    throw new Error(`${file} is not a transaction array, address map or snapshot`);
+  }
+  return src;
+}
+
+function txsFor(src: Source, address: string): HeliusTx[] {
+  const txs = src.shared || src.byAddress.get(address);
+  if (!txs) throw new Error(`No transactions for ${address} in the input file`);
+  return txs;
+}
+
+function requireKey(flag: string | undefined): string {
+  const key = resolveHeliusKey(flag);
+  if (!key) throw new UsageError("A Helius API key is required (--api-key or HELIUS_API_KEY)");
+  return key;
+}
+
+const num = (v: number, d = 4) => (v ?? 0).toFixed(d);
+const signed = (v: number, d = 4) => `${v >= 0 ? "+" : ""}${num(v, d)}`;
+
+// Fixed-width text table; numeric columns are right-aligned
+function table(head: string[], rows: (string | number)[][]): string {
+  const cells = [head, ...rows.map(r => r.map(String))];
+  const w = head.map((_, i) => Math.max(...cells.map(r => r[i].length)));
+  const right = head.map((_, i) => rows.length > 0 && rows.every(r => typeof r[i] === "number" || /^[+-]?\d[\d.,]*$/.test(String(r[i]))));
+  return cells.map(r => r.map((c, i) => right[i] ? c.padStart(w[i]) : c.padEnd(w[i])).join("  ").trimEnd()).join("\n");
+}
+
+function windowOf(r: AnalysisResult, range: Range) {
+  const { from, to } = resolveRange(range, r.asOf);
+  return {
+    win: compRange(r.rawEvents, from, to),
+    trend: compHourlyTrend(r.rawEvents, from, to, r.tz),
+  };
+}
+
+function asJson(reports: Report[], range: Range): string {
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    range: rangeParam(range),
+    wallets: reports.map(({ address, result: r, holdings }) => {
+      const { win, trend } = windowOf(r, range);
+      return {
+        ...exportMeta(address, r),
+        asOf: new Date(r.asOf).toISOString(),
+        summary: {
+          totalIn: r.totalIn, totalOut: r.totalOut, net: r.totalIn - r.totalOut,
+          totalTx: r.totalTx, uniqueWallets: r.uniqueWallets, totalTokens: r.totalTokens,
+        },
+        fees: r.fees,
+        window: { ...win, from: new Date(win.from).toISOString(), to: new Date(win.to).toISOString() },
+        hourly: { peakHour: trend.peakHour.label, quietHour: trend.quietHour.label, byHour: trend.byHour },
+        daily: r.dailyData,
+        counterparties: EXPORTS.counterparties.rows(r),
+        txTypes: r.txTypes,
+        ...(holdings ? { holdings } : {}),
+      };
+    }),
+  }, null, 2) + "\n";
+}
+
+// One CSV for every wallet, with a leading wallet column
+function asCsv(reports: Report[], dataset: string): string {
+  const ds = EXPORTS[dataset];
+  if (!ds) throw new UsageError(`Unknown --dataset "${dataset}" (${Object.keys(EXPORTS).join(", ")})`);
+  const cols: ExportColumn[] = [
+    ["wallet", x => x.wallet],
+    ...ds.cols.map((c): ExportColumn => Array.isArray(c) ? [c[0], x => c[1](x.row)] : [c, x => x.row[c]]),
+  ];
+  const rows = reports.flatMap(({ address, result, holdings }) => ds.rows(result, holdings).map(row => ({ wallet: address, row })));
+  return toCsv(rows, cols);
+}
+
+function asTable(reports: Report[], range: Range): string {
+  return reports.map(({ address, result: r, holdings }) => {
+    const { win, trend } = windowOf(r, range);
+    const label = range.preset ? `last ${range.preset}` : `${new Date(win.from).toISOString()} → ${new Date(win.to).toISOString()}`;
+    const out = [
+      `== ${address} · ${r.days}d · ${tzName(r.tz)} · as of ${new Date(r.asOf).toISOString()}`,
+      `In ${num(r.totalIn)} SOL · Out ${num(r.totalOut)} SOL · Net ${signed(r.totalIn - r.totalOut)} SOL · ${r.totalTx} txs · ${r.uniqueWallets} wallets · fees ${num(r.fees.total, 6)} SOL`,
+      `Window ${label}: in ${num(win.incoming)} · out ${num(win.outgoing)} · net ${signed(win.net)} · ${win.txCount} events · ${win.walletCount} wallets`,
+      `Peak hour ${trend.peakHour.label} (${trend.peakHour.count}) · quietest ${trend.quietHour.label} (${trend.quietHour.count})`,
+      "",
+      table(["DATE", "IN", "OUT", "NET", "TXS", "FEES"], r.dailyData.map(d => [d.date, num(d.incoming), num(d.outgoing), signed(d.incoming - d.outgoing), d.txCount, num(d.fees, 6)])),
+    ];
+    if (r.counterparties.length) {
+      out.push("", table(["COUNTERPARTY", "TXS", "IN", "OUT", "DAYS"],
+        r.counterparties.slice(0, 10).map(c => [short(c.address), c.count, num(c.incomingSol), num(c.outgoingSol), c.activeDays])));
+    }
+    if (holdings) {
+      out.push("", `Holdings: ${num(holdings.sol)} SOL · ${holdings.tokens.length} tokens · ${holdings.nfts.length} NFTs${holdings.truncated ? " (truncated)" : ""}`);
+    }
+    return out.join("\n") + "\n";
+  }).join("\n");
+}
+
+// No route deadline here, so only the page cap can cut a fetch short
+async function fetchAll(address: string, key: string, days: number): Promise<HeliusTx[]> {
+  const { txs, truncated } = await fetchTransactions(address, key, { days, budgetMs: Infinity });
+  if (truncated) {
+    const oldest = txs.length ? new Date(txs[txs.length - 1].timestamp * 1000).toISOString() : "n/a";
+    process.stderr.write(`  page cap reached: only transactions back to ${oldest} were fetched\n`);
+  }
+  return txs;
+}
+
+async function runFetch(addresses: string[], opts: ReturnType<typeof parseCli>["opts"]): Promise<string> {
+  if (!addresses.length) throw new UsageError("fetch needs at least one address");
+  const key = requireKey(opts["api-key"]);
+  const days = parseDays(opts.days, DEFAULT_DAYS);
+  const out: Record<string, HeliusTx[]> = {};
+  for (const address of addresses) {
+    process.stderr.write(`Fetching ${days} days for ${address}…\n`);
+    out[address] = await fetchAll(address, key, days);
+    process.stderr.write(`  ${out[address].length} transactions\n`);
+  }
+  return JSON.stringify(out) + "\n";
+}
+
+async function runAnalyze(addresses: string[], opts: ReturnType<typeof parseCli>["opts"]): Promise<string> {
+  const src = opts.input ? readSource(opts.input) : null;
+  const list = addresses.length ? addresses : src ? [...src.byAddress.keys()] : [];
+  if (!list.length) throw new UsageError("analyze needs at least one address (or an --input file that names them)");
+
+  const days = parseDays(opts.days, src?.days ?? DEFAULT_DAYS);
+  const tz = opts.tz ?? src?.tz ?? TZ_DEFAULT;
+  if (!isTz(tz)) throw new UsageError(`Unknown time zone "${tz}"`);
+  const range = parseRange(opts.range);
+  if (range.preset && range.preset !== opts.range) throw new UsageError(`Invalid --range "${opts.range}"`);
+  let now = src?.now ?? Date.now();
+  if (opts.now) {
+    now = Date.parse(opts.now);
+    if (Number.isNaN(now)) throw new UsageError(`Invalid --now "${opts.now}"`);
+  }
+  if (!["table", "json", "csv"].includes(opts.format)) throw new UsageError(`Unknown --format "${opts.format}"`);
+
+  const key = !src || opts.holdings ? requireKey(opts["api-key"]) : null;
+  const txs: HeliusTx[][] = [];
+  for (const address of list) {
+    if (src) { txs.push(txsFor(src, address)); continue; }
+    process.stderr.write(`Fetching ${days} days for ${address}…\n`);
+    txs.push(await fetchAll(address, key, days));
+  }
+  const holdings = opts.holdings ? await Promise.all(list.map(a => heliusHoldings(a, key))) : null;
+
+  const reports: Report[] = opts.group && list.length > 1
+    ? [{
+      address: list.join(","),
+      result: analyze(new Set(list), mergeTxs(...txs), days, { now, tz }),
+      holdings: holdings ? sumHoldings(holdings) : null,
+    }]
+    : list.map((address, i) => ({ address, result: analyze(address, txs[i], days, { now, tz }), holdings: holdings?.[i] ?? null }));
+
+  if (opts.format === "json") return asJson(reports, range);
+  if (opts.format === "csv") return asCsv(reports, opts.dataset);
+  return asTable(reports, range);
+}
+
+async function main() {
+  const { command, addresses, opts } = parseCli(process.argv.slice(2));
+  if (opts.help || !command) { process.stdout.write(USAGE); return; }
+  let text: string;
+  if (command === "analyze") text = await runAnalyze(addresses, opts);
+  else if (command === "fetch") text = await runFetch(addresses, opts);
+  else throw new UsageError(`Unknown command "${command}"`);
+  if (opts.out) writeFileSync(opts.out, text);
+  else process.stdout.write(text);
+}
+
+main().catch(err => {
+  if (err instanceof UsageError || err?.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") {
+    process.stderr.write(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  process.stderr.write(`error: ${err?.message || err}\n`);
+  process.exit(1);
+});
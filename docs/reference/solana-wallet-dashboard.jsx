@@ -1,18 +1,32 @@
 "use client";
-import { useState, useCallback, useMemo, useEffect, useRef } from "react";
+import { useState, useCallback, useMemo, useEffect, useRef, createContext, useContext } from "react";
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid,
-  Tooltip, Legend, ResponsiveContainer, Area, AreaChart, Cell
+  Tooltip, Legend, ResponsiveContainer, Area, AreaChart, Cell, Brush
 } from "recharts";
-
-const LAMPORTS = 1_000_000_000;
-const HELIUS = "https://api.helius.xyz/v0/addresses";
-const HELIUS_RPC = "https://mainnet.helius-rpc.com";
-
-// Standard RPC (getBalance, etc.): routed through /api/rpc which tries official Solana RPC
-// first server-side, then falls back to Helius. Avoids the browser 403 on api.mainnet-beta.solana.com.
+import {
+  LAMPORTS, DEFAULT_DAYS, MAX_DAYS, BASE_FEE_LAMPORTS, short, mergeTxs, analyze, createAnalyzer, txRecords, feeStats,
+  RANGE_PRESETS, RANGE_DEFAULT, parseRange, rangeParam, resolveRange, compWin, compRange, compHourlyTrend,
+} from "@/lib/analysis";
+import { fetchHoldings as fetchDasHoldings, sumHoldings } from "@/lib/holdings";
+import { EXPORTS, toCsv, exportMeta } from "@/lib/export";
+import { DAY_MS, TZ_DEFAULT, tzOpt, isTz, tzName, tzList, dayKey, toWall, fromWall, shiftDay } from "@/lib/time";
+
+// Lookback options (days) for fetching and daily aggregation
+const LOOKBACK_OPTIONS = [7, 15, 30, 90, 365];
+
+// Live mode: poll interval and how many transfers the live feed keeps
+const LIVE_POLL_MS = 15_000;
+const LIVE_FEED_MAX = 50;
+
+// All Helius access goes through our API routes. The server uses its own HELIUS_API_KEY
+// when configured; otherwise the user's key is forwarded as ?api-key=.
+const withKey = (path, apiKey) => apiKey ? `${path}${path.includes("?") ? "&" : "?"}api-key=${encodeURIComponent(apiKey)}` : path;
+
+// Standard RPC (getBalance, etc.): routed through /api/rpc, which tries the configured upstream
+// pool server-side (official Solana RPC, then Helius by default). Avoids the browser 403 on api.mainnet-beta.solana.com.
 async function rpcCall(method, params, apiKey) {
-  const res = await fetch(`/api/rpc?api-key=${apiKey}`, {
+  const res = await fetch(withKey("/api/rpc", apiKey), {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({ jsonrpc: "2.0", id: method, method, params }),
@@ -21,9 +35,9 @@ async function rpcCall(method, params, apiKey) {
   return res.json();
 }
 
-// DAS methods (getAssetsByOwner) are Helius-only — call Helius directly.
+// DAS methods (getAssetsByOwner) are Helius-only — proxied through /api/das.
 async function rpcHelius(method, params, apiKey) {
-  const res = await fetch(`${HELIUS_RPC}/?api-key=${apiKey}`, {
+  const res = await fetch(withKey("/api/das", apiKey), {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({ jsonrpc: "2.0", id: method, method, params }),
@@ -34,9 +48,17 @@ async function rpcHelius(method, params, apiKey) {
 
 // ─── Utility ────────────────────────────────────────────────────────────────
 
-const short = (a) => a ? a.slice(0, 4) + "…" + a.slice(-4) : "";
-const fmtD = (d) => { const x = new Date(d); return `${x.getMonth() + 1}/${x.getDate()}`; };
-const fmtT = (ts) => new Date(ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+// Day keys are already in the selected zone, so fmtD only reshapes the string
+const fmtD = (d) => { const [, m, day] = d.split("-"); return `${+m}/${+day}`; };
+const fmtT = (ts, tz = TZ_DEFAULT) => new Date(ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", timeZone: tzOpt(tz) });
+const fmtDT = (ts, tz = TZ_DEFAULT, opts = {}) => new Date(ts).toLocaleString(undefined, { ...opts, timeZone: tzOpt(tz) });
+const fmtUsd = (v) => "$" + (v ?? 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// ─── Time Zone ──────────────────────────────────────────────────────────────
+
+// Zone helpers live in lib/time.ts; components read the selected zone here
+const TzCtx = createContext(TZ_DEFAULT);
+const useTz = () => useContext(TzCtx);
 
 // ─── Storage: URL params > localStorage ─────────────────────────────────────
 
@@ -58,6 +80,19 @@ function persist(storageKey, value) {
   try { localStorage.setItem(storageKey, value); } catch {}
 }
 
+function loadJson(storageKey, fallback) {
+  try {
+    const v = localStorage.getItem(storageKey);
+    return v ? JSON.parse(v) : fallback;
+  } catch { return fallback; }
+}
+
+// Parses a lookback value from URL/localStorage, falling back to the default
+function parseDays(v) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= 1 ? Math.min(n, MAX_DAYS) : DEFAULT_DAYS;
+}
+
 function updateUrlParam(key, value) {
   try {
     const url = new URL(window.location.href);
@@ -69,262 +104,919 @@ function updateUrlParam(key, value) {
 
 // ─── Helius Fetch ───────────────────────────────────────────────────────────
 
-async function fetchTxs(wallet, apiKey, onProgress) {
-  const cutoff = Date.now() - 15 * 24 * 60 * 60 * 1000;
-  const all = [];
-  let before = null, page = 0;
-  while (true) {
-    page++;
-    onProgress?.(`Fetching page ${page}…`);
-    let url = `${HELIUS}/${wallet}/transactions?api-key=${apiKey}&limit=100`;
-    if (before) url += `&before=${before}`;
-    const res = await fetch(url);
-    if (!res.ok) {
-      if (res.status === 401 || res.status === 403) throw new Error("Invalid Helius API key");
-      throw new Error(`Helius error ${res.status}`);
-    }
-    const txs = await res.json();
-    if (!txs?.length) break;
-    let done = false;
-    for (const tx of txs) {
-      if (tx.timestamp * 1000 < cutoff) { done = true; break; }
-      all.push(tx);
-    }
-    if (done || txs.length < 100) break;
-    before = txs[txs.length - 1].signature;
-    await new Promise(r => setTimeout(r, 200));
-    if (page > 20) break;
+// Pagination happens server-side in /api/wallet/[address]/transactions.
+// With `until`, only transactions newer than that signature are returned.
+// `truncated` means the server's page cap or time budget ran out first.
+async function fetchTxs(wallet, apiKey, onProgress, days = DEFAULT_DAYS, until = null) {
+  onProgress?.(until ? "Fetching new transactions…" : `Fetching ${days} days of transactions…`);
+  let path = `/api/wallet/${encodeURIComponent(wallet)}/transactions?days=${days}`;
+  if (until) path += `&until=${encodeURIComponent(until)}`;
+  const res = await fetch(withKey(path, apiKey));
+  if (!res.ok) {
+    const json = await res.json().catch(() => null);
+    throw new Error(json?.error?.message || `Helius error ${res.status}`);
   }
-  onProgress?.(`${all.length} transactions loaded.`);
-  return all;
-}
-
-async function fetchHoldings(wallet, apiKey) {
-  // getBalance: proxied via /api/rpc → tries official Solana RPC, falls back to Helius
-  // getAssetsByOwner: Helius DAS API only (not on official RPC)
-  const [balJson, assetsJson] = await Promise.all([
-    rpcCall("getBalance", [wallet], apiKey),
-    rpcHelius("getAssetsByOwner", {
-      ownerAddress: wallet,
-      displayOptions: { showFungible: true, showNativeBalance: false },
-      page: 1,
-      limit: 1000,
-    }, apiKey),
+  const { transactions, truncated } = await res.json();
+  onProgress?.(`${transactions.length} transactions loaded${truncated ? " (fetch limit reached)" : ""}.`);
+  return { txs: transactions, truncated };
+}
+
+// ─── Transaction Cache (IndexedDB) ──────────────────────────────────────────
+// Helius transactions per wallet, keyed by [wallet, signature], plus a meta
+// record with the newest cached signature and how far back the cache reaches.
+// Wallets not refreshed for TX_CACHE_MAX_AGE are evicted, and only the
+// TX_CACHE_MAX_WALLETS most recently refreshed are kept.
+
+const TX_DB = "sol-dash-cache";
+const TX_CACHE_MAX_AGE = 14 * DAY_MS;
+const TX_CACHE_MAX_WALLETS = 50;
+
+function idbReq(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+let txDbPromise = null;
+function openTxDb() {
+  if (!txDbPromise) {
+    txDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+      const req = indexedDB.open(TX_DB, 1);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        const txs = db.createObjectStore("txs", { keyPath: ["wallet", "signature"] });
+        txs.createIndex("wallet", "wallet");
+        db.createObjectStore("meta", { keyPath: "wallet" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch(err => { txDbPromise = null; throw err; });
+  }
+  return txDbPromise;
+}
+
+async function readTxCache(wallet) {
+  const db = await openTxDb();
+  const t = db.transaction(["txs", "meta"], "readonly");
+  const [rows, meta] = await Promise.all([
+    idbReq(t.objectStore("txs").index("wallet").getAll(wallet)),
+    idbReq(t.objectStore("meta").get(wallet)),
   ]);
+  return { txs: rows.map(r => r.tx), meta: meta || null };
+}
+
+// All of one wallet's rows: the primary key is [wallet, signature] and
+// arrays sort after strings, so [wallet, []] bounds every signature
+const walletRows = (wallet) => IDBKeyRange.bound([wallet], [wallet, []]);
+
+// `replace` drops the wallet's older rows first (the new rows don't continue them)
+async function writeTxCache(wallet, txs, meta, replace = false) {
+  const db = await openTxDb();
+  const t = db.transaction(["txs", "meta"], "readwrite");
+  const store = t.objectStore("txs");
+  if (replace) store.delete(walletRows(wallet));
+  for (const tx of txs) store.put({ wallet, signature: tx.signature, timestamp: tx.timestamp, tx });
+  t.objectStore("meta").put({ wallet, ...meta });
+  await new Promise((resolve, reject) => {
+    t.oncomplete = resolve;
+    t.onerror = () => reject(t.error);
+  });
+}
+
+async function pruneTxCache() {
+  const db = await openTxDb();
+  const t = db.transaction(["txs", "meta"], "readwrite");
+  const metas = await idbReq(t.objectStore("meta").getAll());
+  const minUpdated = Date.now() - TX_CACHE_MAX_AGE;
+  const stale = metas
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+    .filter((m, i) => i >= TX_CACHE_MAX_WALLETS || (m.updatedAt || 0) < minUpdated);
+  for (const m of stale) {
+    t.objectStore("txs").delete(walletRows(m.wallet));
+    t.objectStore("meta").delete(m.wallet);
+  }
+  await new Promise((resolve, reject) => {
+    t.oncomplete = resolve;
+    t.onerror = () => reject(t.error);
+  });
+}
 
-  const sol = (balJson.result?.value ?? 0) / LAMPORTS;
+async function clearTxCache() {
+  const db = await openTxDb();
+  const t = db.transaction(["txs", "meta"], "readwrite");
+  t.objectStore("txs").clear();
+  t.objectStore("meta").clear();
+  await new Promise((resolve, reject) => {
+    t.oncomplete = resolve;
+    t.onerror = () => reject(t.error);
+  });
+}
+
+// fetchTxs backed by the cache: when the cache already covers the lookback,
+// only transactions newer than the newest cached signature are fetched.
+// A fetch cut short by the server's page cap only covers back to its oldest
+// transaction, so that (not the cutoff) is recorded as coveredFrom; a cut-short
+// resume leaves a gap, so the older cached rows are dropped.
+// Falls back to a plain fetch when IndexedDB is unavailable.
+async function fetchTxsCached(wallet, apiKey, onProgress, days = DEFAULT_DAYS) {
+  const cutoff = Date.now() - days * DAY_MS;
+  let cached = null;
+  try { cached = await readTxCache(wallet); } catch {}
+
+  const warm = cached?.meta && cached.meta.coveredFrom <= cutoff && cached.meta.newestSignature;
+  let fresh, truncated;
+  if (warm) {
+    onProgress?.(`${cached.txs.length} cached, checking for new…`);
+    ({ txs: fresh, truncated } = await fetchTxs(wallet, apiKey, null, days, cached.meta.newestSignature));
+  } else {
+    ({ txs: fresh, truncated } = await fetchTxs(wallet, apiKey, onProgress, days));
+  }
+
+  const resumed = warm && !truncated;
+  const merged = mergeTxs(fresh, resumed ? cached.txs : []);
+  try {
+    if (merged.length) {
+      await writeTxCache(wallet, fresh, {
+        newestSignature: merged[0].signature,
+        newestTs: merged[0].timestamp * 1000,
+        coveredFrom: resumed ? cached.meta.coveredFrom : truncated ? merged[merged.length - 1].timestamp * 1000 : cutoff,
+        updatedAt: Date.now(),
+      }, !resumed);
+    }
+    await pruneTxCache();
+  } catch {}
 
-  const tokens = (assetsJson.result?.items || [])
-    .filter(a =>
-      (a.interface === "FungibleToken" || a.interface === "FungibleAsset") &&
-      a.token_info?.balance > 0
-    )
-    .map(a => ({
-      mint: a.id,
-      name: a.content?.metadata?.name || "Unknown",
-      symbol: a.content?.metadata?.symbol || short(a.id),
-      balance: a.token_info.balance,
-      decimals: a.token_info.decimals ?? 0,
-      displayBalance: a.token_info.balance / Math.pow(10, a.token_info.decimals ?? 0),
-    }))
-    .sort((a, b) => b.displayBalance - a.displayBalance);
+  const inWindow = merged.filter(tx => tx.timestamp * 1000 >= cutoff);
+  const note = truncated ? " (fetch limit reached, older history not loaded)" : "";
+  onProgress?.(resumed ? `${inWindow.length} transactions (${fresh.length} new).` : `${inWindow.length} transactions loaded${note}.`);
+  return inWindow;
+}
+
+// Whether the server has its own HELIUS_API_KEY (then the key field is hidden)
+async function fetchServerConfig() {
+  try {
+    const res = await fetch("/api/config");
+    if (!res.ok) return { serverKey: false };
+    return await res.json();
+  } catch { return { serverKey: false }; }
+}
 
-  return { sol, tokens };
+// Holdings through our API routes (see lib/holdings.ts)
+const fetchHoldings = (wallet, apiKey, onProgress) => fetchDasHoldings(wallet, {
+  rpc: (method, params) => rpcCall(method, params, apiKey),
+  das: (method, params) => rpcHelius(method, params, apiKey),
+}, onProgress);
+
+// NFTs grouped by collection, largest collection first
+function groupNfts(nfts) {
+  const groups = {};
+  for (const n of nfts || []) {
+    const k = n.collection || "";
+    if (!groups[k]) groups[k] = { collection: n.collection, name: n.collectionName || (n.collection ? short(n.collection) : "Uncollected"), items: [] };
+    groups[k].items.push(n);
+  }
+  return Object.values(groups).sort((a, b) => (!a.collection) - (!b.collection) || b.items.length - a.items.length);
 }
 
 // ─── Analysis ───────────────────────────────────────────────────────────────
 
-function analyze(wallet, txs) {
-  const dMap = {}, cpMap = {}, raw = [];
+// analyze(), the window / hourly aggregates and txRecords() live in
+// lib/analysis.ts (shared with the CLI); below are view-only projections.
 
-  // Initialize 15 daily buckets
-  for (let i = 14; i >= 0; i--) {
-    const d = new Date(); d.setHours(0, 0, 0, 0); d.setDate(d.getDate() - i);
-    const k = d.toISOString().slice(0, 10);
-    dMap[k] = { date: k, incoming: 0, outgoing: 0, txCount: 0 };
+// Adds each day's fees to its outgoing SOL (and USD) so net flow matches the
+// balance change. SOL view only: token views are left as they are. Totals grow
+// by the daily fees, like totalOut itself sums the daily buckets.
+function withFees(data) {
+  if (!data.fees) return data;
+  const fees = data.dailyData.reduce((s, d) => s + (d.fees || 0), 0);
+  const feesUsd = data.dailyData.reduce((s, d) => s + (d.feesUsd || 0), 0);
+  return {
+    ...data,
+    dailyData: data.dailyData.map(d => ({ ...d, outgoing: d.outgoing + (d.fees || 0), outgoingUsd: d.outgoingUsd + (d.feesUsd || 0) })),
+    totalOut: data.totalOut + fees,
+    totalOutUsd: data.totalOutUsd + feesUsd,
+  };
+}
+
+const fmtSpan = (ms) => ms < DAY_MS ? `${+(ms / 3600000).toFixed(1)}h` : `${+(ms / DAY_MS).toFixed(1)}d`;
+
+// ─── Transaction Types ──────────────────────────────────────────────────────
+
+const TYPE_TOP = 6;
+
+// Rough wallet profile from the share of each transaction type
+function walletProfile(txTypes) {
+  const total = txTypes.reduce((s, t) => s + t.count, 0);
+  if (!total) return null;
+  const share = (re) => txTypes.filter(t => re.test(t.name)).reduce((s, t) => s + t.count, 0) / total;
+  if (share(/^SWAP/) >= 0.5) return { label: "Trader", color: C.cyan };
+  if (share(/NFT/) >= 0.3) return { label: "NFT flipper", color: C.purple };
+  if (share(/^TRANSFER$/) >= 0.7) return { label: "Payment relay", color: C.yellow };
+  if (share(/STAKE|VOTE/) >= 0.4) return { label: "Staker", color: C.accent };
+  return { label: "Mixed activity", color: C.textDim };
+}
+
+// ─── Cross-Wallet ───────────────────────────────────────────────────────────
+// Overlap between the watched wallets, from each slot's full counterparty list.
+// `slots` is [{ slot, address, result }]. Volumes are SOL.
+
+const DIRECT_EVENTS_MAX = 50;
+
+function compOverlap(slots) {
+  const watched = new Map(slots.map(s => [s.address, s.slot]));
+  const byCp = {};
+  const cpSets = {};
+  for (const { slot, address, result } of slots) {
+    const m = cpSets[slot] = new Map();
+    for (const c of result.allCounterparties || result.counterparties) {
+      if (watched.has(c.address) || c.address === address) continue;
+      m.set(c.address, c);
+      if (!byCp[c.address]) byCp[c.address] = { address: c.address, wallets: [], count: 0, totalSol: 0 };
+      const e = byCp[c.address];
+      e.wallets.push({ slot, count: c.count, incomingSol: c.incomingSol, outgoingSol: c.outgoingSol });
+      e.count += c.count;
+      e.totalSol += c.totalSol;
+    }
   }
 
-  for (const tx of txs) {
-    const ts = tx.timestamp * 1000;
-    const dk = new Date(ts).toISOString().slice(0, 10);
-    if (dMap[dk]) dMap[dk].txCount++;
-
-    // Native SOL transfers → daily chart + counterparty
-    for (const nt of tx.nativeTransfers || []) {
-      const sol = nt.amount / LAMPORTS;
-      if (sol < 1e-6) continue;
-      const isIn = nt.toUserAccount === wallet;
-      const isOut = nt.fromUserAccount === wallet;
-      const cp = isIn ? nt.fromUserAccount : isOut ? nt.toUserAccount : null;
-      if (dMap[dk]) {
-        if (isIn) dMap[dk].incoming += sol;
-        else if (isOut) dMap[dk].outgoing += sol;
-      }
-      if (cp && cp !== wallet) {
-        trkCp(cpMap, cp, dk, isIn ? sol : 0, isOut ? sol : 0, "SOL");
-        raw.push({ ts, incoming: isIn ? sol : 0, outgoing: isOut ? sol : 0, counterparty: cp });
-      }
+  const shared = Object.values(byCp)
+    .filter(e => e.wallets.length >= 2)
+    .sort((a, b) => b.wallets.length - a.wallets.length || b.totalSol - a.totalSol || b.count - a.count);
+
+  // matrix[i][j]: counterparties both wallets touched and the SOL both moved with them
+  const matrix = slots.map(a => slots.map(b => {
+    const A = cpSets[a.slot], B = cpSets[b.slot];
+    if (a.slot === b.slot) return { shared: A.size, volume: [...A.values()].reduce((s, c) => s + c.totalSol, 0) };
+    let n = 0, vol = 0;
+    for (const [addr, c] of A) {
+      const d = B.get(addr);
+      if (d) { n++; vol += c.totalSol + d.totalSol; }
     }
+    return { shared: n, volume: vol };
+  }));
 
-    // Token transfers → counterparty only (not daily SOL chart)
-    for (const tt of tx.tokenTransfers || []) {
-      const amt = tt.tokenAmount || 0;
-      if (amt < 1e-6) continue;
-      const isIn = tt.toUserAccount === wallet;
-      const isOut = tt.fromUserAccount === wallet;
-      const cp = isIn ? tt.fromUserAccount : isOut ? tt.toUserAccount : null;
-      if (cp && cp !== wallet) {
-        trkCp(cpMap, cp, dk, 0, 0, tt.mint ? short(tt.mint) : "Token");
-        // Track token activity as raw event for 1h/24h panels (SOL value = 0, but count matters)
-        raw.push({ ts, incoming: 0, outgoing: 0, counterparty: cp, tokenOnly: true });
-      }
+  // Transfers between watched wallets. Each pair is reported once, from the
+  // lower slot unless only the other side has results.
+  const analyzed = new Set(slots.map(s => s.slot));
+  const keep = (slot, other) => slot < other || !analyzed.has(other);
+  const links = [], events = [];
+  for (const { slot, address, result } of slots) {
+    for (const c of result.allCounterparties || result.counterparties) {
+      const other = watched.get(c.address);
+      if (other == null || other === slot || !keep(slot, other)) continue;
+      links.push({ from: slot, to: other, fromAddress: address, toAddress: c.address, count: c.count, sentSol: c.outgoingSol, receivedSol: c.incomingSol, tokens: c.tokens.filter(t => t.name !== "SOL").length });
+    }
+    for (const e of result.rawEvents) {
+      const other = watched.get(e.counterparty);
+      if (other == null || other === slot || !keep(slot, other)) continue;
+      const out = e.tokenOnly ? e.direction === "out" : e.outgoing > 0;
+      events.push({
+        ts: e.ts, from: out ? slot : other, to: out ? other : slot,
+        asset: e.tokenOnly ? e.mint : "SOL", amount: e.tokenOnly ? e.amount : e.incoming || e.outgoing,
+      });
     }
   }
 
-  const dates = Object.keys(dMap).sort();
-  const daily = Object.values(dMap).sort((a, b) => new Date(a.date) - new Date(b.date));
-
-  const cps = Object.values(cpMap).map(c => ({
-    address: c.address, count: c.count,
-    totalSol: c.totalSol, incomingSol: c.incomingSol, outgoingSol: c.outgoingSol,
-    activeDays: c.days.size,
-    tokens: Object.entries(c.tokens).map(([n, v]) => ({ name: n, volume: v })).sort((a, b) => b.volume - a.volume),
-    daily: dates.map(d => ({
-      date: d,
-      incoming: c.dd[d]?.incoming || 0,
-      outgoing: c.dd[d]?.outgoing || 0,
-    })),
-  })).sort((a, b) => b.count - a.count).slice(0, 30);
+  return {
+    slots: slots.map(s => ({ slot: s.slot, address: s.address, counterparties: cpSets[s.slot].size })),
+    shared, matrix,
+    links: links.sort((a, b) => b.count - a.count),
+    events: events.sort((a, b) => b.ts - a.ts).slice(0, DIRECT_EVENTS_MAX),
+  };
+}
 
-  // Recurrence distribution: how many wallets active on exactly N days
-  const dcm = {};
-  Object.values(cpMap).forEach(c => {
-    const d = c.days.size;
-    dcm[d] = (dcm[d] || 0) + 1;
-  });
-  const rec = Array.from({ length: 15 }, (_, i) => ({
-    days: i + 1,
-    label: `${i + 1}d`,
-    wallets: dcm[i + 1] || 0,
-  }));
+// ─── Counterparty Graph ─────────────────────────────────────────────────────
+// A small force layout (no extra dependency). The graph is mutable
+// { nodes: Map(address → node), edges: Map(key → edge) }; the component owns
+// it in a ref and re-renders per animation frame while the layout settles.
+
+const GRAPH_W = 900, GRAPH_H = 540;
+const GRAPH_EXPAND_MAX = 12;
+const GRAPH_MAX_NODES = 250;
+const GRAPH_MAX_HOPS = 4;
+
+function newGraph(root, cps, days) {
+  const g = { nodes: new Map(), edges: new Map(), maxVol: 0 };
+  g.nodes.set(root, { id: root, hop: 0, x: GRAPH_W / 2, y: GRAPH_H / 2, vx: 0, vy: 0, vol: 0, activeDays: days, root: true, expanded: true });
+  graphAdd(g, root, cps, days);
+  return g;
+}
+
+// Adds the top counterparties of `from` as nodes one hop further out, with an
+// edge per direction (in: cp → from, out: from → cp; token-only: undirected)
+function graphAdd(g, from, cps, days) {
+  const parent = g.nodes.get(from);
+  const top = cps.slice().sort((a, b) => b.count - a.count).slice(0, parent.root ? 30 : GRAPH_EXPAND_MAX);
+  for (const c of top) {
+    if (!g.nodes.has(c.address)) {
+      if (g.nodes.size >= GRAPH_MAX_NODES) break;
+      const a = Math.random() * Math.PI * 2;
+      g.nodes.set(c.address, {
+        id: c.address, hop: parent.hop + 1,
+        x: parent.x + Math.cos(a) * 40, y: parent.y + Math.sin(a) * 40, vx: 0, vy: 0,
+        vol: c.totalSol, activeDays: c.activeDays, expanded: false,
+      });
+    }
+    const n = g.nodes.get(c.address);
+    n.vol = Math.max(n.vol, c.totalSol);
+    g.maxVol = Math.max(g.maxVol, n.vol);
+    const link = (a, b, kind, vol) => {
+      const k = `${a}>${b}`;
+      if (!g.edges.has(k)) g.edges.set(k, { source: a, target: b, kind, vol });
+    };
+    if (c.incomingSol > 0) link(c.address, from, "in", c.incomingSol);
+    if (c.outgoingSol > 0) link(from, c.address, "out", c.outgoingSol);
+    if (!(c.incomingSol > 0) && !(c.outgoingSol > 0)) link(from, c.address, "token", 0);
+  }
+  parent.expanded = true;
+  return g;
+}
 
-  const tIn = daily.reduce((s, d) => s + d.incoming, 0);
-  const tOut = daily.reduce((s, d) => s + d.outgoing, 0);
-  const tTx = daily.reduce((s, d) => s + d.txCount, 0);
-  const uW = Object.keys(cpMap).length;
-  const toks = new Set();
-  Object.values(cpMap).forEach(c => Object.keys(c.tokens).forEach(t => toks.add(t)));
+const nodeR = (g, n) => n.root ? 14 : 4 + Math.sqrt(g.maxVol > 0 ? n.vol / g.maxVol : 0) * 14;
+
+// One layout tick: pairwise repulsion, edge springs, weak pull to the centre
+function graphStep(g, alpha) {
+  const ns = [...g.nodes.values()];
+  for (let i = 0; i < ns.length; i++) {
+    for (let j = i + 1; j < ns.length; j++) {
+      const a = ns[i], b = ns[j];
+      let dx = b.x - a.x, dy = b.y - a.y;
+      const d2 = Math.max(dx * dx + dy * dy, 1), d = Math.sqrt(d2);
+      const f = (900 * alpha) / d2;
+      dx /= d; dy /= d;
+      a.vx -= dx * f; a.vy -= dy * f;
+      b.vx += dx * f; b.vy += dy * f;
+    }
+  }
+  for (const e of g.edges.values()) {
+    const a = g.nodes.get(e.source), b = g.nodes.get(e.target);
+    const dx = b.x - a.x, dy = b.y - a.y, d = Math.sqrt(dx * dx + dy * dy) || 1;
+    const f = ((d - (50 + nodeR(g, a) + nodeR(g, b))) / d) * 0.08 * alpha;
+    a.vx += dx * f; a.vy += dy * f;
+    b.vx -= dx * f; b.vy -= dy * f;
+  }
+  for (const n of ns) {
+    if (n.root) { n.x = GRAPH_W / 2; n.y = GRAPH_H / 2; n.vx = n.vy = 0; continue; }
+    n.vx = (n.vx + (GRAPH_W / 2 - n.x) * 0.004 * alpha) * 0.6;
+    n.vy = (n.vy + (GRAPH_H / 2 - n.y) * 0.004 * alpha) * 0.6;
+    n.x = Math.min(GRAPH_W - 10, Math.max(10, n.x + n.vx));
+    n.y = Math.min(GRAPH_H - 10, Math.max(10, n.y + n.vy));
+  }
+}
 
+// ─── Address Book ───────────────────────────────────────────────────────────
+// User names/tags (localStorage sol-dash-address-book) take precedence over
+// the bundled known-entity list in public/known-entities.json, which can be
+// updated by replacing that file. Components resolve names via NamesCtx.
+
+const KNOWN_ENTITIES_URL = "/known-entities.json";
+
+async function fetchKnownEntities() {
+  try {
+    const res = await fetch(KNOWN_ENTITIES_URL);
+    if (!res.ok) return { updated: null, entities: {} };
+    const json = await res.json();
+    return { updated: json.updated ?? null, entities: json.entities || {} };
+  } catch {
+    return { updated: null, entities: {} };
+  }
+}
+
+// Accepts { address: { name, tags } } or [{ address, name, tags }]; tags may
+// be an array or a comma-separated string
+function normalizeBook(raw) {
+  const list = Array.isArray(raw) ? raw : Object.entries(raw || {}).map(([address, v]) => ({ address, ...v }));
+  const book = {};
+  for (const e of list) {
+    const address = String(e?.address || "").trim();
+    if (!address) continue;
+    const tags = (Array.isArray(e.tags) ? e.tags : String(e.tags || "").split(","))
+      .map(t => String(t).trim()).filter(Boolean);
+    const name = String(e.name || "").trim();
+    if (name || tags.length) book[address] = { name, tags };
+  }
+  return book;
+}
+
+// → { name, tags, category, user } or null. Watchlist nicknames rank between
+// address-book names and known entities.
+function lookupName(book, known, addr, nicknames = {}) {
+  const u = book[addr], k = known[addr], nick = nicknames[addr];
+  if (!u && !k && !nick) return null;
   return {
-    dailyData: daily, counterparties: cps, recurrence: rec,
-    totalIn: tIn, totalOut: tOut, totalTx: tTx,
-    uniqueWallets: uW, totalTokens: toks.size, rawEvents: raw,
+    name: u?.name || nick || k?.name || null,
+    tags: u?.tags || [],
+    category: k?.category || null,
+    user: !!(u?.name || nick),
   };
 }
 
-function trkCp(m, addr, dk, iA, oA, tok) {
-  if (!m[addr]) {
-    m[addr] = {
-      address: addr, count: 0, totalSol: 0, incomingSol: 0, outgoingSol: 0,
-      days: new Set(), dd: {}, tokens: {},
-    };
+// ─── Watchlists ─────────────────────────────────────────────────────────────
+// Named lists of wallets, { id, name, wallets: [{ address, nickname }] }, kept
+// in sol-dash-watchlists. The old fixed slots (sol-dash-wallet1..10 and
+// ?wallet1..10) are migrated into a list on first load.
+
+const WATCHLIST_FORMAT = "sol-dash-watchlists";
+const LEGACY_SLOTS = 10;
+const DEMO_LIST = "demo";
+
+const newListId = () => Math.random().toString(36).slice(2, 10);
+
+// Accepts a list object or a bare address array; blank addresses are dropped
+function normalizeList(raw, fallbackName = "Watchlist") {
+  const wallets = (Array.isArray(raw) ? raw : Array.isArray(raw?.wallets) ? raw.wallets : [])
+    .map(w => typeof w === "string" ? { address: w } : w)
+    .map(w => ({ address: String(w?.address || "").trim(), nickname: String(w?.nickname || "").trim() }))
+    .filter(w => w.address);
+  const id = typeof raw?.id === "string" && raw.id ? raw.id : newListId();
+  return { id, name: String(raw?.name || "").trim() || fallbackName, wallets };
+}
+
+// Adds `list` unless one with the same name and addresses exists (that one is
+// selected instead); a clashing name gets a numeric suffix. → [lists, id]
+function mergeWatchlist(lists, list) {
+  const key = (l) => l.wallets.map(w => w.address).join(",");
+  const same = lists.find(l => l.name === list.name && key(l) === key(list));
+  if (same) return [lists, same.id];
+  let name = list.name;
+  for (let n = 2; lists.some(l => l.name === name); n++) name = `${list.name} (${n})`;
+  const id = lists.some(l => l.id === list.id) ? newListId() : list.id;
+  return [[...lists, { ...list, id, name }], id];
+}
+
+// Compact share format: <name>*<address>[.<nickname>]*…  Addresses are base58,
+// so "." can't occur in them; "*" is dropped from names and nicknames.
+const wlText = (s) => String(s || "").replace(/\*/g, "").trim();
+
+function encodeWatchlist(list) {
+  return [wlText(list.name), ...list.wallets.filter(w => w.address.trim())
+    .map(w => w.address.trim() + (wlText(w.nickname) ? `.${wlText(w.nickname)}` : ""))].join("*");
+}
+
+function decodeWatchlist(v) {
+  const [name, ...entries] = String(v).split("*");
+  return normalizeList({
+    name,
+    wallets: entries.map(e => {
+      const i = e.indexOf(".");
+      return i < 0 ? { address: e } : { address: e.slice(0, i), nickname: e.slice(i + 1) };
+    }),
+  }, "Shared list");
+}
+
+// ?wl=…, or the legacy ?wallet / ?wallet1..10 slot params
+function watchlistFromUrl() {
+  try {
+    const p = new URL(window.location.href).searchParams;
+    if (p.get("wl")) return decodeWatchlist(p.get("wl"));
+    const legacy = Array.from({ length: LEGACY_SLOTS }, (_, i) => p.get(`wallet${i + 1}`) || (i === 0 ? p.get("wallet") : null));
+    return legacy.some(Boolean) ? normalizeList({ name: "Shared link", wallets: legacy.filter(Boolean) }) : null;
+  } catch { return null; }
+}
+
+// Saved lists (or the migrated legacy slots) plus any list shared in the URL
+function initWatchlists() {
+  let watchlists = (loadJson("sol-dash-watchlists", []) || []).map(l => normalizeList(l)).filter(l => l.id !== DEMO_LIST);
+  if (!watchlists.length) {
+    const legacy = Array.from({ length: LEGACY_SLOTS }, (_, i) => getInitial("", `sol-dash-wallet${i + 1}`));
+    watchlists = [normalizeList({ name: "My wallets", wallets: legacy })];
+  }
+  let listId = getInitial("", "sol-dash-watchlist");
+  const shared = watchlistFromUrl();
+  if (shared) [watchlists, listId] = mergeWatchlist(watchlists, shared);
+  if (!watchlists.some(l => l.id === listId)) listId = watchlists[0].id;
+  return { watchlists, listId };
+}
+
+// Accepts an export file, one list, an array of lists or an array of addresses
+function readWatchlistFile(text) {
+  const raw = JSON.parse(text);
+  const lists = raw?.format === WATCHLIST_FORMAT ? raw.watchlists
+    : Array.isArray(raw) && raw.every(x => typeof x === "string") ? [{ wallets: raw }]
+    : Array.isArray(raw) ? raw : [raw];
+  const out = (Array.isArray(lists) ? lists : []).map(l => normalizeList(l, "Imported")).filter(l => l.wallets.length);
+  if (!out.length) throw new Error("No wallets found in that file");
+  return out;
+}
+
+function watchlistExport(lists) {
+  return {
+    name: `sol-dash-watchlists-${new Date().toISOString().slice(0, 10)}.json`,
+    text: JSON.stringify({ format: WATCHLIST_FORMAT, version: 1, exportedAt: new Date().toISOString(), watchlists: lists.map(l => normalizeList(l)) }, null, 2),
+    type: "application/json",
+  };
+}
+
+// Block explorers for drill-down links (sol-dash-explorer)
+const EXPLORERS = {
+  solscan: { label: "Solscan", tx: (s) => `https://solscan.io/tx/${s}`, account: (a) => `https://solscan.io/account/${a}` },
+  solanafm: { label: "SolanaFM", tx: (s) => `https://solana.fm/tx/${s}`, account: (a) => `https://solana.fm/address/${a}` },
+  explorer: { label: "Solana Explorer", tx: (s) => `https://explorer.solana.com/tx/${s}`, account: (a) => `https://explorer.solana.com/address/${a}` },
+  xray: { label: "XRAY", tx: (s) => `https://xray.helius.xyz/tx/${s}`, account: (a) => `https://xray.helius.xyz/account/${a}` },
+};
+
+// One row per transaction between the wallet and `addr`, newest first
+function cpTransactions(rawEvents, addr) {
+  const bySig = {};
+  for (const e of rawEvents) {
+    if (e.counterparty !== addr) continue;
+    const k = e.signature || `${e.ts}`;
+    if (!bySig[k]) bySig[k] = { signature: e.signature || null, ts: e.ts, type: e.type || null, source: e.source || null, solIn: 0, solOut: 0, tokens: [] };
+    const r = bySig[k];
+    if (e.tokenOnly) r.tokens.push({ mint: e.mint, amount: e.amount, direction: e.direction });
+    else { r.solIn += e.incoming; r.solOut += e.outgoing; }
   }
-  const c = m[addr];
-  c.count++;
-  c.totalSol += iA + oA;
-  c.incomingSol += iA;
-  c.outgoingSol += oA;
-  c.days.add(dk);
-  if (!c.dd[dk]) c.dd[dk] = { incoming: 0, outgoing: 0 };
-  c.dd[dk].incoming += iA;
-  c.dd[dk].outgoing += oA;
-  if (tok) c.tokens[tok] = (c.tokens[tok] || 0) + iA + oA;
-}
-
-// ─── Time Window ────────────────────────────────────────────────────────────
-
-function compWin(raw, ms) {
-  const cut = Date.now() - ms;
-  const ev = raw.filter(e => e.ts >= cut);
-  let inc = 0, out = 0;
-  const cc = {};
-  for (const e of ev) {
-    inc += e.incoming;
-    out += e.outgoing;
-    cc[e.counterparty] = (cc[e.counterparty] || 0) + 1;
+  return Object.values(bySig).map(r => {
+    const ins = r.solIn > 0 || r.tokens.some(t => t.direction === "in");
+    const outs = r.solOut > 0 || r.tokens.some(t => t.direction === "out");
+    return { ...r, direction: ins && outs ? "both" : ins ? "in" : "out" };
+  }).sort((a, b) => b.ts - a.ts);
+}
+
+// Per-day in/out (SOL) from raw events, for counterparties outside the top 30
+function cpDailyFromEvents(rawEvents, addr, dates, tz) {
+  const dd = Object.fromEntries(dates.map(d => [d, { date: d, incoming: 0, outgoing: 0 }]));
+  for (const e of rawEvents) {
+    if (e.counterparty !== addr) continue;
+    const d = dd[dayKey(e.ts, tz)];
+    if (d) { d.incoming += e.incoming; d.outgoing += e.outgoing; }
   }
-  const top = Object.entries(cc)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5)
-    .map(([addr]) => {
-      const w = ev.filter(e => e.counterparty === addr);
-      return {
-        address: addr,
-        incoming: w.reduce((s, e) => s + e.incoming, 0),
-        outgoing: w.reduce((s, e) => s + e.outgoing, 0),
-        count: w.length,
-      };
-    });
-  const bMs = ms <= 3600000 ? 300000 : 3600000;
-  const bN = Math.ceil(ms / bMs);
-  const bS = Date.now() - ms;
-  const bk = Array.from({ length: bN }, (_, i) => ({
-    time: bS + i * bMs, incoming: 0, outgoing: 0,
-  }));
-  for (const e of ev) {
-    const i = Math.min(Math.floor((e.ts - bS) / bMs), bN - 1);
-    if (i >= 0) {
-      bk[i].incoming += e.incoming;
-      bk[i].outgoing += e.outgoing;
-    }
+  return dates.map(d => dd[d]);
+}
+
+const NamesCtx = createContext((addr) => null);
+const useNames = () => useContext(NamesCtx);
+
+// ─── Pricing ────────────────────────────────────────────────────────────────
+// A price source is { name, load(mints, fromMs, toMs), priceAt(mint, ts) }.
+// load() fetches whatever it needs up front; priceAt() is synchronous and
+// returns a USD price or null. Native SOL uses the pseudo-mint "SOL".
+
+const SOL_MINT = "So11111111111111111111111111111111111111112";
+const STABLE_MINTS = new Set([
+  "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", // USDC
+  "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB", // USDT
+]);
+const COINGECKO = "https://api.coingecko.com/api/v3";
+const MAX_PRICED_MINTS = 8;
+const PRICE_SOURCES = {
+  coingecko: { label: "CoinGecko", create: () => coingeckoPriceSource() },
+  local: { label: "Local file", create: () => jsonPriceSource("/prices.json") },
+};
+
+const priceKey = (mint) => mint === SOL_MINT ? "SOL" : mint;
+
+// Nearest point at or before ts in a [[ms, price], ...] series sorted by time
+function seriesAt(series, ts) {
+  if (!series?.length) return null;
+  let lo = 0, hi = series.length - 1;
+  if (ts <= series[0][0]) return series[0][1];
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (series[mid][0] <= ts) lo = mid; else hi = mid - 1;
   }
+  return series[lo][1];
+}
+
+// Public CoinGecko market_chart/range: SOL plus the most-used token mints
+// (capped to stay inside the free rate limit). Stablecoins are fixed at $1.
+function coingeckoPriceSource() {
+  const series = {};
+  return {
+    name: "coingecko",
+    async load(mints, fromMs, toMs) {
+      const from = Math.floor(fromMs / 1000) - 3600, to = Math.ceil(toMs / 1000) + 3600;
+      const wanted = ["SOL", ...mints.map(priceKey).filter(m => m !== "SOL" && !STABLE_MINTS.has(m)).slice(0, MAX_PRICED_MINTS)];
+      for (const m of wanted) {
+        if (series[m]) continue;
+        const path = m === "SOL" ? "/coins/solana" : `/coins/solana/contract/${m}`;
+        try {
+          const res = await fetch(`${COINGECKO}${path}/market_chart/range?vs_currency=usd&from=${from}&to=${to}`);
+          if (res.ok) series[m] = (await res.json()).prices || [];
+          else if (m === "SOL") throw new Error(`Price API error ${res.status}`);
+        } catch (err) {
+          if (m === "SOL") throw err;
+        }
+        await new Promise(r => setTimeout(r, 250));
+      }
+    },
+    priceAt(mint, ts) {
+      const m = priceKey(mint);
+      if (STABLE_MINTS.has(m)) return 1;
+      return seriesAt(series[m], ts);
+    },
+  };
+}
+
+// Offline prices from a JSON file (public/prices.json, see prices.example.json):
+// { "SOL": 142.5, "<mint>": [[ms, price], ...] }.
+// A number is a flat price; a series is looked up by timestamp.
+function jsonPriceSource(url) {
+  let table = {};
   return {
-    incoming: inc, outgoing: out, net: inc - out,
-    txCount: ev.length, walletCount: Object.keys(cc).length,
-    topWallets: top, buckets: bk,
+    name: "local",
+    async load() {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`Price file ${url} not found`);
+      table = await res.json();
+    },
+    priceAt: (mint, ts) => tableAt(table, mint, ts),
   };
 }
 
-// ─── 3-Day Hourly Trend ─────────────────────────────────────────────────
+// Lookup in a prices.json-style table (flat number or [[ms, price], ...])
+function tableAt(table, mint, ts) {
+  const m = priceKey(mint);
+  const v = table[m];
+  if (typeof v === "number") return v;
+  if (Array.isArray(v)) return seriesAt(v.slice().sort((a, b) => a[0] - b[0]), ts);
+  return STABLE_MINTS.has(m) ? 1 : null;
+}
+
+// Mints seen in transfers (most frequent first) plus held tokens
+function collectMints(txLists, holdingsList) {
+  const cnt = {};
+  for (const txs of txLists) for (const tx of txs || []) {
+    for (const tt of tx.tokenTransfers || []) if (tt.mint) cnt[tt.mint] = (cnt[tt.mint] || 0) + 1;
+  }
+  for (const h of holdingsList) for (const t of h?.tokens || []) cnt[t.mint] = (cnt[t.mint] || 0) + 1;
+  return Object.keys(cnt).sort((a, b) => cnt[b] - cnt[a]);
+}
 
-function compHourlyTrend(raw) {
-  const cut = Date.now() - 3 * 86400000;
-  const ev = raw.filter(e => e.ts >= cut);
+// Current USD value of SOL and each held token
+function valueHoldings(holdings, priceAt) {
+  const now = Date.now();
+  const solPx = priceAt("SOL", now);
+  const tokens = holdings.tokens.map(t => {
+    const px = priceAt(t.mint, now);
+    return { ...t, usd: px == null ? null : t.displayBalance * px };
+  });
+  const solUsd = solPx == null ? null : holdings.sol * solPx;
+  const totalUsd = (solUsd || 0) + tokens.reduce((s, t) => s + (t.usd || 0), 0);
+  return { ...holdings, solUsd, tokens, totalUsd };
+}
+
+// Presents a priced result in USD: the *Usd fields are swapped into the
+// fields the panels read, so every chart and table renders unchanged.
+function toUsdView(data) {
+  const flip = (x) => ({ ...x, incoming: x.incomingUsd || 0, outgoing: x.outgoingUsd || 0 });
+  return {
+    ...data,
+    dailyData: data.dailyData.map(flip),
+    rawEvents: data.rawEvents.map(flip),
+    counterparties: data.counterparties.map(c => ({
+      ...c, incomingSol: c.incomingUsd, outgoingSol: c.outgoingUsd, totalSol: c.totalUsd,
+      daily: c.daily.map(flip),
+    })),
+    totalIn: data.totalInUsd, totalOut: data.totalOutUsd,
+  };
+}
+
+// ─── Token Views ────────────────────────────────────────────────────────────
+
+// Mint → symbol from DAS metadata already loaded by fetchHoldings
+function symbolMap(holdingsList) {
+  const m = { [SOL_MINT]: "wSOL" };
+  for (const h of holdingsList) for (const t of h?.tokens || []) if (t.symbol) m[t.mint] = t.symbol;
+  return m;
+}
+
+const symbolOf = (symbols, mint) => mint === "SOL" ? "SOL" : symbols[mint] || (mint.length > 12 ? short(mint) : mint);
+
+// Replaces the SOL flow/counterparty data with one mint's token-unit flows,
+// so the same panels redraw for that token. Composes with toUsdView.
+function toTokenView(data, mint) {
+  const tf = data.tokenFlows?.find(f => f.mint === mint);
+  if (!tf) return data;
+  return {
+    ...data,
+    dailyData: tf.dailyData, counterparties: tf.counterparties, recurrence: tf.recurrence,
+    uniqueWallets: tf.uniqueWallets, totalIn: tf.totalIn, totalOut: tf.totalOut, totalTx: tf.totalTx,
+    totalInUsd: tf.totalInUsd, totalOutUsd: tf.totalOutUsd,
+    rawEvents: data.rawEvents.filter(e => e.mint === mint).map(e => ({
+      ...e, incoming: e.direction === "in" ? e.amount : 0, outgoing: e.direction === "out" ? e.amount : 0,
+    })),
+  };
+}
+
+// Resolves counterparty token names (mint keys) to symbols for display
+function withSymbols(data, symbols) {
+  return {
+    ...data,
+    counterparties: data.counterparties.map(c => ({ ...c, tokens: c.tokens.map(t => ({ ...t, mint: t.name, name: symbolOf(symbols, t.name) })) })),
+  };
+}
 
-  // Group by hour-of-day (0-23), aggregated across 3 days
-  const hourMap = {};
-  for (let h = 0; h < 24; h++) {
-    hourMap[h] = { hour: h, label: `${String(h).padStart(2, "0")}:00`, count: 0, incoming: 0, outgoing: 0 };
+// ─── Snapshots ──────────────────────────────────────────────────────────────
+// A snapshot is the raw session: Helius transactions, holdings and settings.
+// Loading one re-runs analyze() over the saved transactions, so it keeps
+// working as the analysis changes. Prices are stored as the price each
+// transfer was valued at, so the USD view also replays offline.
+
+const SNAPSHOT_FORMAT = "sol-dash-snapshot";
+const SNAPSHOT_VERSION = 1;
+
+// { key: [[ms, price], ...] } sampled at every transfer plus the fetch time
+function snapshotPrices(txLists, holdingsList, priceAt, at) {
+  const table = {};
+  const add = (mint, ts) => {
+    const p = priceAt(mint, ts);
+    if (p == null) return;
+    const k = priceKey(mint);
+    (table[k] = table[k] || []).push([ts, p]);
+  };
+  add("SOL", at);
+  for (const txs of txLists) for (const tx of txs || []) {
+    const ts = tx.timestamp * 1000;
+    if (tx.nativeTransfers?.length) add("SOL", ts);
+    for (const tt of tx.tokenTransfers || []) if (tt.mint) add(tt.mint, ts);
   }
-  for (const e of ev) {
-    const h = new Date(e.ts).getHours();
-    hourMap[h].count++;
-    hourMap[h].incoming += e.incoming;
-    hourMap[h].outgoing += e.outgoing;
+  for (const h of holdingsList) for (const t of h?.tokens || []) add(t.mint, at);
+  for (const k of Object.keys(table)) {
+    const seen = new Set();
+    table[k] = table[k].filter(([ts]) => !seen.has(ts) && seen.add(ts)).sort((a, b) => a[0] - b[0]);
   }
+  return table;
+}
+
+function buildSnapshot({ list, txsArr, holdingsArr, errors, holdingsErrors, days, unit, tz, priceSourceName, pricing, fetchedAt }) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    fetchedAt: new Date(fetchedAt).toISOString(),
+    settings: { days, unit, tz, priceSource: pricing?.name ?? priceSourceName },
+    prices: pricing ? snapshotPrices(txsArr, holdingsArr, pricing.priceAt, fetchedAt) : null,
+    watchlist: list.name,
+    wallets: list.wallets.map((w, i) => ({
+      slot: i + 1, address: w.address.trim(), nickname: w.nickname,
+      txs: txsArr[i], holdings: holdingsArr[i],
+      error: errors[i] || "", holdingsError: holdingsErrors[i] || "",
+    })).filter(w => w.address && (w.txs || w.holdings)),
+  };
+}
 
-  const byHour = Object.values(hourMap);
-  const ranked = byHour.slice().sort((a, b) => b.count - a.count);
-  const totalCount = ev.length;
-  const peakHour = ranked[0];
-  const quietHour = ranked[ranked.length - 1];
+// Parses and checks a snapshot file; throws with a readable message
+function readSnapshot(text) {
+  let snap;
+  try { snap = JSON.parse(text); } catch { throw new Error("Snapshot is not valid JSON"); }
+  if (snap?.format !== SNAPSHOT_FORMAT) throw new Error("Not a dashboard snapshot");
+  if (!(snap.version <= SNAPSHOT_VERSION)) throw new Error(`Snapshot version ${snap.version} is newer than this dashboard supports`);
+  if (!Array.isArray(snap.wallets) || !snap.wallets.length) throw new Error("Snapshot has no wallets");
+  const fetchedAt = Date.parse(snap.fetchedAt);
+  return {
+    ...snap,
+    fetchedAt: isNaN(fetchedAt) ? Date.now() : fetchedAt,
+    wallets: snap.wallets.filter(w => w.slot >= 1 && typeof w.address === "string").sort((a, b) => a.slot - b.slot),
+  };
+}
+
+// ─── Export ─────────────────────────────────────────────────────────────────
+// Dataset definitions (EXPORTS), toCsv and exportMeta live in lib/export.ts.
 
-  return { byHour, ranked, totalCount, peakHour, quietHour };
+// One dataset for one wallet as { name, text, type }
+function exportDataset(key, format, wallet, r, holdings) {
+  const ds = EXPORTS[key];
+  const rows = ds.rows(r, holdings);
+  const base = `sol-${wallet.slice(0, 8)}-${key}-${r.days}d-${new Date().toISOString().slice(0, 10)}`;
+  if (format === "csv") return { name: `${base}.csv`, text: toCsv(rows, ds.cols), type: "text/csv" };
+  return { name: `${base}.json`, text: JSON.stringify({ meta: exportMeta(wallet, r), rows }, null, 2), type: "application/json" };
+}
+
+// Every dataset for every analyzed slot in one JSON file
+function exportBundle(slots, days) {
+  const generatedAt = new Date().toISOString();
+  const wallets = slots.map(({ slot, wallet, result, holdings }) => ({
+    slot, ...exportMeta(wallet, result),
+    ...Object.fromEntries(Object.keys(EXPORTS).map(k => [k, EXPORTS[k].rows(result, holdings)])),
+  }));
+  return {
+    name: `sol-dash-export-${days}d-${generatedAt.slice(0, 10)}.json`,
+    text: JSON.stringify({ generatedAt, lookbackDays: days, wallets }, null, 2),
+    type: "application/json",
+  };
+}
+
+function downloadFile({ name, text, type }) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ─── Alert Rules ────────────────────────────────────────────────────────────
+// Rules are stored per wallet (sol-dash-rules-<address>) and evaluated against
+// compWin outputs, rawEvents and holdings after every refresh / live poll.
+
+const RULE_TYPES = {
+  outflow: { label: "Outgoing above", unit: "SOL", window: true, defaults: { threshold: 100, windowMin: 60 } },
+  newCounterparty: { label: "New counterparty (within lookback)", unit: null, window: true, defaults: { threshold: 0, windowMin: 60 } },
+  txBurst: { label: "Transactions above", unit: "tx", window: true, defaults: { threshold: 20, windowMin: 5 } },
+  balanceBelow: { label: "SOL balance below", unit: "SOL", window: false, defaults: { threshold: 1, windowMin: 0 } },
+};
+const ALERT_LOG_MAX = 100;
+
+const fmtMin = (m) => m >= 60 && m % 60 === 0 ? `${m / 60}h` : `${m}m`;
+
+function newRule(type = "outflow") {
+  return { id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, type, enabled: true, ...RULE_TYPES[type].defaults };
+}
+
+// Returns every condition that currently holds. Each carries a `key`; callers
+// fire only keys that were not active on the previous evaluation.
+// "New" counterparties are new relative to the loaded lookback only.
+export function evalRules(rules, data, holdings) {
+  const out = [];
+  for (const r of rules || []) {
+    if (!r.enabled || !RULE_TYPES[r.type]) continue;
+    const ms = (r.windowMin || 60) * 60000;
+    if (r.type === "outflow" && data) {
+      const w = compWin(data.rawEvents, ms);
+      if (w.outgoing > r.threshold) {
+        out.push({ rule: r, key: r.id, value: w.outgoing, message: `Outgoing ${w.outgoing.toFixed(4)} SOL in last ${fmtMin(r.windowMin)} (limit ${r.threshold} SOL)` });
+      }
+    } else if (r.type === "txBurst" && data) {
+      // rawEvents are per transfer; one transaction can carry several
+      const cut = Date.now() - ms;
+      const count = new Set(data.rawEvents.filter(e => e.ts >= cut).map(e => e.signature)).size;
+      if (count > r.threshold) {
+        out.push({ rule: r, key: r.id, value: count, message: `${count} transactions in last ${fmtMin(r.windowMin)} (limit ${r.threshold})` });
+      }
+    } else if (r.type === "newCounterparty" && data) {
+      const cut = Date.now() - ms;
+      const seen = new Set(data.rawEvents.filter(e => e.ts < cut).map(e => e.counterparty));
+      const fresh = new Set(data.rawEvents.filter(e => e.ts >= cut && !seen.has(e.counterparty)).map(e => e.counterparty));
+      for (const cp of fresh) {
+        out.push({ rule: r, key: `${r.id}:${cp}`, value: cp, message: `New counterparty ${cp} in last ${fmtMin(r.windowMin)} (not seen earlier in the ${data.days}-day lookback)` });
+      }
+    } else if (r.type === "balanceBelow" && holdings) {
+      if (holdings.sol < r.threshold) {
+        out.push({ rule: r, key: r.id, value: holdings.sol, message: `SOL balance ${holdings.sol.toFixed(4)} below ${r.threshold} SOL` });
+      }
+    }
+  }
+  return out;
+}
+
+// Browser notification + webhook (relayed through /api/alerts)
+async function deliverAlerts(wallet, alerts, { notify, webhook }) {
+  const firedAt = new Date().toISOString();
+  const delivered = { notify: false, webhook: false };
+  if (notify && typeof Notification !== "undefined" && Notification.permission === "granted") {
+    alerts.forEach(a => { try { new Notification(`Wallet alert · ${short(wallet)}`, { body: a.message }); } catch {} });
+    delivered.notify = true;
+  }
+  if (webhook) {
+    try {
+      const res = await fetch("/api/alerts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          webhook,
+          payload: {
+            source: "solana-wallet-watcher", wallet, firedAt,
+            alerts: alerts.map(a => ({ rule: { type: a.rule.type, threshold: a.rule.threshold, windowMin: a.rule.windowMin }, message: a.message, value: a.value })),
+          },
+        }),
+      });
+      delivered.webhook = res.ok;
+    } catch {}
+  }
+  return alerts.map(a => ({ id: `${a.key}:${firedAt}`, wallet, type: a.rule.type, message: a.message, firedAt, delivered }));
 }
 
 // ─── Demo ───────────────────────────────────────────────────────────────────
 
-function genDemo() {
-  const dd = [];
-  for (let i = 14; i >= 0; i--) {
-    const d = new Date(); d.setDate(d.getDate() - i);
+// Exported for the smoke test in test/dashboard.test.ts
+export function genDemo(days = DEFAULT_DAYS, tz = TZ_DEFAULT) {
+  const dd = [], today = dayKey(Date.now(), tz);
+  for (let i = days - 1; i >= 0; i--) {
     dd.push({
-      date: d.toISOString().slice(0, 10),
+      date: shiftDay(today, -i),
       incoming: +(Math.random() * 50 + 2).toFixed(4),
       outgoing: +(Math.random() * 30 + 1).toFixed(4),
       txCount: Math.floor(Math.random() * 20 + 1),
     });
   }
+  // Fees: most txs pay the base fee, some add a priority fee
+  const feeList = [];
+  for (const d of dd) {
+    d.fees = 0;
+    for (let k = 0; k < d.txCount; k++) {
+      if (Math.random() < 0.25) continue; // someone else paid
+      const f = BASE_FEE_LAMPORTS / LAMPORTS + (Math.random() < 0.6 ? Math.random() * 0.0004 : 0);
+      feeList.push(f);
+      d.fees += f;
+    }
+    d.feesUsd = d.fees * DEMO_SOL_USD;
+  }
+  const feeTotal = feeList.reduce((s, f) => s + f, 0);
 
   const A = [
     "7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU",
@@ -342,9 +1034,9 @@ function genDemo() {
   const cps = A.map(addr => {
     const inc = +(Math.random() * 60 + 5).toFixed(4);
     const out = +(Math.random() * 40 + 2).toFixed(4);
-    const ad = Math.floor(Math.random() * 12 + 1);
+    const ad = Math.min(Math.floor(Math.random() * Math.ceil(days * 0.8) + 1), days);
     const act = new Set();
-    while (act.size < Math.min(ad, 15)) act.add(Math.floor(Math.random() * 15));
+    while (act.size < ad) act.add(Math.floor(Math.random() * days));
     return {
       address: addr,
       count: Math.floor(Math.random() * 25 + 1),
@@ -370,7 +1062,7 @@ function genDemo() {
   Object.entries(extraCounts).forEach(([d, n]) => {
     dcm[+d] = (dcm[+d] || 0) + n + Math.floor(Math.random() * 5);
   });
-  const rec = Array.from({ length: 15 }, (_, i) => ({
+  const rec = Array.from({ length: days }, (_, i) => ({
     days: i + 1, label: `${i + 1}d`, wallets: dcm[i + 1] || 0,
   }));
 
@@ -395,17 +1087,117 @@ function genDemo() {
     raw.push({ ts: now - offset, incoming: 0, outgoing: +(Math.random() * 3).toFixed(4) * 1, counterparty: A[Math.floor(Math.random() * A.length)] });
   }
 
+  // USD: SOL at a flat demo price, plus some stablecoin flow on daily totals
+  const usd = (x) => ({ ...x, incomingUsd: x.incoming * DEMO_SOL_USD, outgoingUsd: x.outgoing * DEMO_SOL_USD });
+  const ddUsd = dd.map(d => {
+    const u = usd(d);
+    return { ...u, incomingUsd: u.incomingUsd + Math.random() * 2000, outgoingUsd: u.outgoingUsd + Math.random() * 1500 };
+  });
+  const cpsUsd = cps.map(c => ({
+    ...c, incomingUsd: c.incomingSol * DEMO_SOL_USD, outgoingUsd: c.outgoingSol * DEMO_SOL_USD, totalUsd: c.totalSol * DEMO_SOL_USD,
+    daily: c.daily.map(usd),
+  }));
+
+  // Per-mint flows (token units) so the token selector has something to show
+  const tokenFlows = DEMO_TOKENS.map(({ mint, scale }) => {
+    const tDaily = aD.map(date => {
+      const active = Math.random() > 0.3;
+      const incoming = active ? +(Math.random() * scale).toFixed(2) : 0;
+      const outgoing = active ? +(Math.random() * scale * 0.8).toFixed(2) : 0;
+      const px = DEMO_PRICES[mint];
+      return { date, incoming, outgoing, incomingUsd: incoming * px, outgoingUsd: outgoing * px, txCount: active ? Math.floor(Math.random() * 6 + 1) : 0 };
+    });
+    const tCps = A.filter(() => Math.random() > 0.4).map(addr => {
+      const daily = tDaily.map(d => {
+        const on = d.txCount > 0 && Math.random() > 0.5;
+        return { date: d.date, incoming: on ? d.incoming / 3 : 0, outgoing: on ? d.outgoing / 3 : 0, incomingUsd: on ? d.incomingUsd / 3 : 0, outgoingUsd: on ? d.outgoingUsd / 3 : 0 };
+      });
+      const inc = daily.reduce((s, d) => s + d.incoming, 0), out = daily.reduce((s, d) => s + d.outgoing, 0);
+      return {
+        address: addr, count: daily.filter(d => d.incoming || d.outgoing).length * 2,
+        incomingSol: inc, outgoingSol: out, totalSol: inc + out,
+        incomingUsd: inc * DEMO_PRICES[mint], outgoingUsd: out * DEMO_PRICES[mint], totalUsd: (inc + out) * DEMO_PRICES[mint],
+        activeDays: daily.filter(d => d.incoming || d.outgoing).length,
+        tokens: [{ name: mint, volume: inc + out }], daily,
+      };
+    }).filter(c => c.activeDays > 0);
+    const tDcm = {};
+    tCps.forEach(c => { tDcm[c.activeDays] = (tDcm[c.activeDays] || 0) + 1; });
+    return {
+      mint, transfers: tDaily.reduce((s, d) => s + d.txCount, 0),
+      dailyData: tDaily, counterparties: tCps,
+      recurrence: Array.from({ length: days }, (_, i) => ({ days: i + 1, label: `${i + 1}d`, wallets: tDcm[i + 1] || 0 })),
+      uniqueWallets: tCps.length,
+      totalIn: tDaily.reduce((s, d) => s + d.incoming, 0), totalOut: tDaily.reduce((s, d) => s + d.outgoing, 0),
+      totalInUsd: tDaily.reduce((s, d) => s + d.incomingUsd, 0), totalOutUsd: tDaily.reduce((s, d) => s + d.outgoingUsd, 0),
+      totalTx: tDaily.reduce((s, d) => s + d.txCount, 0),
+    };
+  });
+
   return {
-    dailyData: dd, counterparties: cps, recurrence: rec, rawEvents: raw,
+    dailyData: ddUsd, counterparties: cpsUsd, recurrence: rec, rawEvents: raw.map(usd), tokenFlows,
+    allCounterparties: cpsUsd.map(({ daily, ...c }) => c),
     totalIn: dd.reduce((s, d) => s + d.incoming, 0),
     totalOut: dd.reduce((s, d) => s + d.outgoing, 0),
     totalTx: dd.reduce((s, d) => s + d.txCount, 0),
     uniqueWallets: rec.reduce((s, d) => s + d.wallets, 0),
     totalTokens: 5,
+    totalInUsd: ddUsd.reduce((s, d) => s + d.incomingUsd, 0),
+    totalOutUsd: ddUsd.reduce((s, d) => s + d.outgoingUsd, 0),
+    priced: true, unpricedTransfers: 0,
+    days,
+    ...genDemoTypes(dd),
+    fees: feeStats(feeList, {
+      total: feeTotal, totalUsd: feeTotal * DEMO_SOL_USD, priority: feeTotal - feeList.length * BASE_FEE_LAMPORTS / LAMPORTS,
+      txCount: dd.reduce((s, d) => s + d.txCount, 0), othersPaid: dd.reduce((s, d) => s + d.txCount, 0) - feeList.length,
+      sponsored: Math.floor(feeList.length * 0.05),
+    }),
   };
 }
 
-function genDemoHoldings() {
+// Type / source breakdown shaped like analyze() output, from the demo tx counts
+function genDemoTypes(dd) {
+  const mix = [["TRANSFER", 0.45], ["SWAP", 0.3], ["NFT_SALE", 0.08], ["COMPRESSED_NFT_MINT", 0.05], ["STAKE_SOL", 0.04], ["UNKNOWN", 0.08]];
+  const srcOf = { TRANSFER: "SYSTEM_PROGRAM", SWAP: "JUPITER", NFT_SALE: "MAGIC_EDEN", COMPRESSED_NFT_MINT: "BUBBLEGUM", STAKE_SOL: "STAKE_PROGRAM", UNKNOWN: "UNKNOWN" };
+  const typeDaily = dd.map(d => {
+    const row = { date: d.date };
+    let left = d.txCount;
+    mix.forEach(([t, w], i) => {
+      const n = i === mix.length - 1 ? left : Math.min(left, Math.round(d.txCount * w * (0.6 + Math.random() * 0.8)));
+      if (n > 0) row[t] = n;
+      left -= Math.max(n, 0);
+    });
+    return row;
+  });
+  const txTypes = mix.map(([t]) => {
+    const count = typeDaily.reduce((s, r) => s + (r[t] || 0), 0);
+    const volume = +(count * (t === "TRANSFER" ? 3 : t === "SWAP" ? 5 : 1.2) * Math.random()).toFixed(3);
+    return { name: t, count, volume, volumeUsd: volume * DEMO_SOL_USD };
+  }).filter(t => t.count > 0).sort((a, b) => b.count - a.count);
+  const txSources = txTypes.map(t => ({ ...t, name: srcOf[t.name] })).sort((a, b) => b.count - a.count);
+  return { txTypes, txSources, typeDaily, typeFilter: null };
+}
+
+// Fixed demo prices for the USD view
+const DEMO_SOL_USD = 150;
+const DEMO_PRICES = {
+  SOL: DEMO_SOL_USD,
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: 1,
+  JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN: 0.85,
+  DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263: 0.00002,
+  EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm: 1.9,
+  HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3: 0.35,
+};
+const demoPriceAt = (mint) => DEMO_PRICES[priceKey(mint)] ?? null;
+const DEMO_TOKENS = [
+  { mint: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", scale: 5000 },
+  { mint: "JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN", scale: 2000 },
+  { mint: "DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263", scale: 50_000_000 },
+];
+
+export function genDemoHoldings() {
+  // dasUsd mirrors the price_info DAS returns for listed tokens
+  const withDasUsd = (t) => ({ ...t, dasUsd: demoPriceAt(t.mint) == null ? null : t.displayBalance * demoPriceAt(t.mint) });
   return {
     sol: +(Math.random() * 100 + 5).toFixed(4),
     tokens: [
@@ -414,7 +1206,15 @@ function genDemoHoldings() {
       { mint: "DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263", name: "Bonk", symbol: "BONK", balance: 150000000000, decimals: 5, displayBalance: 1500000 },
       { mint: "EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm", name: "dogwifhat", symbol: "WIF", balance: 345000000000, decimals: 9, displayBalance: 345 },
       { mint: "HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3", name: "Pyth Network", symbol: "PYTH", balance: 12000000000, decimals: 6, displayBalance: 12000 },
+      { mint: "9sPamDemoMint1111111111111111111111111111111", name: "Claim reward at sol-drop.xyz", symbol: "SOLDROP", balance: 1000000000000, decimals: 6, displayBalance: 1000000, spam: true },
+    ].map(withDasUsd),
+    nfts: [
+      ...Array.from({ length: 4 }, (_, i) => ({ id: `DemoMadLads${i}`, name: `Mad Lad #${1200 + i * 37}`, collection: "J1S9H3QjnRtBbbuD4HjPV6RpRhwuk4zKbxsnCHuTgh9w", collectionName: "Mad Lads", image: null, compressed: false, interface: "ProgrammableNFT" })),
+      ...Array.from({ length: 3 }, (_, i) => ({ id: `DemoTensorian${i}`, name: `Tensorian #${400 + i}`, collection: "5PA96eCFHJSFPY9SWFeRJUHrpoNF5XZL6RrE1JADXhxf", collectionName: "Tensorians", image: null, compressed: false, interface: "V1_NFT" })),
+      ...Array.from({ length: 2 }, (_, i) => ({ id: `DemoCnft${i}`, name: `Event Pass #${i + 1}`, collection: null, collectionName: null, image: null, compressed: true, interface: "V1_NFT" })),
     ],
+    totalAssets: 15,
+    truncated: false,
   };
 }
 
@@ -450,35 +1250,83 @@ const DAY_COLORS = [
 // ═════════════════════════════════════════════════════════════════════════════
 
 export default function App() {
-  // Multi-wallet state (10 slots)
-  const [wallets, setWallets] = useState(() => [
-    getInitial("wallet1", "sol-dash-wallet1", "wallet"),
-    getInitial("wallet2", "sol-dash-wallet2"),
-    getInitial("wallet3", "sol-dash-wallet3"),
-    getInitial("wallet4", "sol-dash-wallet4"),
-    getInitial("wallet5", "sol-dash-wallet5"),
-    getInitial("wallet6", "sol-dash-wallet6"),
-    getInitial("wallet7", "sol-dash-wallet7"),
-    getInitial("wallet8", "sol-dash-wallet8"),
-    getInitial("wallet9", "sol-dash-wallet9"),
-    getInitial("wallet10", "sol-dash-wallet10"),
-  ]);
+  // Named watchlists; `wallets` is the active list's addresses, and every
+  // per-wallet array below (results, txsArr, …) is indexed the same way
+  const [initLists] = useState(initWatchlists);
+  const [watchlists, setWatchlists] = useState(initLists.watchlists);
+  const [listId, setListId] = useState(initLists.listId);
+  const list = watchlists.find(l => l.id === listId) || watchlists[0];
+  const wallets = useMemo(() => list.wallets.map(w => w.address), [list]);
+  const labels = useMemo(() => list.wallets.map((w, i) => w.nickname || `Wallet ${i + 1}`), [list]);
   const [apiKey, setApiKey] = useState(() => getInitial("key", "sol-dash-apikey"));
+  const [days, setDays] = useState(() => parseDays(getInitial("days", "sol-dash-days")));
+  const [unit, setUnit] = useState(() => getInitial("unit", "sol-dash-unit") === "USD" ? "USD" : "SOL");
+  const [priceSourceName, setPriceSourceName] = useState(() => {
+    const v = getInitial("prices", "sol-dash-prices");
+    return PRICE_SOURCES[v] ? v : "coingecko";
+  });
+  const [pricing, setPricing] = useState(null);
+  const [token, setToken] = useState("SOL");
+  const [typeFilter, setTypeFilter] = useState([]);
+  const [includeFees, setIncludeFees] = useState(() => getInitial("", "sol-dash-fees") === "1");
+  const [priceError, setPriceError] = useState("");
   const [showKey, setShowKey] = useState(false);
+  const [serverKey, setServerKey] = useState(false);
   const [loading, setLoading] = useState(false);
   const [progress, setProgress] = useState("");
-  const [errors, setErrors] = useState(Array(10).fill(""));
+  const [errors, setErrors] = useState([]);
   const [copied, setCopied] = useState(false);
-  const [results, setResults] = useState(Array(10).fill(null));
-  const [holdingsArr, setHoldingsArr] = useState(Array(10).fill(null));
-  const [holdingsErrors, setHoldingsErrors] = useState(Array(10).fill(""));
+  const [results, setResults] = useState([]);
+  const [holdingsArr, setHoldingsArr] = useState([]);
+  const [holdingsErrors, setHoldingsErrors] = useState([]);
+  const [txsArr, setTxsArr] = useState([]);
   const [isDemo, setIsDemo] = useState(false);
   const [tab, setTab] = useState("flow");
   const [activeTab, setActiveTab] = useState(0);
+  const [live, setLive] = useState(false);
+  const [liveFeed, setLiveFeed] = useState([]);
+  const [liveUpdatedAt, setLiveUpdatedAt] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [rules, setRules] = useState({});
+  const [alertSettings, setAlertSettings] = useState(() => loadJson("sol-dash-alert-settings", { notify: false, webhook: "" }));
+  const [alertLog, setAlertLog] = useState(() => loadJson("sol-dash-alert-log", []));
+  const [addrBook, setAddrBook] = useState(() => normalizeBook(loadJson("sol-dash-address-book", {})));
+  const [known, setKnown] = useState({ updated: null, entities: {} });
+  const [showBook, setShowBook] = useState(false);
+  const [drawer, setDrawer] = useState(null);
+  const [tz, setTz] = useState(() => {
+    const v = getInitial("tz", "sol-dash-tz");
+    return v && isTz(v) ? v : TZ_DEFAULT;
+  });
+  const [range, setRange] = useState(() => parseRange(getInitial("range", "sol-dash-range")));
+  const [explorer, setExplorer] = useState(() => {
+    const v = getInitial("", "sol-dash-explorer");
+    return EXPLORERS[v] ? v : "solscan";
+  });
+  const analyzeQueued = useRef(false);
+  const [fetchedAt, setFetchedAt] = useState(null);
+  const [snapshot, setSnapshot] = useState(null);
+  const snapshotInput = useRef(null);
   const didAutoRun = useRef(false);
-
-  const setWallet = useCallback((idx, val) => {
-    setWallets(prev => { const n = [...prev]; n[idx] = val; return n; });
+  const livePoll = useRef({ busy: false, analyzers: {} });
+  const activeAlerts = useRef({});
+  const pricingBusy = useRef(false);
+
+  const updateList = useCallback((fn) => {
+    setWatchlists(prev => prev.map(l => l.id === listId ? fn(l) : l));
+  }, [listId]);
+
+  // Editing past the end (the blank row of an empty list) appends
+  const setWalletField = useCallback((idx, field, val) => updateList(l => {
+    const ws = [...l.wallets];
+    ws[idx] = { ...(ws[idx] || { address: "", nickname: "" }), [field]: val };
+    return { ...l, wallets: ws };
+  }), [updateList]);
+  const setWallet = useCallback((idx, val) => setWalletField(idx, "address", val), [setWalletField]);
+
+  // Detect server-side Helius key
+  useEffect(() => {
+    fetchServerConfig().then(cfg => setServerKey(!!cfg.serverKey));
   }, []);
 
   // Persist API key
@@ -486,33 +1334,117 @@ export default function App() {
     if (apiKey.trim()) persist("sol-dash-apikey", apiKey.trim());
   }, [apiKey]);
 
-  // Persist wallet addresses
+  // Persist lookback window
   useEffect(() => {
-    wallets.forEach((w, i) => {
-      if (w.trim() && !w.startsWith("Demo")) {
-        persist(`sol-dash-wallet${i + 1}`, w.trim());
-      }
+    persist("sol-dash-days", String(days));
+  }, [days]);
+
+  // Persist display unit + price source
+  useEffect(() => {
+    persist("sol-dash-unit", unit);
+    persist("sol-dash-prices", priceSourceName);
+  }, [unit, priceSourceName]);
+
+  useEffect(() => {
+    persist("sol-dash-fees", includeFees ? "1" : "0");
+  }, [includeFees]);
+
+  useEffect(() => {
+    persist("sol-dash-explorer", explorer);
+  }, [explorer]);
+
+  useEffect(() => {
+    persist("sol-dash-tz", tz);
+    updateUrlParam("tz", tz === TZ_DEFAULT ? "" : tz);
+  }, [tz]);
+
+  useEffect(() => {
+    const v = rangeParam(range);
+    persist("sol-dash-range", v);
+    updateUrlParam("range", v === RANGE_DEFAULT ? "" : v);
+  }, [range]);
+
+  // Load alert rules for each wallet address (stored per address)
+  useEffect(() => {
+    setRules(prev => {
+      const n = { ...prev };
+      wallets.forEach(w => {
+        const a = w.trim();
+        if (a && !a.startsWith("Demo") && !n[a]) n[a] = loadJson(`sol-dash-rules-${a}`, []);
+      });
+      return n;
     });
   }, [wallets]);
 
+  useEffect(() => {
+    persist("sol-dash-alert-settings", JSON.stringify(alertSettings));
+  }, [alertSettings]);
+
+  useEffect(() => {
+    fetchKnownEntities().then(setKnown);
+  }, []);
+
+  useEffect(() => {
+    persist("sol-dash-address-book", JSON.stringify(addrBook));
+  }, [addrBook]);
+
+  // Nicknames from every list; the active list's win
+  const nicknames = useMemo(() => {
+    const m = {};
+    for (const l of [...watchlists.filter(l => l !== list), list]) for (const w of l.wallets) if (w.nickname) m[w.address.trim()] = w.nickname;
+    return m;
+  }, [watchlists, list]);
+  const nameOf = useCallback((addr) => lookupName(addrBook, known.entities, addr, nicknames), [addrBook, known, nicknames]);
+
+  useEffect(() => {
+    persist("sol-dash-alert-log", JSON.stringify(alertLog.slice(0, ALERT_LOG_MAX)));
+  }, [alertLog]);
+
+  const setWalletRules = useCallback((addr, list) => {
+    setRules(prev => ({ ...prev, [addr]: list }));
+    persist(`sol-dash-rules-${addr}`, JSON.stringify(list));
+  }, []);
+
+  // Persist watchlists (the demo list is never saved)
+  useEffect(() => {
+    persist("sol-dash-watchlists", JSON.stringify(watchlists.filter(l => l.id !== DEMO_LIST).map(l => normalizeList(l))));
+  }, [watchlists]);
+
+  useEffect(() => {
+    if (listId !== DEMO_LIST) persist("sol-dash-watchlist", listId);
+  }, [listId]);
+
+  // Loads the selected price source for every mint in these tx/holdings sets
+  const loadPricing = useCallback(async (txLists, holdingsList) => {
+    const src = PRICE_SOURCES[priceSourceName].create();
+    await src.load(collectMints(txLists, holdingsList), Date.now() - days * DAY_MS, Date.now());
+    return src;
+  }, [priceSourceName, days]);
+
   const handleAnalyze = useCallback(async () => {
-    const key = apiKey.trim();
+    // With a server-side key the user key is never sent
+    const key = serverKey ? "" : apiKey.trim();
     const filled = wallets.map(w => w.trim()).filter(Boolean);
-    if (!filled.length || !key) {
-      setErrors(["Enter at least one wallet address + Helius API key", "", ""]);
+    if (!filled.length || (!key && !serverKey)) {
+      setErrors([serverKey ? "Enter at least one wallet address" : "Enter at least one wallet address + Helius API key", "", ""]);
       return;
     }
+    const n = wallets.length;
     setLoading(true);
-    setErrors(Array(10).fill(""));
-    setResults(Array(10).fill(null));
-    setHoldingsArr(Array(10).fill(null));
-    setHoldingsErrors(Array(10).fill(""));
+    setErrors(Array(n).fill(""));
+    setResults(Array(n).fill(null));
+    setHoldingsArr(Array(n).fill(null));
+    setHoldingsErrors(Array(n).fill(""));
+    setTxsArr(Array(n).fill(null));
+    setLiveFeed([]);
     setIsDemo(false);
+    setSnapshot(null);
 
-    const newResults = Array(10).fill(null);
-    const newHoldings = Array(10).fill(null);
-    const newErrors = Array(10).fill("");
-    const newHoldingsErrors = Array(10).fill("");
+    const newResults = Array(n).fill(null);
+    const newTxs = Array(n).fill(null);
+    const newHoldings = Array(n).fill(null);
+    const newErrors = Array(n).fill("");
+    const newHoldingsErrors = Array(n).fill("");
 
     // Fetch wallets sequentially to avoid RPC rate-limits
     for (let i = 0; i < wallets.length; i++) {
@@ -521,24 +1453,36 @@ export default function App() {
 
       // Fetch transactions
       try {
-        const txData = await fetchTxs(addr, key, (msg) => setProgress(`Wallet ${i + 1}: ${msg}`));
-        if (!txData?.length) {
-          newErrors[i] = "No transactions in last 15 days.";
-        } else {
-          newResults[i] = analyze(addr, txData);
-        }
+        const txData = await fetchTxsCached(addr, key, (msg) => setProgress(`${labels[i]}: ${msg}`), days);
+        newTxs[i] = txData || [];
+        if (!txData?.length) newErrors[i] = `No transactions in last ${days} days.`;
       } catch (err) {
         newErrors[i] = err?.message || "Fetch failed";
       }
 
       // Fetch holdings
       try {
-        newHoldings[i] = await fetchHoldings(addr, key);
+        newHoldings[i] = await fetchHoldings(addr, key, (msg) => setProgress(`${labels[i]}: ${msg}`));
       } catch {
         newHoldingsErrors[i] = "Could not load token holdings";
       }
     }
+
+    // USD prices (only when the USD view is on; toggling later loads them too)
+    let src = null;
+    setPriceError("");
+    if (unit === "USD") {
+      setProgress("Loading USD prices…");
+      try { src = await loadPricing(newTxs, newHoldings); }
+      catch (err) { setPriceError(err?.message || "Could not load prices"); }
+    }
+    setPricing(src);
+
+    newTxs.forEach((txs, i) => {
+      if (txs?.length) newResults[i] = analyze(wallets[i].trim(), txs, days, { priceAt: src?.priceAt, tz });
+    });
     setResults(newResults);
+    setTxsArr(newTxs);
     setHoldingsArr(newHoldings);
     setErrors(newErrors);
     setHoldingsErrors(newHoldingsErrors);
@@ -547,69 +1491,440 @@ export default function App() {
     const firstWithData = newResults.findIndex(r => r !== null);
     if (firstWithData >= 0) setActiveTab(firstWithData);
 
-    // Update URL params
-    wallets.forEach((w, i) => {
-      updateUrlParam(`wallet${i + 1}`, w.trim());
-    });
-    // Clean up old single-wallet param
+    // Share the list as ?wl=; drop the legacy slot params it replaces
+    updateUrlParam("wl", list.id === DEMO_LIST ? "" : encodeWatchlist(list));
     updateUrlParam("wallet", "");
+    for (let i = 1; i <= LEGACY_SLOTS; i++) updateUrlParam(`wallet${i}`, "");
+    updateUrlParam("days", days === DEFAULT_DAYS ? "" : String(days));
 
+    setFetchedAt(Date.now());
+    setNow(Date.now());
     setLoading(false);
     setProgress("");
-  }, [wallets, apiKey]);
+  }, [wallets, labels, list, apiKey, days, serverKey, unit, loadPricing, tz]);
 
   // Auto-run with proper deps
   useEffect(() => {
     if (didAutoRun.current) return;
     try {
       const url = new URL(window.location.href);
-      const hasWallet = url.searchParams.get("wallet1") || url.searchParams.get("wallet");
-      if (hasWallet && (url.searchParams.get("key") || apiKey)) {
+      const hasWallet = url.searchParams.get("wl") || url.searchParams.get("wallet1") || url.searchParams.get("wallet");
+      if (hasWallet && (url.searchParams.get("key") || apiKey || serverKey)) {
         didAutoRun.current = true;
         setTimeout(() => handleAnalyze(), 100);
       }
     } catch {}
-  }, [handleAnalyze, apiKey]);
+  }, [handleAnalyze, apiKey, serverKey]);
+
+  // Live mode: poll each analyzed slot only for transactions newer than the
+  // newest signature held in memory (txsArr is newest first) and add them to
+  // that slot's analyzer, so a tick tallies just the new transactions. The
+  // analyzer is rebuilt from the held transactions when the shown result came
+  // from elsewhere (new analyze, prices, time zone) or its day buckets ended.
+  // Windows slide forward with `now`.
+  const pollLive = useCallback(async () => {
+    if (livePoll.current.busy || loading) return;
+    livePoll.current.busy = true;
+    const key = serverKey ? "" : apiKey.trim();
+    const updates = [];
+    try {
+      for (let i = 0; i < wallets.length; i++) {
+        const addr = wallets[i].trim();
+        const held = txsArr[i];
+        if (!addr || !held) continue;
+        // Keep SOL balance fresh for wallets with a balance floor rule
+        if (rules[addr]?.some(r => r.enabled && r.type === "balanceBelow")) {
+          try {
+            const bal = await rpcCall("getBalance", [addr], key);
+            if (bal.result) updates.push({ i, addr, sol: (bal.result.value ?? 0) / LAMPORTS });
+          } catch {}
+        }
+        try {
+          // An empty wallet has no signature to resume from; its full fetch is one page
+          const { txs: added, truncated } = await fetchTxs(addr, key, null, days, held[0]?.signature);
+          if (!added.length) continue;
+          const at = Date.now();
+          let entry = livePoll.current.analyzers[i];
+          let txs = mergeTxs(added, held), events;
+          if (truncated) {
+            // Too many new transactions for one fetch: reload the gap through the cache
+            txs = await fetchTxsCached(addr, key, null, days);
+            entry = null;
+          }
+          if (entry && entry.result === results[i] && entry.analyzer.today === dayKey(at, tz)) {
+            events = entry.analyzer.add(added, at);
+          } else {
+            const isNew = new Set(added.map(tx => tx.signature));
+            const analyzer = createAnalyzer(addr, days, { priceAt: pricing?.priceAt, now: at, tz });
+            analyzer.add(txs.filter(tx => !isNew.has(tx.signature)));
+            events = analyzer.add(txs.filter(tx => isNew.has(tx.signature)));
+            entry = { analyzer };
+          }
+          entry.result = entry.analyzer.result();
+          livePoll.current.analyzers[i] = entry;
+          updates.push({ i, addr, txs, result: entry.result, events });
+        } catch {}
+      }
+    } finally {
+      livePoll.current.busy = false;
+    }
+
+    const balances = updates.filter(u => u.sol !== undefined);
+    const txUpdates = updates.filter(u => u.txs);
+    if (balances.length) {
+      setHoldingsArr(prev => { const n = [...prev]; balances.forEach(u => { if (n[u.i]) n[u.i] = { ...n[u.i], sol: u.sol }; }); return n; });
+    }
+    if (txUpdates.length) {
+      setTxsArr(prev => { const n = [...prev]; txUpdates.forEach(u => { n[u.i] = u.txs; }); return n; });
+      setResults(prev => { const n = [...prev]; txUpdates.forEach(u => { n[u.i] = u.result; }); return n; });
+      const fresh = txUpdates.flatMap(u => u.events.map(e => ({ ...e, slot: u.i, wallet: u.addr })));
+      setLiveFeed(prev => [...fresh, ...prev].sort((a, b) => b.ts - a.ts).slice(0, LIVE_FEED_MAX));
+    }
+    setNow(Date.now());
+    setLiveUpdatedAt(Date.now());
+  }, [wallets, txsArr, results, apiKey, serverKey, days, loading, rules, pricing, tz]);
+
+  // Switching to USD (or changing the source) prices the already-fetched
+  // transactions and re-runs analyze: no refetch needed. Results replaced while
+  // prices load (a refresh or live poll) are left alone and priced on the rerun.
+  useEffect(() => {
+    if (unit !== "USD" || isDemo || snapshot || loading || pricingBusy.current) return;
+    const stale = results.some((r, i) => r && txsArr[i]?.length && (!r.priced || pricing?.name !== priceSourceName));
+    if (!stale) return;
+    pricingBusy.current = true;
+    setProgress("Loading USD prices…");
+    setPriceError("");
+    loadPricing(txsArr, holdingsArr)
+      .then(src => {
+        pricingBusy.current = false;
+        setPricing(src);
+        setResults(prev => prev.map((r, i) => r && r === results[i] && txsArr[i]?.length ? analyze(wallets[i].trim(), txsArr[i], days, { priceAt: src.priceAt, tz }) : r));
+      }, err => {
+        pricingBusy.current = false;
+        setPriceError(err?.message || "Could not load prices");
+      })
+      .finally(() => setProgress(""));
+  }, [unit, priceSourceName, pricing, results, txsArr, holdingsArr, wallets, days, tz, loadPricing, isDemo, snapshot, loading]);
+
+  // A time zone change re-buckets the already-fetched transactions
+  useEffect(() => {
+    if (loading || !results.some((r, i) => r && txsArr[i]?.length && r.tz !== tz)) return;
+    setResults(prev => prev.map((r, i) => r && txsArr[i]?.length && r.tz !== tz
+      ? analyze(wallets[i].trim(), txsArr[i], r.days, { priceAt: r.priced ? pricing?.priceAt : null, now: snapshot?.fetchedAt, tz })
+      : r));
+  }, [tz, results, txsArr, loading]);
+
+  useEffect(() => {
+    if (!live) return;
+    const id = setInterval(pollLive, LIVE_POLL_MS);
+    return () => clearInterval(id);
+  }, [live, pollLive]);
+
+  // Evaluate alert rules whenever results/holdings change (analyze or live poll).
+  // Replayed snapshots never fire alerts.
+  useEffect(() => {
+    if (isDemo || snapshot) return;
+    wallets.forEach((w, i) => {
+      const addr = w.trim();
+      const list = rules[addr];
+      if (!addr || !list?.length || (!results[i] && !holdingsArr[i])) return;
+      const hits = evalRules(list, results[i], holdingsArr[i]);
+      const prev = activeAlerts.current[addr] || new Set();
+      const fired = hits.filter(h => !prev.has(h.key));
+      activeAlerts.current[addr] = new Set(hits.map(h => h.key));
+      if (fired.length) {
+        deliverAlerts(addr, fired, alertSettings).then(entries => {
+          setAlertLog(log => [...entries, ...log].slice(0, ALERT_LOG_MAX));
+        });
+      }
+    });
+  }, [results, holdingsArr, rules, isDemo, snapshot]);
+
+  // Drawer "watch" button: add the counterparty to the active list (reusing a
+  // blank row) and re-run Analyze once the wallets state has updated
+  const handleWatch = useCallback((addr) => {
+    const have = wallets.findIndex(w => w.trim() === addr);
+    if (have >= 0) { setActiveTab(have); setDrawer(null); return; }
+    const free = wallets.findIndex(w => !w.trim());
+    setWallet(free >= 0 ? free : wallets.length, addr);
+    setDrawer(null);
+    analyzeQueued.current = true;
+  }, [wallets, setWallet]);
+
+  // Per-wallet arrays restart empty whenever the set of rows changes shape
+  const clearResults = useCallback(() => {
+    setLive(false);
+    setLiveFeed([]);
+    setResults([]);
+    setTxsArr([]);
+    setHoldingsArr([]);
+    setErrors([]);
+    setHoldingsErrors([]);
+    setPricing(null);
+    setIsDemo(false);
+    setSnapshot(null);
+    setActiveTab(0);
+  }, []);
+
+  const selectList = useCallback((id) => {
+    if (id === listId) return;
+    setListId(id);
+    clearResults();
+    // The demo list only exists while it is shown
+    if (listId === DEMO_LIST) setWatchlists(prev => prev.filter(l => l.id !== DEMO_LIST));
+  }, [listId, clearResults]);
+
+  const handleNewList = useCallback(() => {
+    const real = watchlists.filter(l => l.id !== DEMO_LIST);
+    const [next, id] = mergeWatchlist(real, normalizeList({ name: "New list" }));
+    setWatchlists(next);
+    setListId(id);
+    clearResults();
+  }, [watchlists, clearResults]);
+
+  const handleDeleteList = useCallback(() => {
+    const rest = watchlists.filter(l => l.id !== listId && l.id !== DEMO_LIST);
+    if (!rest.length) return;
+    setWatchlists(rest);
+    setListId(rest[0].id);
+    clearResults();
+  }, [watchlists, listId, clearResults]);
+
+  // Imported lists are added next to the existing ones; the first is selected
+  const handleImportLists = useCallback((incoming) => {
+    let next = watchlists.filter(l => l.id !== DEMO_LIST), first = null;
+    for (const l of incoming) {
+      let id;
+      [next, id] = mergeWatchlist(next, l);
+      first = first || id;
+    }
+    setWatchlists(next);
+    if (first && first !== listId) { setListId(first); clearResults(); }
+  }, [watchlists, listId, clearResults]);
+
+  // Removing a row drops its entry from every per-wallet array too
+  const removeWallet = useCallback((idx) => {
+    updateList(l => ({ ...l, wallets: l.wallets.filter((_, i) => i !== idx) }));
+    const drop = (prev) => prev.filter((_, i) => i !== idx);
+    setResults(drop);
+    setTxsArr(drop);
+    setHoldingsArr(drop);
+    setErrors(drop);
+    setHoldingsErrors(drop);
+    setLiveFeed(prev => prev.filter(e => e.slot !== idx).map(e => e.slot > idx ? { ...e, slot: e.slot - 1 } : e));
+    setActiveTab(t => typeof t !== "number" ? t : t > idx ? t - 1 : t === idx ? 0 : t);
+  }, [updateList]);
+
+  useEffect(() => {
+    if (!analyzeQueued.current) return;
+    analyzeQueued.current = false;
+    handleAnalyze();
+  }, [handleAnalyze]);
+
+  const handleClearCache = useCallback(async () => {
+    try {
+      await clearTxCache();
+      setProgress("Transaction cache cleared.");
+    } catch {
+      setProgress("Could not clear transaction cache.");
+    }
+    setTimeout(() => setProgress(""), 2000);
+  }, []);
 
+  // Demo data goes in a throwaway list so the saved ones are left alone
   const handleDemo = useCallback(() => {
-    setResults(Array.from({ length: 10 }, genDemo));
-    setHoldingsArr(Array.from({ length: 10 }, genDemoHoldings));
-    setHoldingsErrors(Array(10).fill(""));
-    setErrors(Array(10).fill(""));
+    const n = 10;
+    setLive(false);
+    setLiveFeed([]);
+    setTxsArr(Array(n).fill(null));
+    setResults(Array.from({ length: n }, () => genDemo(days, tz)));
+    setPricing({ name: "demo", priceAt: demoPriceAt });
+    setPriceError("");
+    setHoldingsArr(Array.from({ length: n }, genDemoHoldings));
+    setHoldingsErrors(Array(n).fill(""));
+    setErrors(Array(n).fill(""));
     setIsDemo(true);
-    setWallets(Array.from({ length: 10 }, (_, i) => `DemoWallet${i + 1}...`));
+    setSnapshot(null);
+    setWatchlists(prev => [...prev.filter(l => l.id !== DEMO_LIST), {
+      id: DEMO_LIST, name: "Demo",
+      wallets: Array.from({ length: n }, (_, i) => ({ address: `DemoWallet${i + 1}...`, nickname: "" })),
+    }]);
+    setListId(DEMO_LIST);
     setActiveTab(0);
-  }, []);
+  }, [days, tz]);
+
+  const handleSaveSnapshot = useCallback(() => {
+    const snap = buildSnapshot({ list, txsArr, holdingsArr, errors, holdingsErrors, days, unit, tz, priceSourceName, pricing, fetchedAt: snapshot?.fetchedAt ?? fetchedAt ?? Date.now() });
+    downloadFile({ name: `sol-dash-snapshot-${snap.fetchedAt.slice(0, 16).replace(/[:T]/g, "-")}.json`, text: JSON.stringify(snap), type: "application/json" });
+  }, [list, txsArr, holdingsArr, errors, holdingsErrors, days, unit, tz, priceSourceName, pricing, fetchedAt, snapshot]);
+
+  // Rebuilds every wallet from the file: no fetches, prices from the snapshot.
+  // Its wallets become a watchlist (an identical existing one is reused).
+  const handleLoadSnapshot = useCallback(async (file) => {
+    if (!file) return;
+    let snap;
+    try { snap = readSnapshot(await file.text()); }
+    catch (err) { setProgress(err.message); setTimeout(() => setProgress(""), 4000); return; }
+    const d = parseDays(String(snap.settings?.days));
+    // Replay in the zone it was saved in so the daily buckets match
+    const z = snap.settings?.tz && isTz(snap.settings.tz) ? snap.settings.tz : tz;
+    const src = snap.prices ? { name: "snapshot", load: async () => {}, priceAt: (mint, ts) => tableAt(snap.prices, mint, ts) } : null;
+    const n = snap.wallets.length;
+    const txs = Array(n).fill(null), hs = Array(n).fill(null);
+    const errs = Array(n).fill(""), hErrs = Array(n).fill(""), res = Array(n).fill(null);
+    snap.wallets.forEach((s, i) => {
+      txs[i] = s.txs || null;
+      hs[i] = s.holdings || null;
+      errs[i] = s.error || "";
+      hErrs[i] = s.holdingsError || "";
+      if (txs[i]?.length) res[i] = analyze(s.address, txs[i], d, { priceAt: src?.priceAt, now: snap.fetchedAt, tz: z });
+    });
+    const [next, id] = mergeWatchlist(watchlists.filter(l => l.id !== DEMO_LIST), normalizeList({
+      name: snap.watchlist || `Snapshot ${new Date(snap.fetchedAt).toISOString().slice(0, 10)}`,
+      wallets: snap.wallets,
+    }));
+    setLive(false);
+    setLiveFeed([]);
+    setIsDemo(false);
+    setDays(d);
+    setTz(z);
+    if (snap.settings?.unit === "USD" || snap.settings?.unit === "SOL") setUnit(snap.settings.unit);
+    setPricing(src);
+    setPriceError(src ? "" : "Snapshot has no saved prices");
+    setWatchlists(next);
+    setListId(id);
+    setTxsArr(txs);
+    setHoldingsArr(hs);
+    setErrors(errs);
+    setHoldingsErrors(hErrs);
+    setResults(res);
+    setFetchedAt(snap.fetchedAt);
+    setSnapshot({ name: file.name, savedAt: snap.savedAt, fetchedAt: snap.fetchedAt });
+    setActiveTab(Math.max(0, res.findIndex(r => r !== null)));
+    setNow(Date.now());
+  }, [tz, watchlists]);
 
   const shareUrl = useMemo(() => {
-    const filled = wallets.filter(w => w.trim() && !w.startsWith("Demo"));
-    if (!filled.length) return "";
+    if (list.id === DEMO_LIST || !wallets.some(w => w.trim())) return "";
     try {
       const u = new URL(window.location.origin + window.location.pathname);
-      wallets.forEach((w, i) => { if (w.trim() && !w.startsWith("Demo")) u.searchParams.set(`wallet${i + 1}`, w.trim()); });
+      u.searchParams.set("wl", encodeWatchlist(list));
+      if (days !== DEFAULT_DAYS) u.searchParams.set("days", String(days));
       return u.toString();
     } catch { return ""; }
-  }, [wallets]);
-
-  // Active wallet's data
-  const data = results[activeTab];
-  const holdings = holdingsArr[activeTab];
+  }, [list, wallets, days]);
+
+  // "All wallets": every slot with transactions analyzed as one group over the
+  // merged (deduplicated) history, so transfers inside the group net out
+  const aggregate = useMemo(() => {
+    if (activeTab !== "all") return null;
+    const idx = results.map((r, i) => r && txsArr[i]?.length ? i : -1).filter(i => i >= 0);
+    if (idx.length < 2) return null;
+    const priced = idx.every(i => results[i].priced);
+    const group = new Set(idx.map(i => wallets[i].trim())), txs = mergeTxs(...idx.map(i => txsArr[i]));
+    const result = analyze(group, txs, results[idx[0]].days, { priceAt: priced ? pricing?.priceAt : null, now: snapshot?.fetchedAt, tz });
+    const hs = holdingsArr.filter((h, i) => h && results[i]);
+    return { result, holdings: hs.length ? sumHoldings(hs) : null, group, txs };
+  }, [activeTab, results, txsArr, holdingsArr, wallets, pricing, snapshot, tz]);
+  const canAggregate = results.filter((r, i) => r && txsArr[i]?.length).length > 1;
+
+  // Active wallet's data. A type filter re-runs analyze over the view's raw
+  // transactions with only those types (not available for demo data).
+  const base = activeTab === "all" ? aggregate?.result : results[activeTab];
+  const active = useMemo(() => {
+    if (!base || !typeFilter.length) return base;
+    const src = activeTab === "all" ? aggregate : { group: wallets[activeTab]?.trim(), txs: txsArr[activeTab] };
+    if (!src?.txs?.length) return base;
+    return analyze(src.group, src.txs, base.days, { priceAt: base.priced ? pricing?.priceAt : null, now: snapshot?.fetchedAt, types: new Set(typeFilter), tz });
+  }, [base, typeFilter, activeTab, aggregate, wallets, txsArr, pricing, snapshot, tz]);
+  // Raw transactions behind the active view, for the Transactions tab
+  const txRecs = useMemo(() => {
+    if (tab !== "txs") return null;
+    if (activeTab === "all") return aggregate ? txRecords(aggregate.group, aggregate.txs) : null;
+    const txs = txsArr[activeTab];
+    return txs?.length ? txRecords(wallets[activeTab].trim(), txs) : null;
+  }, [tab, activeTab, aggregate, txsArr, wallets]);
+  const activeHoldings = activeTab === "all" ? aggregate?.holdings : holdingsArr[activeTab];
+  const activeWallet = activeTab === "all" ? "all" : wallets[activeTab]?.trim();
+  const symbols = useMemo(() => symbolMap(holdingsArr), [holdingsArr]);
+  // Selected mint must exist in this wallet's flows; otherwise fall back to SOL
+  const tokenSel = token !== "SOL" && active?.tokenFlows?.some(f => f.mint === token) ? token : "SOL";
+  // Panels read `data`/`holdings`: the token projection (if a mint is picked),
+  // then the USD projection in USD mode
+  const usdView = unit === "USD" && !!active?.priced;
+  const project = useCallback((r) => {
+    let v = tokenSel !== "SOL" ? toTokenView(r, tokenSel) : includeFees ? withFees(r) : r;
+    if (usdView) v = toUsdView(v);
+    return withSymbols(v, symbols);
+  }, [tokenSel, includeFees, usdView, symbols]);
+  const data = useMemo(() => active && project(active), [active, project]);
+
+  // Graph expansion: one counterparty's own history, in the same unit/token view
+  const expandCounterparty = useCallback(async (addr) => {
+    if (isDemo) return genDemo(data.days, tz).counterparties;
+    const key = serverKey ? "" : apiKey.trim();
+    const { txs } = await fetchTxs(addr, key, null, data.days);
+    const r = analyze(addr, txs || [], data.days, { priceAt: pricing?.priceAt, tz });
+    if (tokenSel !== "SOL" && !r.tokenFlows.some(f => f.mint === tokenSel)) return [];
+    return project(r).counterparties;
+  }, [isDemo, serverKey, apiKey, data, pricing, tokenSel, project, tz]);
+  const holdings = useMemo(() => activeHoldings && unit === "USD" && pricing ? valueHoldings(activeHoldings, pricing.priceAt) : activeHoldings, [activeHoldings, unit, pricing]);
+  const unitLabel = usdView ? "USD" : symbolOf(symbols, tokenSel);
   const holdingsError = holdingsErrors[activeTab];
   const hasAnyResults = results.some(r => r !== null);
   const resultCount = results.filter(r => r !== null).length;
 
-  const h1 = useMemo(() => data ? compWin(data.rawEvents, 3600000) : null, [data]);
-  const h6 = useMemo(() => data ? compWin(data.rawEvents, 6 * 3600000) : null, [data]);
-  const h24 = useMemo(() => data ? compWin(data.rawEvents, 86400000) : null, [data]);
-  const d3Trend = useMemo(() => data ? compHourlyTrend(data.rawEvents) : null, [data]);
+  // `now` re-runs a preset range on each live poll so it slides forward in place
+  // A loaded snapshot pins presets to its fetch time
+  const asOf = snapshot?.fetchedAt;
+  const span = useMemo(() => resolveRange(range, asOf ?? Date.now()), [range, now, asOf]);
+  const win = useMemo(() => data ? compRange(data.rawEvents, span.from, span.to) : null, [data, span]);
+  const trend = useMemo(() => data ? compHourlyTrend(data.rawEvents, span.from, span.to, tz) : null, [data, span, tz]);
+  const fmtBucket = useCallback((ts) => win?.bucketMs >= DAY_MS ? fmtDT(ts, tz, { month: "numeric", day: "numeric" })
+    : span.to - span.from > DAY_MS ? fmtDT(ts, tz, { month: "numeric", day: "numeric", hour: "2-digit", minute: "2-digit" })
+    : fmtT(ts, tz), [win, span, tz]);
+
+  // Daily chart brush: shows the range's days; dragging it sets an absolute
+  // range from the first selected day's midnight to the end of the last
+  const brushIdx = useMemo(() => {
+    const dd = data?.dailyData || [];
+    if (range.preset || !dd.length) return [0, Math.max(0, dd.length - 1)];
+    const a = dayKey(span.from, tz), b = dayKey(span.to - 1, tz);
+    const i = dd.findIndex(d => d.date >= a), j = dd.findLastIndex(d => d.date <= b);
+    return i < 0 || j < i ? [0, dd.length - 1] : [i, j];
+  }, [data, range, span, tz]);
+  const handleBrush = useCallback(({ startIndex, endIndex }) => {
+    const dd = data.dailyData;
+    if (startIndex === brushIdx[0] && endIndex === brushIdx[1]) return;
+    setRange({ from: fromWall(`${dd[startIndex].date}T00:00`, tz), to: fromWall(`${shiftDay(dd[endIndex].date, 1)}T00:00`, tz) });
+  }, [data, brushIdx, tz]);
   const netFlow = useMemo(() => data ? data.dailyData.map(d => ({ ...d, net: +(d.incoming - d.outgoing).toFixed(4) })) : [], [data]);
 
+  // Exports use priced holdings whenever prices are loaded, regardless of unit
+  const exportHoldings = (h) => h && pricing ? valueHoldings(h, pricing.priceAt) : h;
+  const handleExport = (key, format) => {
+    if (!active) return;
+    downloadFile(exportDataset(key, format, activeWallet, active, exportHoldings(activeHoldings)));
+  };
+  const handleExportAll = () => {
+    const slots = results.map((r, i) => r && { slot: i + 1, wallet: wallets[i].trim(), result: r, holdings: exportHoldings(holdingsArr[i]) }).filter(Boolean);
+    if (slots.length) downloadFile(exportBundle(slots, days));
+  };
+
+  const overlap = useMemo(() => {
+    if (activeTab !== "cross") return null;
+    const slots = results.map((r, i) => r && { slot: i + 1, address: wallets[i].trim(), result: r }).filter(Boolean);
+    return slots.length > 1 ? compOverlap(slots) : null;
+  }, [activeTab, results, wallets]);
+
   const topByDays = useMemo(() => {
     if (!data) return [];
     return data.counterparties.slice().sort((a, b) => b.activeDays - a.activeDays).slice(0, 10);
   }, [data]);
 
   return (
+    <NamesCtx.Provider value={nameOf}>
+    <TzCtx.Provider value={tz}>
     <div style={{ minHeight: "100vh", background: C.bg, color: C.text, fontFamily: "'JetBrains Mono','Fira Code','SF Mono',monospace", margin: 0 }}>
 
       {/* ═══ HEADER ═══ */}
@@ -623,51 +1938,142 @@ export default function App() {
             Transaction Flow Dashboard
           </h1>
 
-          {/* API Key */}
-          <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 10 }}>
-            <div style={{ position: "relative", flex: 1, maxWidth: 340 }}>
-              <input type={showKey ? "text" : "password"} value={apiKey} onChange={e => setApiKey(e.target.value)}
-                placeholder="Helius API key"
-                style={{ width: "100%", padding: "9px 12px", paddingRight: 50, background: C.surface, border: `1px solid ${C.border}`, borderRadius: 8, color: C.text, fontSize: 11, fontFamily: "inherit", outline: "none" }}
-                onFocus={e => e.target.style.borderColor = C.purple}
-                onBlur={e => e.target.style.borderColor = C.border} />
-              <button onClick={() => setShowKey(!showKey)}
-                style={{ position: "absolute", right: 6, top: "50%", transform: "translateY(-50%)", background: "transparent", border: "none", color: C.textDim, fontSize: 9, cursor: "pointer", fontFamily: "inherit" }}>
-                {showKey ? "Hide" : "Show"}</button>
+          {/* API Key (hidden when the server has its own) */}
+          {serverKey ? (
+            <div style={{ fontSize: 9, color: C.textMuted, display: "flex", alignItems: "center", gap: 4, marginBottom: 10 }}>
+              <span style={{ width: 4, height: 4, borderRadius: "50%", background: C.accent, display: "inline-block" }} />Helius key configured on server
             </div>
-            <a href="https://dev.helius.xyz/dashboard/app" target="_blank" rel="noopener noreferrer"
-              style={{ fontSize: 10, color: C.purple, textDecoration: "none" }}>Get free key</a>
-            {apiKey.trim() && (
-              <span style={{ fontSize: 9, color: C.textMuted, display: "flex", alignItems: "center", gap: 4 }}>
-                <span style={{ width: 4, height: 4, borderRadius: "50%", background: C.accent, display: "inline-block" }} />saved
-              </span>
-            )}
-          </div>
+          ) : (
+            <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 10 }}>
+              <div style={{ position: "relative", flex: 1, maxWidth: 340 }}>
+                <input type={showKey ? "text" : "password"} value={apiKey} onChange={e => setApiKey(e.target.value)}
+                  placeholder="Helius API key"
+                  style={{ width: "100%", padding: "9px 12px", paddingRight: 50, background: C.surface, border: `1px solid ${C.border}`, borderRadius: 8, color: C.text, fontSize: 11, fontFamily: "inherit", outline: "none" }}
+                  onFocus={e => e.target.style.borderColor = C.purple}
+                  onBlur={e => e.target.style.borderColor = C.border} />
+                <button onClick={() => setShowKey(!showKey)}
+                  style={{ position: "absolute", right: 6, top: "50%", transform: "translateY(-50%)", background: "transparent", border: "none", color: C.textDim, fontSize: 9, cursor: "pointer", fontFamily: "inherit" }}>
+                  {showKey ? "Hide" : "Show"}</button>
+              </div>
+              <a href="https://dev.helius.xyz/dashboard/app" target="_blank" rel="noopener noreferrer"
+                style={{ fontSize: 10, color: C.purple, textDecoration: "none" }}>Get free key</a>
+              {apiKey.trim() && (
+                <span style={{ fontSize: 9, color: C.textMuted, display: "flex", alignItems: "center", gap: 4 }}>
+                  <span style={{ width: 4, height: 4, borderRadius: "50%", background: C.accent, display: "inline-block" }} />saved
+                </span>
+              )}
+            </div>
+          )}
 
-          {/* Wallet inputs */}
-          <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 10 }}>
-            {Array.from({ length: 10 }, (_, i) => i).map(i => (
+          <WatchlistBar lists={watchlists} active={list} onSelect={selectList} disabled={loading}
+            onRename={name => updateList(l => ({ ...l, name }))} onNew={handleNewList} onDelete={handleDeleteList} onImport={handleImportLists} />
+
+          {/* Wallets in the active watchlist; an empty list shows one blank row */}
+          <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 10, maxHeight: 360, overflowY: "auto" }}>
+            {(list.wallets.length ? list.wallets : [{ address: "", nickname: "" }]).map((w, i) => (
               <div key={i} style={{ display: "flex", alignItems: "center", gap: 8 }}>
                 <span style={{ fontSize: 9, color: C.textDim, minWidth: 52, textAlign: "right" }}>Wallet {i + 1}</span>
-                <input type="text" value={wallets[i]} onChange={e => setWallet(i, e.target.value)}
+                <input type="text" value={w.address} onChange={e => setWallet(i, e.target.value)}
                   onKeyDown={e => e.key === "Enter" && handleAnalyze()}
-                  placeholder={i === 0 ? "Solana wallet address…" : "Wallet address (optional)…"}
+                  placeholder={i === 0 ? "Solana wallet address…" : "Wallet address…"}
                   style={{ flex: 1, minWidth: 200, padding: "9px 12px", background: C.surface, border: `1px solid ${C.border}`, borderRadius: 8, color: C.text, fontSize: 11, fontFamily: "inherit", outline: "none" }}
                   onFocus={e => e.target.style.borderColor = C.accent}
                   onBlur={e => e.target.style.borderColor = C.border} />
+                <input type="text" value={w.nickname} onChange={e => setWalletField(i, "nickname", e.target.value)}
+                  placeholder="Nickname (optional)"
+                  style={{ width: 150, padding: "9px 12px", background: C.surface, border: `1px solid ${C.border}`, borderRadius: 8, color: C.text, fontSize: 11, fontFamily: "inherit", outline: "none" }} />
                 {errors[i] && <span style={{ fontSize: 9, color: C.red, maxWidth: 200, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{errors[i]}</span>}
+                {i < list.wallets.length && (
+                  <button onClick={() => removeWallet(i)} disabled={loading} title="Remove from this watchlist"
+                    style={{ background: "transparent", border: "none", color: C.textMuted, fontSize: 11, cursor: "pointer", fontFamily: "inherit" }}>✕</button>
+                )}
               </div>
             ))}
           </div>
+          {list.wallets.length > 0 && (
+            <div style={{ display: "flex", gap: 8, marginBottom: 10 }}>
+              <span style={{ minWidth: 52 }} />
+              <button onClick={() => setWalletField(list.wallets.length, "address", "")} disabled={loading}
+                style={{ padding: "5px 10px", borderRadius: 6, border: `1px dashed ${C.border}`, background: "transparent", color: C.textDim, fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>
+                + Add wallet</button>
+            </div>
+          )}
+
+          {/* Lookback window */}
+          <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10 }}>
+            <span style={{ fontSize: 9, color: C.textDim, minWidth: 52, textAlign: "right" }}>Lookback</span>
+            <div style={{ display: "flex", gap: 2, background: C.surface, borderRadius: 8, padding: 3, border: `1px solid ${C.border}` }}>
+              {LOOKBACK_OPTIONS.map(d => (
+                <button key={d} onClick={() => setDays(d)} disabled={loading}
+                  style={{ padding: "5px 12px", borderRadius: 6, border: "none", cursor: "pointer", background: days === d ? C.accentDim : "transparent", color: days === d ? C.accent : C.textDim, fontSize: 10, fontWeight: 600, fontFamily: "inherit" }}>
+                  {d}d</button>
+              ))}
+            </div>
+          </div>
+
+          {/* Display unit + price source */}
+          <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10 }}>
+            <span style={{ fontSize: 9, color: C.textDim, minWidth: 52, textAlign: "right" }}>Unit</span>
+            <div style={{ display: "flex", gap: 2, background: C.surface, borderRadius: 8, padding: 3, border: `1px solid ${C.border}` }}>
+              {["SOL", "USD"].map(u => (
+                <button key={u} onClick={() => setUnit(u)}
+                  style={{ padding: "5px 12px", borderRadius: 6, border: "none", cursor: "pointer", background: unit === u ? C.accentDim : "transparent", color: unit === u ? C.accent : C.textDim, fontSize: 10, fontWeight: 600, fontFamily: "inherit" }}>
+                  {u}</button>
+              ))}
+            </div>
+            {unit === "USD" && (
+              <select value={priceSourceName} onChange={e => setPriceSourceName(e.target.value)} disabled={loading}
+                style={{ padding: "6px 8px", background: C.surface, border: `1px solid ${C.border}`, borderRadius: 8, color: C.textDim, fontSize: 10, fontFamily: "inherit", outline: "none" }}>
+                {Object.entries(PRICE_SOURCES).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+              </select>
+            )}
+            {unit === "USD" && priceError && <span style={{ fontSize: 9, color: C.red }}>{priceError}</span>}
+          </div>
+
+          {/* Time zone for day/hour buckets and displayed times */}
+          <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10 }}>
+            <span style={{ fontSize: 9, color: C.textDim, minWidth: 52, textAlign: "right" }}>Time zone</span>
+            <select value={tz} onChange={e => setTz(e.target.value)} disabled={loading}
+              style={{ padding: "6px 8px", background: C.surface, border: `1px solid ${C.border}`, borderRadius: 8, color: C.textDim, fontSize: 10, fontFamily: "inherit", outline: "none", maxWidth: 240 }}>
+              {tzList(tz).map(z => <option key={z} value={z}>{z === "local" ? `Browser (${tzName(z)})` : z}</option>)}
+            </select>
+          </div>
 
           {/* Buttons */}
           <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
             <button onClick={handleAnalyze} disabled={loading}
-              style={{ padding: "10px 24px", borderRadius: 10, border: "none", background: loading ? C.surface : C.gradient, color: loading ? C.textDim : C.bg, fontWeight: 700, fontSize: 12, cursor: loading ? "wait" : "pointer", fontFamily: "inherit", opacity: (!wallets[0].trim() || !apiKey.trim()) ? 0.4 : 1 }}>
+              style={{ padding: "10px 24px", borderRadius: 10, border: "none", background: loading ? C.surface : C.gradient, color: loading ? C.textDim : C.bg, fontWeight: 700, fontSize: 12, cursor: loading ? "wait" : "pointer", fontFamily: "inherit", opacity: (!wallets.some(w => w.trim()) || (!apiKey.trim() && !serverKey)) ? 0.4 : 1 }}>
               {loading ? "Analyzing…" : "Analyze"}</button>
             <button onClick={handleDemo} disabled={loading}
               style={{ padding: "10px 16px", borderRadius: 10, border: `1px solid ${C.borderLight}`, background: "transparent", color: C.textDim, fontWeight: 600, fontSize: 12, cursor: "pointer", fontFamily: "inherit" }}>
               Demo</button>
+            {hasAnyResults && !isDemo && !snapshot && (
+              <button onClick={() => { setLive(!live); if (!live) pollLive(); }}
+                title={`Poll for new transactions every ${LIVE_POLL_MS / 1000}s`}
+                style={{ padding: "10px 14px", borderRadius: 10, border: `1px solid ${live ? C.accent : C.borderLight}`, background: live ? C.accentDim : "transparent", color: live ? C.accent : C.textDim, fontSize: 11, cursor: "pointer", fontFamily: "inherit", display: "flex", alignItems: "center", gap: 6 }}>
+                <span style={{ width: 6, height: 6, borderRadius: "50%", background: live ? C.accent : C.textMuted, animation: live ? "pulse 1.5s infinite" : "none" }} />
+                {live ? "Live" : "Go Live"}</button>
+            )}
+            <button onClick={handleClearCache} disabled={loading}
+              title="Delete cached transactions; the next Analyze re-downloads everything"
+              style={{ padding: "10px 14px", borderRadius: 10, border: `1px solid ${C.borderLight}`, background: "transparent", color: C.textDim, fontSize: 11, cursor: "pointer", fontFamily: "inherit" }}>
+              Clear Cache</button>
+            {!isDemo && txsArr.some(Boolean) && (
+              <button onClick={handleSaveSnapshot} disabled={loading}
+                title="Download wallets, raw transactions, holdings, prices and settings for offline replay"
+                style={{ padding: "10px 14px", borderRadius: 10, border: `1px solid ${C.borderLight}`, background: "transparent", color: C.textDim, fontSize: 11, cursor: "pointer", fontFamily: "inherit" }}>
+                Save Snapshot</button>
+            )}
+            <button onClick={() => snapshotInput.current?.click()} disabled={loading}
+              title="Rebuild the dashboard from a snapshot file (no network access)"
+              style={{ padding: "10px 14px", borderRadius: 10, border: `1px solid ${C.borderLight}`, background: "transparent", color: C.textDim, fontSize: 11, cursor: "pointer", fontFamily: "inherit" }}>
+              Load Snapshot</button>
+            <button onClick={() => setShowBook(!showBook)}
+              title="Name and tag addresses; known exchanges, DEXes, bridges and programs are labeled automatically"
+              style={{ padding: "10px 14px", borderRadius: 10, border: `1px solid ${showBook ? C.purple : C.borderLight}`, background: showBook ? C.purpleDim : "transparent", color: showBook ? C.purple : C.textDim, fontSize: 11, cursor: "pointer", fontFamily: "inherit" }}>
+              Address Book{Object.keys(addrBook).length ? ` (${Object.keys(addrBook).length})` : ""}</button>
+            <input ref={snapshotInput} type="file" accept="application/json,.json" style={{ display: "none" }}
+              onChange={e => { handleLoadSnapshot(e.target.files?.[0]); e.target.value = ""; }} />
             {shareUrl && (
               <button onClick={() => {
                 const copy = (text) => {
@@ -689,20 +2095,28 @@ export default function App() {
                   setTimeout(() => setCopied(false), 2000);
                 });
               }}
-                title="Copy shareable link (wallets only, no API key)"
+                title="Copy shareable link (this watchlist with nicknames, no API key)"
                 style={{ padding: "10px 14px", borderRadius: 10, border: `1px solid ${copied ? C.accent : C.borderLight}`, background: copied ? C.accentDim : "transparent", color: copied ? C.accent : C.textDim, fontSize: 11, cursor: "pointer", fontFamily: "inherit", transition: "all 0.2s" }}>
                 {copied ? "Copied!" : "Share Link"}</button>
             )}
           </div>
 
+          {showBook && <AddressBookPanel book={addrBook} onChange={setAddrBook} known={known} />}
+
           {progress && <div style={{ marginTop: 10, fontSize: 11, color: C.accent }}>{progress}</div>}
+          {live && liveUpdatedAt && <div style={{ marginTop: 6, fontSize: 9, color: C.textMuted }}>Live · last checked {fmtT(liveUpdatedAt, tz)}</div>}
         </div>
       </header>
 
       {/* ═══ DASHBOARD ═══ */}
       {hasAnyResults && (
         <main style={{ maxWidth: 1100, margin: "0 auto", padding: "20px 24px 40px" }}>
-          {isDemo && <div style={{ padding: "8px 14px", borderRadius: 8, marginBottom: 16, background: C.purpleDim, fontSize: 11, color: C.purple }}>Demo data. Paste a real wallet + API key for live results.</div>}
+          {isDemo && <div style={{ padding: "8px 14px", borderRadius: 8, marginBottom: 16, background: C.purpleDim, fontSize: 11, color: C.purple }}>Demo data. Paste a real wallet{serverKey ? "" : " + API key"} for live results.</div>}
+          {snapshot && (
+            <div style={{ padding: "8px 14px", borderRadius: 8, marginBottom: 16, background: C.purpleDim, fontSize: 11, color: C.purple }}>
+              Snapshot {snapshot.name} · fetched {fmtDT(snapshot.fetchedAt, tz)}. Press Analyze to fetch current data.
+            </div>
+          )}
 
           {/* Wallet tabs (only when 2+ wallets have data) */}
           {resultCount > 1 && (
@@ -710,45 +2124,93 @@ export default function App() {
               {results.map((r, i) => r !== null && (
                 <button key={i} onClick={() => setActiveTab(i)}
                   style={{ flex: 1, padding: "8px 12px", borderRadius: 6, border: "none", cursor: "pointer", background: activeTab === i ? C.accentDim : "transparent", color: activeTab === i ? C.accent : C.textDim, fontSize: 11, fontWeight: 600, fontFamily: "inherit", borderBottom: activeTab === i ? `2px solid ${C.accent}` : "2px solid transparent" }}>
-                  Wallet {i + 1}: {short(wallets[i])}
+                  {labels[i] ?? `Wallet ${i + 1}`}: {short(wallets[i])}
                 </button>
               ))}
+              {canAggregate && (
+                <button onClick={() => setActiveTab("all")}
+                  title="All wallets as one portfolio; transfers between them are netted out"
+                  style={{ flex: 1, padding: "8px 12px", borderRadius: 6, border: "none", cursor: "pointer", background: activeTab === "all" ? C.accentDim : "transparent", color: activeTab === "all" ? C.accent : C.textDim, fontSize: 11, fontWeight: 600, fontFamily: "inherit", borderBottom: activeTab === "all" ? `2px solid ${C.accent}` : "2px solid transparent" }}>
+                  All wallets
+                </button>
+              )}
+              <button onClick={() => setActiveTab("cross")}
+                title="Counterparties shared between the watched wallets, and transfers among them"
+                style={{ flex: 1, padding: "8px 12px", borderRadius: 6, border: "none", cursor: "pointer", background: activeTab === "cross" ? C.purpleDim : "transparent", color: activeTab === "cross" ? C.purple : C.textDim, fontSize: 11, fontWeight: 600, fontFamily: "inherit", borderBottom: activeTab === "cross" ? `2px solid ${C.purple}` : "2px solid transparent" }}>
+                Cross-wallet
+              </button>
             </div>
           )}
 
+          {overlap && <CrossWalletPanel ov={overlap} />}
+
+          {data && <ExportBar onExport={handleExport} onExportAll={handleExportAll} walletCount={resultCount} />}
+
           {data && <HoldingsPanel holdings={holdings} holdingsError={holdingsError} />}
 
-          {data && (<>
-          {/* 1 HOUR */}
-          <SL icon="⚡" label="Last 1 Hour" color={C.yellow} />
-          {h1 && <TWP win={h1} bucketLabel={fmtT} />}
+          {live && <LiveFeed events={liveFeed} multi={resultCount > 1} />}
+
+          {!isDemo && wallets[activeTab]?.trim() && (
+            <AlertsPanel
+              wallet={wallets[activeTab].trim()}
+              rules={rules[wallets[activeTab].trim()] || []}
+              onRulesChange={list => setWalletRules(wallets[activeTab].trim(), list)}
+              settings={alertSettings}
+              onSettingsChange={setAlertSettings}
+              log={alertLog}
+              onClearLog={() => setAlertLog(prev => prev.filter(l => l.wallet !== wallets[activeTab].trim()))} />
+          )}
 
-          {/* 6 HOURS */}
-          <SL icon="◔" label="Last 6 Hours" color={C.purple} />
-          {h6 && <TWP win={h6} bucketLabel={fmtT} />}
+          {data && (<>
+          {/* TRANSACTION TYPES */}
+          {data.txTypes?.length > 0 && (<>
+            <SL icon="▤" label="Transaction Types" color={C.purple} />
+            <TypeBreakdown data={data} usd={usdView} selected={typeFilter} onChange={setTypeFilter}
+              canFilter={activeTab === "all" || !!txsArr[activeTab]?.length} />
+          </>)}
 
-          {/* 24 HOURS */}
-          <SL icon="◐" label="Last 24 Hours" color={C.cyan} />
-          {h24 && <TWP win={h24} bucketLabel={fmtT} />}
+          {/* SELECTED RANGE */}
+          <SL icon="⚡" label={range.preset ? `Last ${range.preset}` : `${fmtDT(span.from, tz, RANGE_FMT)} – ${fmtDT(span.to, tz, RANGE_FMT)}`} color={C.yellow} />
+          <RangeBar range={range} span={span} onChange={setRange} loadedFrom={data.dailyData.length ? fromWall(`${data.dailyData[0].date}T00:00`, tz) : null} />
+          {win && <TWP win={win} bucketLabel={fmtBucket} unit={unitLabel} onSelect={setDrawer} />}
 
-          {/* 3-DAY HOURLY TREND */}
-          <SL icon="◉" label="3-Day Hourly Activity Trend" color={C.yellow} />
-          {d3Trend && <HourlyTrendPanel trend={d3Trend} />}
+          {/* HOURLY TREND */}
+          <SL icon="◉" label={`Hourly Activity Trend (${fmtSpan(span.to - span.from)})`} color={C.yellow} />
+          {trend && <HourlyTrendPanel trend={trend} unit={unitLabel} />}
 
-          {/* 15-DAY TREND */}
-          <SL icon="◇" label="15-Day Trend" color={C.accent} />
+          {/* LOOKBACK TREND */}
+          <SL icon="◇" label={`${data.days}-Day Trend`} color={C.accent} />
 
           <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit,minmax(170px,1fr))", gap: 10, marginBottom: 14 }}>
-            <MS label="Total In" value={`${data.totalIn.toFixed(2)} SOL`} color={C.accent} />
-            <MS label="Total Out" value={`${data.totalOut.toFixed(2)} SOL`} color={C.red} />
+            <MS label="Total In" value={`${data.totalIn.toFixed(2)} ${unitLabel}`} color={C.accent} />
+            <MS label="Total Out" value={`${data.totalOut.toFixed(2)} ${unitLabel}`} sub={includeFees && tokenSel === "SOL" ? "incl. fees" : undefined} color={C.red} />
             <MS label="Transactions" value={data.totalTx} color={C.cyan} />
             <MS label="Unique Wallets" value={data.uniqueWallets} color={C.purple} />
             {data.totalTokens > 0 && <MS label="Token Types" value={data.totalTokens} color={C.yellow} />}
           </div>
 
+          {usdView && data.unpricedTransfers > 0 && (
+            <div style={{ fontSize: 9, color: C.textMuted, marginBottom: 10 }}>
+              {data.unpricedTransfers} transfer{data.unpricedTransfers !== 1 ? "s" : ""} had no price and count as $0.
+            </div>
+          )}
+
+          {/* Token selector: redraws flow, net and counterparty views for one mint */}
+          {data.tokenFlows?.length > 0 && (
+            <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 10, flexWrap: "wrap" }}>
+              <span style={{ fontSize: 9, color: C.textDim, marginRight: 4 }}>TOKEN</span>
+              {["SOL", ...data.tokenFlows.slice(0, 12).map(f => f.mint)].map(m => (
+                <button key={m} onClick={() => setToken(m)}
+                  title={m === "SOL" ? "Native SOL" : `${m} · ${data.tokenFlows.find(f => f.mint === m).transfers} transfers`}
+                  style={{ padding: "4px 10px", borderRadius: 12, border: `1px solid ${tokenSel === m ? C.yellow : C.border}`, background: tokenSel === m ? `${C.yellow}18` : "transparent", color: tokenSel === m ? C.yellow : C.textDim, fontSize: 10, fontWeight: 600, cursor: "pointer", fontFamily: "inherit" }}>
+                  {symbolOf(symbols, m)}</button>
+              ))}
+            </div>
+          )}
+
           {/* Trend tabs */}
           <div style={{ display: "flex", gap: 2, marginBottom: 16, background: C.surface, borderRadius: 8, padding: 3, border: `1px solid ${C.border}` }}>
-            {[{ k: "flow", l: "In vs Out" }, { k: "net", l: "Net Flow" }, { k: "freq", l: "Wallet Recurrence" }].map(t => (
+            {[{ k: "flow", l: "In vs Out" }, { k: "net", l: "Net Flow" }, { k: "freq", l: "Wallet Recurrence" }, { k: "graph", l: "Graph" }, { k: "txs", l: "Transactions" }].map(t => (
               <button key={t.k} onClick={() => setTab(t.k)}
                 style={{ flex: 1, padding: "8px 12px", borderRadius: 6, border: "none", cursor: "pointer", background: tab === t.k ? C.borderLight : "transparent", color: tab === t.k ? C.text : C.textDim, fontSize: 11, fontWeight: 600, fontFamily: "inherit" }}>
                 {t.l}</button>
@@ -756,9 +2218,9 @@ export default function App() {
           </div>
 
           {tab === "flow" && (
-            <Crd title="Daily Incoming vs Outgoing (SOL)">
-              <ResponsiveContainer width="100%" height={300}>
-                <BarChart data={data.dailyData} barGap={2} barCategoryGap="20%">
+            <Crd title={`Daily Incoming vs Outgoing (${unitLabel})`}>
+              <ResponsiveContainer width="100%" height={320}>
+                <BarChart key={rangeParam(range)} data={data.dailyData} barGap={2} barCategoryGap="20%">
                   <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
                   <XAxis dataKey="date" tickFormatter={fmtD} tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} />
                   <YAxis tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} />
@@ -766,15 +2228,17 @@ export default function App() {
                   <Legend wrapperStyle={{ fontSize: 10 }} />
                   <Bar dataKey="incoming" name="Incoming" fill={C.accent} radius={[3, 3, 0, 0]} />
                   <Bar dataKey="outgoing" name="Outgoing" fill={C.red} radius={[3, 3, 0, 0]} />
+                  <Brush dataKey="date" height={18} stroke={C.borderLight} fill={C.bg} travellerWidth={8} tickFormatter={fmtD}
+                    startIndex={brushIdx[0]} endIndex={brushIdx[1]} onDragEnd={handleBrush} />
                 </BarChart>
               </ResponsiveContainer>
             </Crd>
           )}
 
           {tab === "net" && (
-            <Crd title="Net Flow Trend (SOL)">
-              <ResponsiveContainer width="100%" height={300}>
-                <AreaChart data={netFlow}>
+            <Crd title={`Net Flow Trend (${unitLabel})`}>
+              <ResponsiveContainer width="100%" height={320}>
+                <AreaChart key={rangeParam(range)} data={netFlow}>
                   <defs>
                     <linearGradient id="ng" x1="0" y1="0" x2="0" y2="1">
                       <stop offset="5%" stopColor={C.cyan} stopOpacity={0.3} />
@@ -786,97 +2250,835 @@ export default function App() {
                   <YAxis tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} />
                   <Tooltip content={<TT />} />
                   <Area type="monotone" dataKey="net" name="Net" stroke={C.cyan} fill="url(#ng)" strokeWidth={2} dot={{ fill: C.cyan, r: 2.5 }} />
+                  <Brush dataKey="date" height={18} stroke={C.borderLight} fill={C.bg} travellerWidth={8} tickFormatter={fmtD}
+                    startIndex={brushIdx[0]} endIndex={brushIdx[1]} onDragEnd={handleBrush} />
                 </AreaChart>
               </ResponsiveContainer>
             </Crd>
           )}
 
-          {tab === "freq" && (
-            <>
-              {/* Recurrence bar chart */}
-              <Crd title="Wallet Recurrence Distribution" sub="How many wallets were active on exactly N days out of 15">
-                <ResponsiveContainer width="100%" height={240}>
-                  <BarChart data={data.recurrence} barCategoryGap="15%">
-                    <defs>
-                      <linearGradient id="rg" x1="0" y1="0" x2="0" y2="1">
-                        <stop offset="0%" stopColor={C.purple} stopOpacity={0.9} />
-                        <stop offset="100%" stopColor={C.cyan} stopOpacity={0.6} />
-                      </linearGradient>
-                    </defs>
-                    <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
-                    <XAxis dataKey="label" tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} />
-                    <YAxis tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} allowDecimals={false} />
-                    <Tooltip content={<RecTT />} />
-                    <Bar dataKey="wallets" fill="url(#rg)" radius={[3, 3, 0, 0]} />
-                  </BarChart>
-                </ResponsiveContainer>
-              </Crd>
+          {tab === "freq" && (
+            <>
+              {/* Recurrence bar chart */}
+              <Crd title="Wallet Recurrence Distribution" sub={`How many wallets were active on exactly N days out of ${data.days}`}>
+                <ResponsiveContainer width="100%" height={240}>
+                  <BarChart data={data.recurrence} barCategoryGap="15%">
+                    <defs>
+                      <linearGradient id="rg" x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="0%" stopColor={C.purple} stopOpacity={0.9} />
+                        <stop offset="100%" stopColor={C.cyan} stopOpacity={0.6} />
+                      </linearGradient>
+                    </defs>
+                    <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+                    <XAxis dataKey="label" tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} />
+                    <YAxis tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} allowDecimals={false} />
+                    <Tooltip content={<RecTT />} />
+                    <Bar dataKey="wallets" fill="url(#rg)" radius={[3, 3, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </Crd>
+
+              {/* 1-10 day individual breakdown */}
+              <RecurrenceBreakdown recurrence={data.recurrence} uniqueWallets={data.uniqueWallets} days={data.days} />
+
+              {/* Top returning wallets - FIX #6: use pre-sorted array */}
+              <Crd title="Top Returning Wallets">
+                <ResponsiveContainer width="100%" height={Math.max(200, topByDays.length * 32)}>
+                  <BarChart data={topByDays} layout="vertical" margin={{ left: 10, right: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={C.border} horizontal={false} />
+                    <XAxis type="number" tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} allowDecimals={false} />
+                    <YAxis type="category" dataKey="address" tickFormatter={a => (nameOf(a)?.name || short(a)).slice(0, 11)} tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} width={75} />
+                    <Tooltip content={<FreqTT days={data.days} unit={unitLabel} />} />
+                    <Bar dataKey="activeDays" name="Active Days" radius={[0, 5, 5, 0]}>
+                      {topByDays.map((_, i) => (
+                        <Cell key={i} fill={FC[i % FC.length]} fillOpacity={0.8} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </Crd>
+
+              <WalletTbl cps={data.counterparties} days={data.days} unit={unitLabel} onSelect={setDrawer} />
+            </>
+          )}
+
+          {tab === "graph" && (
+            <CpGraph root={activeWallet} cps={data.counterparties} days={data.days} unit={unitLabel}
+              onExpand={snapshot ? null : expandCounterparty} />
+          )}
+
+          {tab === "txs" && (
+            <TxExplorer records={txRecs} symbols={symbols} explorer={explorer} />
+          )}
+
+          {/* FEES */}
+          {data.fees && (<>
+            <SL icon="⛽" label="Fees" color={C.red} />
+            <FeesPanel fees={data.fees} daily={data.dailyData} usd={usdView} includeFees={includeFees}
+              onIncludeFees={setIncludeFees} tokenView={tokenSel !== "SOL"} />
+          </>)}
+
+          <div style={{ marginTop: 32, padding: "16px 0", borderTop: `1px solid ${C.border}`, textAlign: "center", fontSize: 10, color: C.textMuted }}>
+            Powered by Helius Enhanced Transactions API
+          </div>
+          </>)}
+        </main>
+      )}
+
+      {/* ═══ EMPTY STATE ═══ */}
+      {!hasAnyResults && !loading && (
+        <div style={{ display: "flex", flexDirection: "column", alignItems: "center", padding: "70px 24px", textAlign: "center" }}>
+          <div style={{ fontSize: 44, marginBottom: 14, opacity: 0.12 }}>◈</div>
+          <div style={{ fontSize: 13, color: C.textDim, maxWidth: 420, lineHeight: 1.7 }}>
+            Add wallets to a watchlist to see 1-hour, 24-hour, and {days}-day transaction analytics.
+            Keep as many named watchlists as you like and share one with its link.
+            <br /><span style={{ fontSize: 10, color: C.textMuted }}>Supports URL params: <code style={{ color: C.accent, fontSize: 10 }}>?wl=&lt;name&gt;*&lt;address&gt;*…&days=30&tz=UTC&key=...</code>
+              {" "}(legacy <code style={{ color: C.accent, fontSize: 10 }}>?wallet1=…</code> links are imported as a watchlist)</span>
+          </div>
+          <button onClick={handleDemo}
+            style={{ marginTop: 20, padding: "9px 22px", borderRadius: 8, border: `1px solid ${C.borderLight}`, background: "transparent", color: C.textDim, fontSize: 11, fontWeight: 600, cursor: "pointer", fontFamily: "inherit" }}
+            onMouseEnter={e => { e.currentTarget.style.borderColor = C.accent; e.currentTarget.style.color = C.accent; }}
+            onMouseLeave={e => { e.currentTarget.style.borderColor = C.borderLight; e.currentTarget.style.color = C.textDim; }}>
+            Try demo data
+          </button>
+        </div>
+      )}
+
+      {drawer && active && data && (
+        <CpDrawer address={drawer} events={active.rawEvents} cp={data.counterparties.find(c => c.address === drawer)}
+          dates={data.dailyData.map(d => d.date)} unit={unitLabel} symbols={symbols}
+          explorer={explorer} onExplorer={setExplorer} onClose={() => setDrawer(null)}
+          onWatch={isDemo || snapshot ? null : handleWatch} watched={wallets.some(w => w.trim() === drawer)} />
+      )}
+
+      <style>{`
+        @import url('https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@400;500;600;700&display=swap');
+        @keyframes pulse{0%,100%{opacity:1}50%{opacity:0.3}}
+        *{box-sizing:border-box}
+        ::-webkit-scrollbar{width:5px;height:5px}
+        ::-webkit-scrollbar-track{background:${C.bg}}
+        ::-webkit-scrollbar-thumb{background:${C.borderLight};border-radius:3px}
+      `}</style>
+    </div>
+    </TzCtx.Provider>
+    </NamesCtx.Provider>
+  );
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// COMPONENTS
+// ═════════════════════════════════════════════════════════════════════════════
+
+const ENTITY_COLORS = { exchange: C.yellow, dex: C.cyan, bridge: C.purple, program: C.textDim };
+
+// Address chip: address-book / known-entity name when there is one
+function Addr({ a, style }) {
+  const info = useNames()(a);
+  const col = info?.user ? C.purple : info?.category ? ENTITY_COLORS[info.category] || C.text : C.text;
+  return (
+    <code title={info?.name ? `${info.name}\n${a}` : a}
+      style={{ fontSize: 9, background: C.bg, padding: "2px 5px", borderRadius: 4, color: col, fontWeight: info?.name ? 600 : 400, whiteSpace: "nowrap", ...style }}>
+      {info?.name || short(a)}
+    </code>
+  );
+}
+
+// Entity category and user tags as small chips
+function EntityTags({ a }) {
+  const info = useNames()(a);
+  if (!info || (!info.category && !info.tags.length)) return null;
+  const chip = (t, col) => (
+    <span key={t} style={{ padding: "1px 6px", borderRadius: 10, fontSize: 8, color: col, border: `1px solid ${col}40`, marginRight: 4, whiteSpace: "nowrap" }}>{t}</span>
+  );
+  return (
+    <>
+      {info.category && chip(info.category, ENTITY_COLORS[info.category] || C.textDim)}
+      {info.tags.map(t => chip(t, C.purple))}
+    </>
+  );
+}
+
+// Header switcher: pick, rename, add, delete, import and export watchlists
+function WatchlistBar({ lists, active, onSelect, onRename, onNew, onDelete, onImport, disabled }) {
+  const [msg, setMsg] = useState("");
+  const fileInput = useRef(null);
+  const saved = lists.filter(l => l.id !== DEMO_LIST);
+  const ctl = { padding: "6px 8px", background: C.surface, border: `1px solid ${C.border}`, borderRadius: 8, color: C.textDim, fontSize: 10, fontFamily: "inherit", outline: "none" };
+  const btn = { ...ctl, cursor: "pointer" };
+  const count = (l) => l.wallets.filter(w => w.address.trim()).length;
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const got = readWatchlistFile(await file.text());
+      onImport(got);
+      setMsg(`Imported ${got.length} list${got.length === 1 ? "" : "s"}.`);
+    } catch (err) {
+      setMsg(err instanceof SyntaxError ? "Could not read that file; expected watchlist JSON." : err.message);
+    }
+    setTimeout(() => setMsg(""), 4000);
+  };
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10, flexWrap: "wrap" }}>
+      <span style={{ fontSize: 9, color: C.textDim, minWidth: 52, textAlign: "right" }}>Watchlist</span>
+      <select value={active.id} onChange={e => onSelect(e.target.value)} disabled={disabled} style={{ ...ctl, color: C.accent, maxWidth: 220 }}>
+        {lists.map(l => <option key={l.id} value={l.id}>{l.name || "Untitled"} ({count(l)})</option>)}
+      </select>
+      {active.id !== DEMO_LIST && (
+        <input value={active.name} onChange={e => onRename(e.target.value)} placeholder="List name" title="Rename this watchlist"
+          style={{ ...ctl, color: C.text, width: 150 }} />
+      )}
+      <button onClick={onNew} disabled={disabled} style={btn}>New</button>
+      <button onClick={onDelete} disabled={disabled || saved.length < 2 || active.id === DEMO_LIST}
+        title={saved.length < 2 ? "The last watchlist can't be deleted" : "Delete this watchlist"} style={btn}>Delete</button>
+      <button onClick={() => fileInput.current?.click()} disabled={disabled} style={btn}>Import</button>
+      <button onClick={() => downloadFile(watchlistExport(saved))} title="Download every watchlist as JSON" style={btn}>Export</button>
+      <input ref={fileInput} type="file" accept="application/json,.json" style={{ display: "none" }}
+        onChange={e => { importFile(e.target.files?.[0]); e.target.value = ""; }} />
+      {msg && <span style={{ fontSize: 9, color: C.textDim }}>{msg}</span>}
+    </div>
+  );
+}
+
+function AddressBookPanel({ book, onChange, known }) {
+  const [addr, setAddr] = useState("");
+  const [name, setName] = useState("");
+  const [tags, setTags] = useState("");
+  const [msg, setMsg] = useState("");
+  const fileInput = useRef(null);
+  const entries = Object.entries(book).sort((a, b) => (a[1].name || a[0]).localeCompare(b[1].name || b[0]));
+  const input = { padding: "6px 8px", background: C.bg, border: `1px solid ${C.border}`, borderRadius: 6, color: C.text, fontSize: 10, fontFamily: "inherit", outline: "none" };
+  const btn = { padding: "5px 10px", borderRadius: 6, border: `1px solid ${C.border}`, background: "transparent", color: C.textDim, fontSize: 9, cursor: "pointer", fontFamily: "inherit" };
+
+  const save = () => {
+    const a = addr.trim();
+    if (!a) return;
+    const next = { ...book };
+    delete next[a];
+    onChange({ ...next, ...normalizeBook([{ address: a, name, tags }]) });
+    setAddr(""); setName(""); setTags("");
+  };
+  const edit = (a) => { setAddr(a); setName(book[a].name); setTags(book[a].tags.join(", ")); };
+  const remove = (a) => { const next = { ...book }; delete next[a]; onChange(next); };
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const added = normalizeBook(JSON.parse(await file.text()));
+      onChange({ ...book, ...added });
+      setMsg(`Imported ${Object.keys(added).length} entries.`);
+    } catch {
+      setMsg("Could not read that file; expected a JSON address book.");
+    }
+  };
+
+  return (
+    <div style={{ marginTop: 12, padding: "12px 14px", background: C.surface, borderRadius: 10, border: `1px solid ${C.border}` }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10, flexWrap: "wrap" }}>
+        <span style={{ fontSize: 12, fontWeight: 600 }}>Address Book</span>
+        <span style={{ fontSize: 9, color: C.textMuted }}>
+          {entries.length} named · {Object.keys(known.entities).length} known entities{known.updated ? ` (list updated ${known.updated})` : ""}
+        </span>
+        <span style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+          <button onClick={() => fileInput.current?.click()} style={btn}>Import JSON</button>
+          <button onClick={() => downloadFile({ name: "sol-dash-address-book.json", text: JSON.stringify(book, null, 2), type: "application/json" })} disabled={!entries.length} style={btn}>Export JSON</button>
+          <input ref={fileInput} type="file" accept="application/json,.json" style={{ display: "none" }}
+            onChange={e => { importFile(e.target.files?.[0]); e.target.value = ""; }} />
+        </span>
+      </div>
+      <div style={{ display: "flex", gap: 6, marginBottom: 10, flexWrap: "wrap" }}>
+        <input value={addr} onChange={e => setAddr(e.target.value)} placeholder="Address" style={{ ...input, flex: 2, minWidth: 200 }} />
+        <input value={name} onChange={e => setName(e.target.value)} placeholder="Name" style={{ ...input, flex: 1, minWidth: 120 }}
+          onKeyDown={e => e.key === "Enter" && save()} />
+        <input value={tags} onChange={e => setTags(e.target.value)} placeholder="Tags (comma-separated)" style={{ ...input, flex: 1, minWidth: 120 }}
+          onKeyDown={e => e.key === "Enter" && save()} />
+        <button onClick={save} disabled={!addr.trim()} style={{ ...btn, color: C.accent, borderColor: `${C.accent}40` }}>{book[addr.trim()] ? "Update" : "Add"}</button>
+      </div>
+      {msg && <div style={{ fontSize: 9, color: C.textDim, marginBottom: 8 }}>{msg}</div>}
+      {entries.length > 0 && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 3, maxHeight: 220, overflowY: "auto" }}>
+          {entries.map(([a, e]) => (
+            <div key={a} style={{ display: "flex", alignItems: "center", gap: 10, padding: "4px 8px", borderRadius: 6, background: C.bg, fontSize: 10 }}>
+              <span style={{ color: C.purple, fontWeight: 600, minWidth: 120 }}>{e.name || "—"}</span>
+              <code style={{ fontSize: 9, color: C.textDim, flex: 1, overflow: "hidden", textOverflow: "ellipsis" }}>{a}</code>
+              <EntityTags a={a} />
+              <button onClick={() => edit(a)} style={{ ...btn, padding: "2px 6px" }}>Edit</button>
+              <button onClick={() => remove(a)} style={{ ...btn, padding: "2px 6px", color: C.red }}>✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Transactions explorer: fixed-height rows, only the visible slice is rendered
+const TX_ROW_H = 30;
+const TX_DETAIL_H = 240;
+const TX_VIEW_H = 480;
+const TX_OVERSCAN = 8;
+const TX_DIRS = ["all", "in", "out", "both", "none"];
+const TX_COLS = [
+  { k: "ts", l: "Time", w: "108px" },
+  { k: "signature", l: "Signature", w: "96px" },
+  { k: "type", l: "Type", w: "1fr" },
+  { k: "direction", l: "Dir", w: "44px" },
+  { k: "sol", l: "SOL", w: "86px", num: true },
+  { k: "tokens", l: "Tokens", w: "1.2fr" },
+  { k: "counterparty", l: "Counterparty", w: "1fr" },
+  { k: "fee", l: "Fee", w: "70px", num: true },
+];
+const TX_GRID = TX_COLS.map(c => c.w).join(" ");
+
+function TxExplorer({ records, symbols, explorer }) {
+  const nameOf = useNames();
+  const tz = useTz();
+  const [f, setF] = useState({ from: "", to: "", dir: "all", cp: "", mint: "", min: "", max: "", type: "", sig: "" });
+  const [sort, setSort] = useState({ k: "ts", desc: true });
+  const [open, setOpen] = useState(null);
+  const [scroll, setScroll] = useState(0);
+  const box = useRef(null);
+  const set = (k) => (e) => setF(prev => ({ ...prev, [k]: e.target.value }));
+  const ex = EXPLORERS[explorer];
+
+  const types = useMemo(() => [...new Set((records || []).map(r => r.type))].sort(), [records]);
+  const mints = useMemo(() => {
+    const m = new Set();
+    for (const r of records || []) for (const k in r.flows) m.add(k);
+    return [...m].sort((a, b) => (b === "SOL") - (a === "SOL") || symbolOf(symbols, a).localeCompare(symbolOf(symbols, b)));
+  }, [records, symbols]);
+
+  const rows = useMemo(() => {
+    if (!records) return [];
+    const cpQ = f.cp.trim().toLowerCase(), sigQ = f.sig.trim();
+    const min = f.min === "" ? null : +f.min, max = f.max === "" ? null : +f.max;
+    // Amount range applies to the selected mint, or SOL when none is picked
+    const amtMint = f.mint || "SOL";
+    const out = records.filter(r => {
+      if ((f.from || f.to) && (f.from && dayKey(r.ts, tz) < f.from || f.to && dayKey(r.ts, tz) > f.to)) return false;
+      if (f.dir !== "all" && r.direction !== f.dir) return false;
+      if (f.type && r.type !== f.type) return false;
+      if (sigQ && !r.signature?.startsWith(sigQ)) return false;
+      if (f.mint && !r.flows[f.mint]) return false;
+      if (cpQ && !r.counterparties.some(a => a.toLowerCase().includes(cpQ) || nameOf(a)?.name?.toLowerCase().includes(cpQ))) return false;
+      if (min != null || max != null) {
+        const fl = r.flows[amtMint];
+        const amt = fl ? fl.in + fl.out : 0;
+        if (min != null && amt < min) return false;
+        if (max != null && amt > max) return false;
+      }
+      return true;
+    });
+    const key = {
+      ts: r => r.ts, signature: r => r.signature || "", type: r => r.type, direction: r => r.direction,
+      sol: r => r.sol, tokens: r => r.tokens.length, fee: r => r.fee,
+      counterparty: r => r.counterparties[0] ? (nameOf(r.counterparties[0])?.name || r.counterparties[0]) : "",
+    }[sort.k];
+    const dir = sort.desc ? -1 : 1;
+    return out.sort((a, b) => {
+      const x = key(a), y = key(b);
+      return (typeof x === "string" ? x.localeCompare(y) : x - y) * dir;
+    });
+  }, [records, f, sort, nameOf, tz]);
+
+  // A filter/sort change invalidates the open row and scroll position
+  useEffect(() => {
+    setOpen(null);
+    setScroll(0);
+    if (box.current) box.current.scrollTop = 0;
+  }, [rows]);
+
+  if (!records) {
+    return (
+      <Crd title="Transactions">
+        <div style={{ fontSize: 11, color: C.textMuted }}>Raw transactions are not available for demo data.</div>
+      </Crd>
+    );
+  }
+
+  // Row offsets: everything below the open row shifts down by its detail panel
+  const openIdx = open == null ? -1 : rows.findIndex(r => r.signature === open);
+  const top = (i) => i * TX_ROW_H + (openIdx >= 0 && i > openIdx ? TX_DETAIL_H : 0);
+  const total = rows.length * TX_ROW_H + (openIdx >= 0 ? TX_DETAIL_H : 0);
+  const at = (y) => openIdx >= 0 && y > top(openIdx) + TX_ROW_H + TX_DETAIL_H ? Math.floor((y - TX_DETAIL_H) / TX_ROW_H) : Math.floor(y / TX_ROW_H);
+  const first = Math.max(0, at(scroll) - TX_OVERSCAN);
+  const last = Math.min(rows.length, at(scroll + TX_VIEW_H) + TX_OVERSCAN + 1);
+  const visible = [];
+  for (let i = first; i < last; i++) visible.push(i);
+  if (openIdx >= 0 && (openIdx < first || openIdx >= last)) visible.unshift(openIdx);
+
+  const inp = { padding: "5px 8px", background: C.bg, border: `1px solid ${C.border}`, borderRadius: 6, color: C.text, fontSize: 10, fontFamily: "inherit", outline: "none", minWidth: 0 };
+  const fmtAmt = (v) => Math.abs(v) >= 1000 ? v.toLocaleString(undefined, { maximumFractionDigits: 2 }) : +v.toFixed(4);
+  const who = (a) => !a ? "—" : nameOf(a)?.name || short(a);
+  const hasFilter = Object.entries(f).some(([k, v]) => k === "dir" ? v !== "all" : v !== "");
+
+  return (
+    <Crd title="Transactions" sub={`${rows.length.toLocaleString()} of ${records.length.toLocaleString()} transactions`}>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(130px, 1fr))", gap: 6, marginBottom: 10 }}>
+        <input type="date" value={f.from} onChange={set("from")} title="From" style={inp} />
+        <input type="date" value={f.to} onChange={set("to")} title="To" style={inp} />
+        <select value={f.dir} onChange={set("dir")} style={inp}>
+          {TX_DIRS.map(d => <option key={d} value={d}>{d === "all" ? "Any direction" : d === "none" ? "No transfer" : d}</option>)}
+        </select>
+        <select value={f.type} onChange={set("type")} style={inp}>
+          <option value="">Any type</option>
+          {types.map(t => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <select value={f.mint} onChange={set("mint")} style={inp}>
+          <option value="">Any mint</option>
+          {mints.map(m => <option key={m} value={m}>{symbolOf(symbols, m)}</option>)}
+        </select>
+        <input value={f.min} onChange={set("min")} placeholder={`Min ${symbolOf(symbols, f.mint || "SOL")}`} inputMode="decimal" style={inp} />
+        <input value={f.max} onChange={set("max")} placeholder={`Max ${symbolOf(symbols, f.mint || "SOL")}`} inputMode="decimal" style={inp} />
+        <input value={f.cp} onChange={set("cp")} placeholder="Counterparty / name" style={inp} />
+        <input value={f.sig} onChange={set("sig")} placeholder="Signature prefix" style={inp} />
+        {hasFilter && (
+          <button onClick={() => setF({ from: "", to: "", dir: "all", cp: "", mint: "", min: "", max: "", type: "", sig: "" })}
+            style={{ ...inp, color: C.textDim, cursor: "pointer" }}>Clear filters</button>
+        )}
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <div style={{ minWidth: 760 }}>
+          <div style={{ display: "grid", gridTemplateColumns: TX_GRID, gap: 8, padding: "6px 10px", borderBottom: `1px solid ${C.border}` }}>
+            {TX_COLS.map(c => (
+              <span key={c.k} onClick={() => setSort(s => ({ k: c.k, desc: s.k === c.k ? !s.desc : c.k !== "type" && c.k !== "counterparty" }))}
+                style={{ fontSize: 9, letterSpacing: 1, color: sort.k === c.k ? C.text : C.textDim, cursor: "pointer", textAlign: c.num ? "right" : "left", userSelect: "none" }}>
+                {c.l.toUpperCase()}{sort.k === c.k ? (sort.desc ? " ↓" : " ↑") : ""}</span>
+            ))}
+          </div>
+          <div ref={box} onScroll={e => setScroll(e.currentTarget.scrollTop)} style={{ height: Math.min(TX_VIEW_H, Math.max(total, TX_ROW_H * 2)), overflowY: "auto", position: "relative" }}>
+            {rows.length === 0 && <div style={{ padding: 14, fontSize: 10, color: C.textMuted }}>No transactions match these filters.</div>}
+            <div style={{ height: total, position: "relative" }}>
+              {visible.map(i => {
+                const r = rows[i], isOpen = i === openIdx;
+                const toks = Object.entries(r.flows).filter(([m]) => m !== "SOL");
+                return (
+                  <div key={r.signature || i} style={{ position: "absolute", top: top(i), left: 0, right: 0 }}>
+                    <div onClick={() => setOpen(isOpen ? null : r.signature)}
+                      style={{ display: "grid", gridTemplateColumns: TX_GRID, gap: 8, alignItems: "center", height: TX_ROW_H, padding: "0 10px", fontSize: 10, cursor: "pointer", borderBottom: `1px solid ${C.border}`, background: isOpen ? C.surfaceHover : "transparent", whiteSpace: "nowrap", overflow: "hidden" }}>
+                      <span style={{ color: C.textDim }}>{fmtDT(r.ts, tz, { month: "numeric", day: "numeric", hour: "2-digit", minute: "2-digit" })}</span>
+                      <code style={{ color: C.purple, fontSize: 9 }}>{r.signature ? `${r.signature.slice(0, 10)}…` : "—"}</code>
+                      <span style={{ overflow: "hidden", textOverflow: "ellipsis" }}>{r.type}{r.source !== "UNKNOWN" && <span style={{ color: C.textMuted }}> · {r.source}</span>}</span>
+                      <span style={{ color: r.direction === "in" ? C.accent : r.direction === "out" ? C.red : r.direction === "both" ? C.yellow : C.textMuted, fontWeight: 700 }}>
+                        {r.direction === "in" ? "IN" : r.direction === "out" ? "OUT" : r.direction === "both" ? "↔" : "—"}</span>
+                      <span style={{ textAlign: "right", color: r.sol > 0 ? C.accent : r.sol < 0 ? C.red : C.textMuted }}>{r.sol ? `${r.sol > 0 ? "+" : "−"}${fmtAmt(Math.abs(r.sol))}` : "—"}</span>
+                      <span style={{ overflow: "hidden", textOverflow: "ellipsis" }}>
+                        {toks.length ? toks.map(([m, v]) => `${v.in - v.out >= 0 ? "+" : "−"}${fmtAmt(Math.abs(v.in - v.out))} ${symbolOf(symbols, m)}`).join(", ") : <span style={{ color: C.textMuted }}>—</span>}
+                      </span>
+                      <span style={{ overflow: "hidden", textOverflow: "ellipsis" }}>
+                        {who(r.counterparties[0])}{r.counterparties.length > 1 && <span style={{ color: C.textMuted }}> +{r.counterparties.length - 1}</span>}
+                      </span>
+                      <span style={{ textAlign: "right", color: C.textDim }}>{r.fee ? r.fee.toFixed(6) : "—"}</span>
+                    </div>
+                    {isOpen && (
+                      <div style={{ height: TX_DETAIL_H, overflowY: "auto", padding: "10px 14px", background: C.bg, borderBottom: `1px solid ${C.border}`, fontSize: 10 }}>
+                        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginBottom: 8, color: C.textDim }}>
+                          <code style={{ wordBreak: "break-all", color: C.text }}>{r.signature}</code>
+                          {r.signature && <a href={ex.tx(r.signature)} target="_blank" rel="noopener noreferrer" style={{ color: C.purple, textDecoration: "none" }}>{ex.label} ↗</a>}
+                        </div>
+                        {r.description && <div style={{ color: C.textDim, marginBottom: 8 }}>{r.description}</div>}
+                        <div style={{ color: C.textDim, marginBottom: 8 }}>
+                          {fmtDT(r.ts, tz)} · fee {r.fee.toFixed(6)} SOL{r.feePayer && <> paid by <Addr a={r.feePayer} /></>}
+                        </div>
+                        <TxTransfers title="Native transfers" list={r.native} unit={() => "SOL"} fmtAmt={fmtAmt} />
+                        <TxTransfers title="Token transfers" list={r.tokens} unit={(t) => symbolOf(symbols, t.mint)} fmtAmt={fmtAmt} />
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      </div>
+    </Crd>
+  );
+}
+
+function TxTransfers({ title, list, unit, fmtAmt }) {
+  return (
+    <div style={{ marginBottom: 8 }}>
+      <div style={{ fontSize: 9, color: C.textDim, letterSpacing: 1, marginBottom: 4 }}>{title.toUpperCase()} ({list.length})</div>
+      {list.map((t, k) => (
+        <div key={k} style={{ display: "flex", gap: 6, alignItems: "center", padding: "2px 0" }}>
+          {t.from ? <Addr a={t.from} /> : <span style={{ color: C.textMuted }}>mint</span>}<span style={{ color: C.textMuted }}>→</span>
+          {t.to ? <Addr a={t.to} /> : <span style={{ color: C.textMuted }}>burn</span>}
+          <span style={{ marginLeft: "auto" }}>{fmtAmt(t.amount)} <span style={{ color: C.yellow }}>{unit(t)}</span></span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const DRAWER_ROWS = 200;
 
-              {/* 1-10 day individual breakdown */}
-              <RecurrenceBreakdown recurrence={data.recurrence} uniqueWallets={data.uniqueWallets} />
+function CpDrawer({ address, events, cp, dates, unit, symbols, explorer, onExplorer, onClose, onWatch, watched }) {
+  const [all, setAll] = useState(false);
+  const tz = useTz();
+  const ex = EXPLORERS[explorer];
+  const txs = useMemo(() => cpTransactions(events, address), [events, address]);
+  // cp.daily is in the current view's unit; outside the top 30 fall back to SOL from events
+  const daily = cp?.daily || cpDailyFromEvents(events, address, dates, tz);
+  const dailyUnit = cp ? unit : "SOL";
+  const rows = all ? txs : txs.slice(0, DRAWER_ROWS);
 
-              {/* Top returning wallets - FIX #6: use pre-sorted array */}
-              <Crd title="Top Returning Wallets">
-                <ResponsiveContainer width="100%" height={Math.max(200, topByDays.length * 32)}>
-                  <BarChart data={topByDays} layout="vertical" margin={{ left: 10, right: 20 }}>
-                    <CartesianGrid strokeDasharray="3 3" stroke={C.border} horizontal={false} />
-                    <XAxis type="number" tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} allowDecimals={false} />
-                    <YAxis type="category" dataKey="address" tickFormatter={short} tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} width={75} />
-                    <Tooltip content={<FreqTT />} />
-                    <Bar dataKey="activeDays" name="Active Days" radius={[0, 5, 5, 0]}>
-                      {topByDays.map((_, i) => (
-                        <Cell key={i} fill={FC[i % FC.length]} fillOpacity={0.8} />
-                      ))}
-                    </Bar>
-                  </BarChart>
-                </ResponsiveContainer>
-              </Crd>
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
 
-              <WalletTbl cps={data.counterparties} />
-            </>
+  return (
+    <div onClick={onClose} style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.5)", zIndex: 50 }}>
+      <aside onClick={e => e.stopPropagation()}
+        style={{ position: "absolute", top: 0, right: 0, bottom: 0, width: "min(560px, 100vw)", background: C.bg, borderLeft: `1px solid ${C.borderLight}`, overflowY: "auto", padding: "18px 18px 30px", boxShadow: "-12px 0 40px rgba(0,0,0,0.5)" }}>
+        <div style={{ display: "flex", alignItems: "flex-start", gap: 10, marginBottom: 12 }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ fontSize: 9, color: C.textDim, letterSpacing: 1, marginBottom: 4 }}>COUNTERPARTY</div>
+            <div style={{ marginBottom: 4 }}><Addr a={address} style={{ fontSize: 12 }} /> <EntityTags a={address} /></div>
+            <code style={{ fontSize: 9, color: C.textDim, wordBreak: "break-all" }}>{address}</code>
+          </div>
+          <button onClick={onClose} style={{ background: "transparent", border: "none", color: C.textDim, fontSize: 16, cursor: "pointer" }}>✕</button>
+        </div>
+
+        <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", marginBottom: 14 }}>
+          <a href={ex.account(address)} target="_blank" rel="noopener noreferrer" style={{ fontSize: 10, color: C.purple, textDecoration: "none" }}>Open in {ex.label} ↗</a>
+          <select value={explorer} onChange={e => onExplorer(e.target.value)}
+            style={{ padding: "3px 6px", background: C.surface, border: `1px solid ${C.border}`, borderRadius: 6, color: C.textDim, fontSize: 9, fontFamily: "inherit" }}>
+            {Object.entries(EXPLORERS).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+          <span style={{ flex: 1 }} />
+          {onWatch && (
+            <button onClick={() => onWatch(address)}
+              style={{ padding: "6px 12px", borderRadius: 8, border: `1px solid ${C.accent}60`, background: C.accentDim, color: C.accent, fontSize: 10, fontWeight: 600, cursor: "pointer", fontFamily: "inherit" }}>
+              {watched ? "Go to wallet tab" : "Add to watchlist"}</button>
           )}
+        </div>
 
-          <div style={{ marginTop: 32, padding: "16px 0", borderTop: `1px solid ${C.border}`, textAlign: "center", fontSize: 10, color: C.textMuted }}>
-            Powered by Helius Enhanced Transactions API
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: 8, marginBottom: 12 }}>
+          <MS label="Transactions" value={txs.length} color={C.cyan} />
+          <MS label={`In (${dailyUnit})`} value={daily.reduce((s, d) => s + d.incoming, 0).toFixed(3)} color={C.accent} />
+          <MS label={`Out (${dailyUnit})`} value={daily.reduce((s, d) => s + d.outgoing, 0).toFixed(3)} color={C.red} />
+        </div>
+
+        <Crd title={`Daily Flow (${dailyUnit})`}>
+          <ResponsiveContainer width="100%" height={160}>
+            <BarChart data={daily} barGap={1}>
+              <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+              <XAxis dataKey="date" tickFormatter={fmtD} tick={{ fill: C.textDim, fontSize: 9 }} stroke={C.border} />
+              <YAxis tick={{ fill: C.textDim, fontSize: 9 }} stroke={C.border} width={40} />
+              <Tooltip content={<TT />} />
+              <Bar dataKey="incoming" name="Incoming" fill={C.accent} radius={[2, 2, 0, 0]} />
+              <Bar dataKey="outgoing" name="Outgoing" fill={C.red} radius={[2, 2, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </Crd>
+
+        <div style={{ fontSize: 11, fontWeight: 600, margin: "4px 0 8px" }}>Transactions</div>
+        {txs.length === 0 && <div style={{ fontSize: 10, color: C.textMuted }}>No transfers with this counterparty in the loaded data.</div>}
+        <div style={{ display: "flex", flexDirection: "column", gap: 3 }}>
+          {rows.map((t, k) => (
+            <div key={t.signature || k} style={{ padding: "6px 8px", borderRadius: 6, background: C.surface, fontSize: 10, display: "grid", gridTemplateColumns: "92px 34px 1fr auto", gap: 8, alignItems: "center" }}>
+              <span style={{ color: C.textDim }}>{fmtDT(t.ts, tz, { month: "numeric", day: "numeric", hour: "2-digit", minute: "2-digit" })}</span>
+              <span style={{ color: t.direction === "in" ? C.accent : t.direction === "out" ? C.red : C.yellow, fontWeight: 700 }}>
+                {t.direction === "in" ? "IN" : t.direction === "out" ? "OUT" : "↔"}</span>
+              <span style={{ minWidth: 0 }}>
+                {(t.solIn > 0 || t.solOut > 0) && <span style={{ marginRight: 8 }}>{t.solIn > 0 && <span style={{ color: C.accent }}>+{t.solIn.toFixed(4)}</span>}{t.solOut > 0 && <span style={{ color: C.red, marginLeft: t.solIn > 0 ? 4 : 0 }}>−{t.solOut.toFixed(4)}</span>} SOL</span>}
+                {t.tokens.map((tk, j) => (
+                  <span key={j} style={{ marginRight: 8, color: tk.direction === "in" ? C.accent : C.red }}>
+                    {tk.direction === "in" ? "+" : "−"}{+tk.amount.toFixed(4)} <span style={{ color: C.yellow }}>{symbolOf(symbols, tk.mint)}</span>
+                  </span>
+                ))}
+                {t.type && <span style={{ color: C.textMuted, fontSize: 8 }}>{t.type}{t.source && t.source !== "UNKNOWN" ? ` · ${t.source}` : ""}</span>}
+              </span>
+              {t.signature
+                ? <a href={ex.tx(t.signature)} target="_blank" rel="noopener noreferrer" title={t.signature} style={{ color: C.purple, fontSize: 9, textDecoration: "none" }}>{t.signature.slice(0, 6)}… ↗</a>
+                : <span style={{ color: C.textMuted, fontSize: 9 }}>—</span>}
+            </div>
+          ))}
+        </div>
+        {txs.length > DRAWER_ROWS && (
+          <div onClick={() => setAll(!all)} style={{ marginTop: 8, fontSize: 9, color: C.textDim, cursor: "pointer" }}>
+            {all ? `Show latest ${DRAWER_ROWS}` : `Show all ${txs.length}`}
           </div>
-          </>)}
-        </main>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+// Counts / volume per Helius type and source, a stacked daily chart by type,
+// and the type filter chips that narrow every other panel
+function TypeBreakdown({ data, usd, selected, onChange, canFilter }) {
+  const profile = walletProfile(data.txTypes);
+  const top = data.txTypes.slice(0, TYPE_TOP).map(t => t.name);
+  const color = (t) => FC[top.indexOf(t) % FC.length] || C.textMuted;
+  const daily = data.typeDaily.map(d => {
+    const row = { date: d.date, OTHER: 0 };
+    for (const [k, v] of Object.entries(d)) {
+      if (k === "date") continue;
+      if (top.includes(k)) row[k] = v; else row.OTHER += v;
+    }
+    return row;
+  });
+  const hasOther = daily.some(d => d.OTHER > 0);
+  const total = data.txTypes.reduce((s, t) => s + t.count, 0);
+  const vol = (t) => usd ? fmtUsd(t.volumeUsd) : `${t.volume.toFixed(2)} SOL`;
+  const toggle = (t) => onChange(selected.includes(t) ? selected.filter(x => x !== t) : [...selected, t]);
+  const tbl = (title, rows, filterable) => (
+    <div style={{ flex: 1, minWidth: 260, background: C.surface, borderRadius: 12, border: `1px solid ${C.border}`, overflow: "hidden" }}>
+      <div style={{ padding: "10px 14px", borderBottom: `1px solid ${C.border}`, fontSize: 11, fontWeight: 600 }}>{title}</div>
+      {rows.slice(0, 10).map(t => (
+        <div key={t.name} style={{ display: "flex", alignItems: "center", gap: 8, padding: "6px 14px", fontSize: 10, borderBottom: `1px solid ${C.border}` }}>
+          {filterable && <span style={{ width: 8, height: 8, borderRadius: 2, background: color(t.name) }} />}
+          <span style={{ flex: 1, color: filterable && selected.includes(t.name) ? C.text : C.textDim, fontWeight: filterable && selected.includes(t.name) ? 700 : 400 }}>{t.name}</span>
+          <span style={{ minWidth: 40, textAlign: "right" }}>{t.count}</span>
+          <span style={{ minWidth: 36, textAlign: "right", color: C.textMuted }}>{((t.count / total) * 100).toFixed(0)}%</span>
+          <span style={{ minWidth: 90, textAlign: "right", color: C.yellow }}>{vol(t)}</span>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <>
+      <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 10, flexWrap: "wrap" }}>
+        {profile && <span style={{ padding: "3px 10px", borderRadius: 12, fontSize: 10, fontWeight: 700, color: profile.color, background: `${profile.color}18`, border: `1px solid ${profile.color}40`, marginRight: 6 }}>{profile.label}</span>}
+        <span style={{ fontSize: 9, color: C.textDim, marginRight: 4 }}>FILTER</span>
+        <button onClick={() => onChange([])} disabled={!canFilter}
+          style={{ padding: "4px 10px", borderRadius: 12, border: `1px solid ${!selected.length ? C.purple : C.border}`, background: !selected.length ? C.purpleDim : "transparent", color: !selected.length ? C.purple : C.textDim, fontSize: 10, fontWeight: 600, cursor: "pointer", fontFamily: "inherit" }}>
+          All types</button>
+        {data.txTypes.map(t => {
+          const on = selected.includes(t.name);
+          return (
+            <button key={t.name} onClick={() => toggle(t.name)} disabled={!canFilter}
+              title={canFilter ? `${t.count} transactions` : "Filtering needs raw transactions (not available for demo data)"}
+              style={{ padding: "4px 10px", borderRadius: 12, border: `1px solid ${on ? color(t.name) : C.border}`, background: on ? `${color(t.name)}18` : "transparent", color: on ? color(t.name) : C.textDim, fontSize: 10, fontWeight: 600, cursor: canFilter ? "pointer" : "not-allowed", fontFamily: "inherit", opacity: canFilter ? 1 : 0.5 }}>
+              {t.name}</button>
+          );
+        })}
+      </div>
+      {selected.length > 0 && (
+        <div style={{ fontSize: 9, color: C.purple, marginBottom: 10 }}>
+          Showing only {selected.join(", ")} transactions in the panels below. The breakdown always covers every type.
+        </div>
       )}
+      <div style={{ display: "flex", gap: 12, marginBottom: 12, flexWrap: "wrap" }}>
+        {tbl("By Type", data.txTypes, true)}
+        {tbl("By Source", data.txSources, false)}
+      </div>
+      <Crd title="Daily Transactions by Type">
+        <ResponsiveContainer width="100%" height={220}>
+          <BarChart data={daily} barCategoryGap="20%">
+            <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+            <XAxis dataKey="date" tickFormatter={fmtD} tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} />
+            <YAxis allowDecimals={false} tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} />
+            <Tooltip content={<TT fmt={String} />} />
+            <Legend wrapperStyle={{ fontSize: 10 }} />
+            {top.map(t => <Bar key={t} dataKey={t} stackId="t" fill={color(t)} fillOpacity={selected.length && !selected.includes(t) ? 0.25 : 0.85} />)}
+            {hasOther && <Bar dataKey="OTHER" name="Other" stackId="t" fill={C.textMuted} />}
+          </BarChart>
+        </ResponsiveContainer>
+      </Crd>
+    </>
+  );
+}
 
-      {/* ═══ EMPTY STATE ═══ */}
-      {!hasAnyResults && !loading && (
-        <div style={{ display: "flex", flexDirection: "column", alignItems: "center", padding: "70px 24px", textAlign: "center" }}>
-          <div style={{ fontSize: 44, marginBottom: 14, opacity: 0.12 }}>◈</div>
-          <div style={{ fontSize: 13, color: C.textDim, maxWidth: 420, lineHeight: 1.7 }}>
-            Enter up to 10 Solana wallets to see 1-hour, 24-hour, and 15-day transaction analytics.
-            <br /><span style={{ fontSize: 10, color: C.textMuted }}>Supports URL params: <code style={{ color: C.accent, fontSize: 10 }}>?wallet1=...&wallet2=...&...&key=...</code></span>
+function FeesPanel({ fees, daily, usd, includeFees, onIncludeFees, tokenView }) {
+  const sol = (v) => v < 0.01 ? v.toFixed(6) : v.toFixed(4);
+  const share = (n) => fees.txCount ? `${((n / fees.txCount) * 100).toFixed(0)}%` : "—";
+  return (
+    <>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit,minmax(150px,1fr))", gap: 10, marginBottom: 12 }}>
+        <MS label="Total Fees" value={`${sol(fees.total)} SOL`} sub={usd ? fmtUsd(fees.totalUsd) : `${fees.paidCount} txs paid`} color={C.red} />
+        <MS label="Priority Fees (est.)" value={`${sol(fees.priority)} SOL`} sub={fees.total ? `${((fees.priority / fees.total) * 100).toFixed(0)}% of fees` : undefined} color={C.yellow} />
+        <MS label="Avg Fee / Tx" value={sol(fees.avg)} sub={`max ${sol(fees.max)}`} color={C.cyan} />
+        <MS label="P50 / P90 / P99" value={sol(fees.p50)} sub={`${sol(fees.p90)} / ${sol(fees.p99)}`} color={C.purple} />
+        <MS label="Paid By Wallet" value={share(fees.paidCount)} sub={`others paid ${share(fees.othersPaid)}`} color={C.accent} />
+        <MS label="Paid For Others" value={share(fees.sponsored)} sub={`${fees.sponsored} txs with no own transfer`} color={C.yellow} />
+      </div>
+      <Crd title="Fees per Day (SOL)" sub="Only transactions where the watched wallet is the fee payer">
+        <ResponsiveContainer width="100%" height={180}>
+          <BarChart data={daily}>
+            <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+            <XAxis dataKey="date" tickFormatter={fmtD} tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} />
+            <YAxis tick={{ fill: C.textDim, fontSize: 10 }} stroke={C.border} />
+            <Tooltip content={<TT fmt={v => v.toFixed(6)} />} />
+            <Bar dataKey="fees" name="Fees" fill={C.red} fillOpacity={0.8} radius={[3, 3, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </Crd>
+      <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 10, color: tokenView ? C.textMuted : C.textDim, cursor: "pointer", marginBottom: 8 }}>
+        <input type="checkbox" checked={includeFees} onChange={e => onIncludeFees(e.target.checked)} />
+        Include fees in daily outgoing SOL, so net flow matches the balance change{tokenView ? " (SOL view only)" : ""}
+      </label>
+    </>
+  );
+}
+
+function CrossWalletPanel({ ov }) {
+  const tz = useTz();
+  const [showAll, setShowAll] = useState(false);
+  const W = (slot) => `W${slot}`;
+  const maxShared = Math.max(...ov.matrix.flatMap((row, i) => row.filter((_, j) => j !== i).map(c => c.shared)), 1);
+  const shared = showAll ? ov.shared : ov.shared.slice(0, 25);
+  const th = { padding: "8px 12px", textAlign: "left", color: C.textDim, fontWeight: 500, fontSize: 9, textTransform: "uppercase", letterSpacing: 0.8 };
+  const td = { padding: "8px 12px" };
+  return (
+    <>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit,minmax(170px,1fr))", gap: 10, marginBottom: 14 }}>
+        <MS label="Wallets Compared" value={ov.slots.length} color={C.cyan} />
+        <MS label="Shared Counterparties" value={ov.shared.length} sub={`${ov.shared.filter(s => s.wallets.length > 2).length} seen by 3+ wallets`} color={C.purple} />
+        <MS label="Direct Links" value={ov.links.length} sub="watched wallet pairs" color={C.yellow} />
+      </div>
+
+      <Crd title="Overlap Matrix" sub="Shared counterparties · combined SOL volume with them (diagonal: own totals)">
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ borderCollapse: "collapse", fontSize: 10 }}>
+            <thead>
+              <tr>
+                <th style={th} />
+                {ov.slots.map(s => <th key={s.slot} title={s.address} style={{ ...th, textAlign: "center" }}>{W(s.slot)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {ov.slots.map((a, i) => (
+                <tr key={a.slot}>
+                  <td style={{ ...td, color: C.textDim }} title={a.address}>{W(a.slot)} <code style={{ fontSize: 8, color: C.textMuted }}>{short(a.address)}</code></td>
+                  {ov.matrix[i].map((c, j) => {
+                    const self = i === j;
+                    const heat = self ? 0 : c.shared / maxShared;
+                    return (
+                      <td key={j} style={{ ...td, textAlign: "center", minWidth: 70, background: self ? C.bg : `rgba(153,69,255,${(heat * 0.45).toFixed(2)})`, border: `1px solid ${C.border}`, color: self ? C.textMuted : c.shared ? C.text : C.textMuted }}>
+                        <div style={{ fontWeight: 700 }}>{c.shared}</div>
+                        <div style={{ fontSize: 8, color: C.textDim }}>{c.volume.toFixed(1)} SOL</div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Crd>
+
+      <div style={{ marginBottom: 12, background: C.surface, borderRadius: 12, border: `1px solid ${C.border}`, overflow: "hidden" }}>
+        <div style={{ padding: "14px 16px", borderBottom: `1px solid ${C.border}`, fontSize: 12, fontWeight: 600 }}>
+          Direct Transfers Between Watched Wallets
+        </div>
+        {ov.links.length === 0 ? (
+          <div style={{ padding: "14px 16px", fontSize: 10, color: C.textMuted }}>No transfers between the watched wallets in this lookback.</div>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${C.border}` }}>
+                  {["Pair", "Transfers", "Sent (SOL)", "Received (SOL)", "Token Mints"].map(h => <th key={h} style={th}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {ov.links.map(l => (
+                  <tr key={`${l.from}-${l.to}`} style={{ borderBottom: `1px solid ${C.border}` }}>
+                    <td style={td}>{W(l.from)} <span style={{ color: C.textMuted }}>↔</span> {W(l.to)}</td>
+                    <td style={td}>{l.count}</td>
+                    <td style={{ ...td, color: C.red, fontWeight: 600 }}>{l.sentSol.toFixed(3)}</td>
+                    <td style={{ ...td, color: C.accent, fontWeight: 600 }}>{l.receivedSol.toFixed(3)}</td>
+                    <td style={{ ...td, color: C.textDim }}>{l.tokens || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {ov.events.length > 0 && (
+              <div style={{ padding: "10px 16px", borderTop: `1px solid ${C.border}` }}>
+                <div style={{ fontSize: 9, color: C.textDim, marginBottom: 6 }}>RECENT</div>
+                {ov.events.map((e, k) => (
+                  <div key={k} style={{ display: "flex", gap: 10, fontSize: 10, padding: "2px 0" }}>
+                    <span style={{ color: C.textMuted, minWidth: 110 }}>{fmtDT(e.ts, tz)}</span>
+                    <span>{W(e.from)} → {W(e.to)}</span>
+                    <span style={{ color: C.yellow }}>{+e.amount.toFixed(4)} {e.asset === "SOL" ? "SOL" : short(e.asset)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
-          <button onClick={handleDemo}
-            style={{ marginTop: 20, padding: "9px 22px", borderRadius: 8, border: `1px solid ${C.borderLight}`, background: "transparent", color: C.textDim, fontSize: 11, fontWeight: 600, cursor: "pointer", fontFamily: "inherit" }}
-            onMouseEnter={e => { e.currentTarget.style.borderColor = C.accent; e.currentTarget.style.color = C.accent; }}
-            onMouseLeave={e => { e.currentTarget.style.borderColor = C.borderLight; e.currentTarget.style.color = C.textDim; }}>
-            Try demo data
-          </button>
+        )}
+      </div>
+
+      <div style={{ marginBottom: 12, background: C.surface, borderRadius: 12, border: `1px solid ${C.border}`, overflow: "hidden" }}>
+        <div style={{ padding: "14px 16px", borderBottom: `1px solid ${C.border}`, fontSize: 12, fontWeight: 600, display: "flex", justifyContent: "space-between" }}>
+          <span>Shared Counterparties</span>
+          <span style={{ fontSize: 9, color: C.textDim, fontWeight: 400 }}>touched by 2+ watched wallets</span>
         </div>
-      )}
+        {ov.shared.length === 0 ? (
+          <div style={{ padding: "14px 16px", fontSize: 10, color: C.textMuted }}>No counterparty is shared between the watched wallets.</div>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+              <thead>
+                <tr style={{ borderBottom: `1px solid ${C.border}` }}>
+                  {["Counterparty", "Wallets", "Transfers", "Volume (SOL)", "Per Wallet (in / out SOL)"].map(h => <th key={h} style={th}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {shared.map(e => (
+                  <tr key={e.address} style={{ borderBottom: `1px solid ${C.border}` }}>
+                    <td style={td}><Addr a={e.address} /> <EntityTags a={e.address} /></td>
+                    <td style={{ ...td, fontWeight: 700, color: e.wallets.length > 2 ? C.yellow : C.purple }}>{e.wallets.length}</td>
+                    <td style={td}>{e.count}</td>
+                    <td style={{ ...td, fontWeight: 600 }}>{e.totalSol.toFixed(3)}</td>
+                    <td style={{ ...td, fontSize: 9, color: C.textDim }}>
+                      {e.wallets.map(w => (
+                        <span key={w.slot} style={{ marginRight: 10, whiteSpace: "nowrap" }}>
+                          {W(w.slot)} <span style={{ color: C.accent }}>{w.incomingSol.toFixed(2)}</span>/<span style={{ color: C.red }}>{w.outgoingSol.toFixed(2)}</span>
+                        </span>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {ov.shared.length > 25 && (
+              <div onClick={() => setShowAll(!showAll)} style={{ padding: "8px 16px", fontSize: 9, color: C.textDim, cursor: "pointer" }}>
+                {showAll ? "Show top 25" : `Show all ${ov.shared.length}`}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
 
-      <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@400;500;600;700&display=swap');
-        @keyframes pulse{0%,100%{opacity:1}50%{opacity:0.3}}
-        *{box-sizing:border-box}
-        ::-webkit-scrollbar{width:5px;height:5px}
-        ::-webkit-scrollbar-track{background:${C.bg}}
-        ::-webkit-scrollbar-thumb{background:${C.borderLight};border-radius:3px}
-      `}</style>
+function ExportBar({ onExport, onExportAll, walletCount }) {
+  const [open, setOpen] = useState(false);
+  const btn = { padding: "3px 8px", borderRadius: 6, border: `1px solid ${C.border}`, background: "transparent", color: C.textDim, fontSize: 9, cursor: "pointer", fontFamily: "inherit" };
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div style={{ display: "flex", justifyContent: "flex-end", gap: 6 }}>
+        <button onClick={() => setOpen(!open)} style={{ ...btn, color: open ? C.text : C.textDim }}>Export {open ? "▴" : "▾"}</button>
+        <button onClick={onExportAll} title="Every dataset for every analyzed wallet, as one JSON file" style={btn}>
+          Download everything{walletCount > 1 ? ` (${walletCount} wallets)` : ""}</button>
+      </div>
+      {open && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 8, padding: "10px 12px", background: C.surface, borderRadius: 10, border: `1px solid ${C.border}` }}>
+          {Object.entries(EXPORTS).map(([k, ds]) => (
+            <div key={k} style={{ display: "flex", alignItems: "center", gap: 4, paddingRight: 8, borderRight: `1px solid ${C.border}` }}>
+              <span style={{ fontSize: 10, color: C.text, marginRight: 2 }}>{ds.label}</span>
+              <button onClick={() => onExport(k, "csv")} style={btn}>CSV</button>
+              <button onClick={() => onExport(k, "json")} style={btn}>JSON</button>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
 
-// ═════════════════════════════════════════════════════════════════════════════
-// COMPONENTS
-// ═════════════════════════════════════════════════════════════════════════════
-
 function HoldingsPanel({ holdings, holdingsError }) {
+  const [hideSpam, setHideSpam] = useState(() => getInitial("", "sol-dash-hide-spam") === "1");
+  const toggleHideSpam = () => { persist("sol-dash-hide-spam", hideSpam ? "0" : "1"); setHideSpam(!hideSpam); };
+
   if (holdingsError) {
     return (
       <>
@@ -889,6 +3091,15 @@ function HoldingsPanel({ holdings, holdingsError }) {
   }
   if (!holdings) return null;
 
+  // Present after valueHoldings() (USD view)
+  const valued = holdings.totalUsd != null;
+  // Zero-value: a known price (USD view, else DAS price_info) of 0. Unpriced
+  // tokens are not hidden, since most legitimate long-tail tokens have no price
+  const zeroValue = (t) => { const v = t.usd ?? t.dasUsd; return v != null && !(v > 0); };
+  const tokens = hideSpam ? holdings.tokens.filter(t => !t.spam && !zeroValue(t)) : holdings.tokens;
+  const hidden = holdings.tokens.length - tokens.length;
+  const nftGroups = groupNfts(holdings.nfts);
+
   const fmtBal = (val, decimals) => {
     if (val >= 1_000_000) return (val / 1_000_000).toFixed(2) + "M";
     if (val >= 1_000) return (val / 1_000).toFixed(2) + "K";
@@ -901,31 +3112,46 @@ function HoldingsPanel({ holdings, holdingsError }) {
     <>
       <SL icon="◆" label="Current Holdings" color={C.accent} />
       <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit,minmax(170px,1fr))", gap: 10, marginBottom: 14 }}>
-        <MS label="SOL Balance" value={`${holdings.sol.toFixed(4)} SOL`} color={C.accent} />
+        <MS label="SOL Balance" value={`${holdings.sol.toFixed(4)} SOL`} sub={valued && holdings.solUsd != null ? fmtUsd(holdings.solUsd) : undefined} color={C.accent} />
         <MS label="Token Types" value={holdings.tokens.length} color={C.cyan} />
+        {holdings.nfts?.length > 0 && <MS label="NFTs" value={holdings.nfts.length} sub={`${nftGroups.length} collection${nftGroups.length !== 1 ? "s" : ""}`} color={C.purple} />}
+        {valued && <MS label="Total Value" value={fmtUsd(holdings.totalUsd)} color={C.yellow} />}
       </div>
+      {holdings.truncated && (
+        <div style={{ padding: "8px 14px", borderRadius: 8, marginBottom: 10, background: C.redDim, fontSize: 10, color: C.red }}>
+          Only the first {holdings.totalAssets.toLocaleString()} assets were loaded; this wallet holds more.
+        </div>
+      )}
       {holdings.tokens.length > 0 && (
         <div style={{ background: C.surface, borderRadius: 12, border: `1px solid ${C.border}`, overflow: "hidden", marginBottom: 8 }}>
-          <div style={{ padding: "12px 16px", borderBottom: `1px solid ${C.border}`, fontSize: 12, fontWeight: 600 }}>
-            SPL Token Holdings
+          <div style={{ padding: "12px 16px", borderBottom: `1px solid ${C.border}`, fontSize: 12, fontWeight: 600, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <span>SPL Token Holdings</span>
+            <label style={{ fontSize: 9, color: C.textDim, fontWeight: 400, display: "flex", alignItems: "center", gap: 5, cursor: "pointer" }}>
+              <input type="checkbox" checked={hideSpam} onChange={toggleHideSpam} />
+              Hide spam / zero-value{hidden > 0 ? ` (${hidden} hidden)` : ""}
+            </label>
           </div>
           <div style={{ overflowX: "auto" }}>
             <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, minWidth: 500 }}>
               <thead>
                 <tr style={{ borderBottom: `1px solid ${C.border}` }}>
-                  {["Symbol", "Name", "Balance", "Mint"].map(h => (
+                  {["Symbol", "Name", "Balance", ...(valued ? ["Value (USD)"] : []), "Mint"].map(h => (
                     <th key={h} style={{ padding: "8px 12px", textAlign: "left", color: C.textDim, fontWeight: 500, fontSize: 9, textTransform: "uppercase", letterSpacing: 0.8 }}>{h}</th>
                   ))}
                 </tr>
               </thead>
               <tbody>
-                {holdings.tokens.map(t => (
+                {tokens.map(t => (
                   <tr key={t.mint} style={{ borderBottom: `1px solid ${C.border}` }}
                     onMouseEnter={e => e.currentTarget.style.background = C.surfaceHover}
                     onMouseLeave={e => e.currentTarget.style.background = "transparent"}>
-                    <td style={{ padding: "8px 12px", fontWeight: 700, color: C.yellow }}>{t.symbol}</td>
+                    <td style={{ padding: "8px 12px", fontWeight: 700, color: C.yellow }}>
+                      {t.symbol}
+                      {t.spam && <span style={{ marginLeft: 6, padding: "1px 5px", borderRadius: 4, fontSize: 8, color: C.red, background: C.redDim }}>spam?</span>}
+                    </td>
                     <td style={{ padding: "8px 12px", color: C.textDim }}>{t.name}</td>
                     <td style={{ padding: "8px 12px", fontWeight: 600, color: C.text }}>{fmtBal(t.displayBalance, t.decimals)}</td>
+                    {valued && <td style={{ padding: "8px 12px", color: t.usd != null ? C.yellow : C.textMuted }}>{t.usd != null ? fmtUsd(t.usd) : "—"}</td>}
                     <td style={{ padding: "8px 12px" }}><code style={{ fontSize: 9, background: C.bg, padding: "2px 5px", borderRadius: 4, color: C.textDim }}>{short(t.mint)}</code></td>
                   </tr>
                 ))}
@@ -934,6 +3160,173 @@ function HoldingsPanel({ holdings, holdingsError }) {
           </div>
         </div>
       )}
+      {nftGroups.length > 0 && <NftPanel groups={nftGroups} />}
+    </>
+  );
+}
+
+const NFT_GROUP_PREVIEW = 24;
+
+function NftPanel({ groups }) {
+  const [open, setOpen] = useState({});
+  return (
+    <div style={{ background: C.surface, borderRadius: 12, border: `1px solid ${C.border}`, overflow: "hidden", marginBottom: 8 }}>
+      <div style={{ padding: "12px 16px", borderBottom: `1px solid ${C.border}`, fontSize: 12, fontWeight: 600 }}>
+        NFTs &amp; Collectibles
+      </div>
+      {groups.map(g => {
+        const key = g.collection || "";
+        const expanded = open[key];
+        const cnft = g.items.filter(n => n.compressed).length;
+        const shown = expanded ? g.items : g.items.slice(0, NFT_GROUP_PREVIEW);
+        return (
+          <div key={key} style={{ borderBottom: `1px solid ${C.border}`, padding: "10px 16px" }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, fontSize: 11 }}>
+              <span style={{ fontWeight: 600, color: C.purple }}>{g.name}</span>
+              <span style={{ color: C.textDim, fontSize: 9 }}>{g.items.length} item{g.items.length !== 1 ? "s" : ""}</span>
+              {cnft > 0 && <span style={{ padding: "1px 6px", borderRadius: 10, fontSize: 8, color: C.cyan, border: `1px solid ${C.cyan}40` }}>{cnft} compressed</span>}
+              {g.collection && <code style={{ fontSize: 9, color: C.textMuted }}>{short(g.collection)}</code>}
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill,minmax(76px,1fr))", gap: 8 }}>
+              {shown.map(n => (
+                <div key={n.id} title={`${n.name}\n${n.id}`} style={{ background: C.bg, borderRadius: 8, overflow: "hidden", border: `1px solid ${C.border}`, position: "relative" }}>
+                  {n.image ? (
+                    <img src={n.image} alt={n.name} loading="lazy" style={{ width: "100%", aspectRatio: "1", objectFit: "cover", display: "block" }} />
+                  ) : (
+                    <div style={{ width: "100%", aspectRatio: "1", display: "flex", alignItems: "center", justifyContent: "center", color: C.textMuted, fontSize: 18 }}>◈</div>
+                  )}
+                  {n.compressed && <span style={{ position: "absolute", top: 4, right: 4, padding: "1px 4px", borderRadius: 4, fontSize: 7, fontWeight: 700, color: C.bg, background: C.cyan }}>cNFT</span>}
+                  <div style={{ padding: "4px 5px", fontSize: 8, color: C.textDim, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{n.name}</div>
+                </div>
+              ))}
+            </div>
+            {g.items.length > NFT_GROUP_PREVIEW && (
+              <div onClick={() => setOpen({ ...open, [key]: !expanded })} style={{ marginTop: 6, fontSize: 9, color: C.textDim, cursor: "pointer" }}>
+                {expanded ? "Show less" : `Show all ${g.items.length}`}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function LiveFeed({ events, multi }) {
+  const tz = useTz();
+  return (
+    <>
+      <SL icon="●" label="Live Feed" color={C.accent} />
+      <div style={{ background: C.surface, borderRadius: 12, border: `1px solid ${C.border}`, overflow: "hidden", marginBottom: 8 }}>
+        {events.length === 0 ? (
+          <div style={{ padding: "16px", textAlign: "center", fontSize: 11, color: C.textMuted }}>
+            Waiting for new transactions…
+          </div>
+        ) : (
+          <div style={{ display: "flex", flexDirection: "column", gap: 4, padding: "10px 16px", maxHeight: 260, overflowY: "auto" }}>
+            {events.map((e, i) => (
+              <div key={`${e.ts}-${e.counterparty}-${i}`} style={{ display: "flex", alignItems: "center", gap: 10, padding: "5px 8px", borderRadius: 6, background: C.bg, fontSize: 10 }}>
+                <span style={{ color: C.textDim, minWidth: 44 }}>{fmtT(e.ts, tz)}</span>
+                {multi && <span style={{ color: C.purple, minWidth: 20 }}>W{e.slot + 1}</span>}
+                {e.incoming > 0 && <span style={{ color: C.accent, fontWeight: 600, minWidth: 70 }}>↓{e.incoming.toFixed(4)}</span>}
+                {e.outgoing > 0 && <span style={{ color: C.red, fontWeight: 600, minWidth: 70 }}>↑{e.outgoing.toFixed(4)}</span>}
+                {e.tokenOnly && <span style={{ color: C.yellow, minWidth: 70 }}>token</span>}
+                <span style={{ color: C.textDim }}>{e.tokenOnly ? "with" : e.incoming > 0 ? "from" : "to"}</span>
+                <Addr a={e.counterparty} style={{ background: "transparent", padding: 0 }} />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
+
+function AlertsPanel({ wallet, rules, onRulesChange, settings, onSettingsChange, log, onClearLog }) {
+  const tz = useTz();
+  const [open, setOpen] = useState(false);
+  const update = (id, patch) => onRulesChange(rules.map(r => r.id === id ? { ...r, ...patch } : r));
+  const inputStyle = { padding: "5px 8px", background: C.bg, border: `1px solid ${C.border}`, borderRadius: 6, color: C.text, fontSize: 10, fontFamily: "inherit", outline: "none" };
+  const btnStyle = { padding: "5px 10px", borderRadius: 6, border: `1px solid ${C.borderLight}`, background: "transparent", color: C.textDim, fontSize: 10, cursor: "pointer", fontFamily: "inherit" };
+  const enabledCount = rules.filter(r => r.enabled).length;
+  const walletLog = log.filter(l => l.wallet === wallet);
+
+  const toggleNotify = async () => {
+    if (!settings.notify && typeof Notification !== "undefined" && Notification.permission === "default") {
+      try { await Notification.requestPermission(); } catch {}
+    }
+    onSettingsChange({ ...settings, notify: !settings.notify });
+  };
+
+  return (
+    <>
+      <SL icon="⚑" label="Alerts" color={C.red} />
+      <div style={{ background: C.surface, borderRadius: 12, border: `1px solid ${C.border}`, overflow: "hidden", marginBottom: 8 }}>
+        <div onClick={() => setOpen(!open)}
+          style={{ padding: "12px 16px", fontSize: 11, display: "flex", justifyContent: "space-between", alignItems: "center", cursor: "pointer" }}>
+          <span>
+            <span style={{ fontWeight: 600 }}>{enabledCount} active rule{enabledCount !== 1 ? "s" : ""}</span>
+            <span style={{ color: C.textDim }}> · {walletLog.length} alert{walletLog.length !== 1 ? "s" : ""} logged</span>
+          </span>
+          <span style={{ fontSize: 9, color: C.textDim }}>{open ? "Hide" : "Edit rules"}</span>
+        </div>
+
+        {open && (
+          <div style={{ borderTop: `1px solid ${C.border}`, padding: "12px 16px", display: "flex", flexDirection: "column", gap: 8 }}>
+            {rules.map(r => {
+              const t = RULE_TYPES[r.type];
+              return (
+                <div key={r.id} style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: 10 }}>
+                  <input type="checkbox" checked={r.enabled} onChange={e => update(r.id, { enabled: e.target.checked })} />
+                  <select value={r.type} onChange={e => update(r.id, { type: e.target.value, ...RULE_TYPES[e.target.value].defaults })} style={inputStyle}>
+                    {Object.entries(RULE_TYPES).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+                  </select>
+                  {t.unit && (
+                    <>
+                      <input type="number" min={0} step="any" value={r.threshold} onChange={e => update(r.id, { threshold: +e.target.value })} style={{ ...inputStyle, width: 80 }} />
+                      <span style={{ color: C.textDim }}>{t.unit}</span>
+                    </>
+                  )}
+                  {t.window && (
+                    <>
+                      <span style={{ color: C.textDim }}>within</span>
+                      <input type="number" min={1} value={r.windowMin} onChange={e => update(r.id, { windowMin: Math.max(1, +e.target.value) })} style={{ ...inputStyle, width: 60 }} />
+                      <span style={{ color: C.textDim }}>min</span>
+                    </>
+                  )}
+                  <button onClick={() => onRulesChange(rules.filter(x => x.id !== r.id))} style={{ ...btnStyle, color: C.red }}>Remove</button>
+                </div>
+              );
+            })}
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+              <button onClick={() => onRulesChange([...rules, newRule()])} style={btnStyle}>+ Add rule</button>
+              <button onClick={toggleNotify} style={{ ...btnStyle, color: settings.notify ? C.accent : C.textDim, borderColor: settings.notify ? C.accent : C.borderLight }}>
+                Browser notifications {settings.notify ? "on" : "off"}</button>
+              <input type="url" value={settings.webhook} placeholder="Webhook URL (https://…)"
+                onChange={e => onSettingsChange({ ...settings, webhook: e.target.value.trim() })}
+                style={{ ...inputStyle, flex: 1, minWidth: 200 }} />
+            </div>
+          </div>
+        )}
+
+        {walletLog.length > 0 && (
+          <div style={{ borderTop: `1px solid ${C.border}`, padding: "10px 16px" }}>
+            <div style={{ fontSize: 9, color: C.textDim, marginBottom: 6, letterSpacing: 0.5, display: "flex", justifyContent: "space-between" }}>
+              <span>ALERT LOG</span>
+              <span onClick={onClearLog} style={{ cursor: "pointer" }}>Clear</span>
+            </div>
+            <div style={{ display: "flex", flexDirection: "column", gap: 4, maxHeight: 180, overflowY: "auto" }}>
+              {walletLog.slice(0, 20).map(l => (
+                <div key={l.id} style={{ display: "flex", alignItems: "center", gap: 10, padding: "5px 8px", borderRadius: 6, background: C.bg, fontSize: 10 }}>
+                  <span style={{ color: C.textDim, minWidth: 90 }}>{fmtDT(l.firedAt, tz, { month: "numeric", day: "numeric", hour: "2-digit", minute: "2-digit" })}</span>
+                  <span style={{ color: C.red, flex: 1, wordBreak: "break-all" }}>{l.message}</span>
+                  {l.delivered?.webhook && <span style={{ color: C.textMuted, fontSize: 9 }}>webhook ✓</span>}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
     </>
   );
 }
@@ -948,11 +3341,42 @@ function SL({ icon, label, color }) {
   );
 }
 
-function TWP({ win, bucketLabel }) {
+const RANGE_FMT = { month: "numeric", day: "numeric", hour: "2-digit", minute: "2-digit" };
+
+// Preset buttons plus absolute start/end pickers (wall-clock time in the selected zone)
+function RangeBar({ range, span, onChange, loadedFrom }) {
+  const tz = useTz();
+  const setEdge = (edge) => (e) => {
+    const ts = fromWall(e.target.value, tz);
+    if (ts == null) return;
+    const next = { ...span, [edge]: ts };
+    if (next.from < next.to) onChange({ from: next.from, to: next.to });
+  };
+  const input = { padding: "5px 8px", background: C.surface, border: `1px solid ${C.border}`, borderRadius: 6, color: C.text, fontSize: 10, fontFamily: "inherit", outline: "none", colorScheme: "dark" };
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+      <div style={{ display: "flex", gap: 2, background: C.surface, borderRadius: 8, padding: 3, border: `1px solid ${C.border}` }}>
+        {Object.keys(RANGE_PRESETS).map(k => (
+          <button key={k} onClick={() => onChange({ preset: k })}
+            style={{ padding: "5px 10px", borderRadius: 6, border: "none", cursor: "pointer", background: range.preset === k ? C.accentDim : "transparent", color: range.preset === k ? C.accent : C.textDim, fontSize: 10, fontWeight: 600, fontFamily: "inherit" }}>
+            {k}</button>
+        ))}
+      </div>
+      <input type="datetime-local" value={toWall(span.from, tz)} onChange={setEdge("from")} style={input} />
+      <span style={{ fontSize: 10, color: C.textMuted }}>→</span>
+      <input type="datetime-local" value={toWall(span.to, tz)} onChange={setEdge("to")} style={input} />
+      {loadedFrom != null && span.from < loadedFrom && (
+        <span style={{ fontSize: 9, color: C.textMuted }}>Starts before the loaded lookback; earlier activity isn't included.</span>
+      )}
+    </div>
+  );
+}
+
+function TWP({ win, bucketLabel, unit = "SOL", onSelect }) {
   const metrics = [
-    { label: "INCOMING", val: win.incoming.toFixed(4), unit: "SOL", col: C.accent },
-    { label: "OUTGOING", val: win.outgoing.toFixed(4), unit: "SOL", col: C.red },
-    { label: "NET FLOW", val: `${win.net >= 0 ? "+" : ""}${win.net.toFixed(4)}`, unit: "SOL", col: win.net >= 0 ? C.accent : C.red },
+    { label: "INCOMING", val: win.incoming.toFixed(4), unit, col: C.accent },
+    { label: "OUTGOING", val: win.outgoing.toFixed(4), unit, col: C.red },
+    { label: "NET FLOW", val: `${win.net >= 0 ? "+" : ""}${win.net.toFixed(4)}`, unit, col: win.net >= 0 ? C.accent : C.red },
     { label: "ACTIVITY", val: win.txCount, unit: `tx · ${win.walletCount} wallets`, col: C.cyan },
   ];
   return (
@@ -987,8 +3411,8 @@ function TWP({ win, bucketLabel }) {
               const pct = ((w.incoming + w.outgoing) / mx) * 100;
               const inP = (w.incoming + w.outgoing) > 0 ? (w.incoming / (w.incoming + w.outgoing)) * pct : 0;
               return (
-                <div key={w.address} style={{ display: "flex", alignItems: "center", gap: 10, padding: "5px 8px", borderRadius: 6, background: C.bg, fontSize: 10 }}>
-                  <code style={{ color: C.text, fontSize: 9, minWidth: 65 }}>{short(w.address)}</code>
+                <div key={w.address} onClick={() => onSelect?.(w.address)} style={{ display: "flex", alignItems: "center", gap: 10, padding: "5px 8px", borderRadius: 6, background: C.bg, fontSize: 10, cursor: onSelect ? "pointer" : "default" }}>
+                  <Addr a={w.address} style={{ background: "transparent", padding: 0, minWidth: 65 }} />
                   <span style={{ color: C.textDim, minWidth: 20 }}>{w.count}x</span>
                   {w.incoming > 0 && <span style={{ color: C.accent, fontWeight: 600 }}>↓{w.incoming.toFixed(3)}</span>}
                   {w.outgoing > 0 && <span style={{ color: C.red, fontWeight: 600 }}>↑{w.outgoing.toFixed(3)}</span>}
@@ -1013,16 +3437,18 @@ function TWP({ win, bucketLabel }) {
 
 // ─── Recurrence Breakdown (1-10 days) ───────────────────────────────────────
 
-function RecurrenceBreakdown({ recurrence, uniqueWallets }) {
+function RecurrenceBreakdown({ recurrence, uniqueWallets, days }) {
   const total = uniqueWallets || 1;
-  // Show days 1 through 10, then "11-15d" grouped
+  // Show days 1 through 10, then "11-Nd" grouped when the lookback is longer
   const rows = [];
-  for (let d = 1; d <= 10; d++) {
+  for (let d = 1; d <= Math.min(10, days); d++) {
     const w = recurrence[d - 1]?.wallets || 0;
     rows.push({ day: d, label: `${d}-day`, wallets: w, pct: (w / total * 100).toFixed(1), color: DAY_COLORS[d - 1] });
   }
-  const rest = recurrence.slice(10).reduce((s, r) => s + r.wallets, 0);
-  rows.push({ day: 11, label: "11-15d", wallets: rest, pct: (rest / total * 100).toFixed(1), color: C.accent });
+  if (days > 10) {
+    const rest = recurrence.slice(10).reduce((s, r) => s + r.wallets, 0);
+    rows.push({ day: 11, label: days === 11 ? "11-day" : `11-${days}d`, wallets: rest, pct: (rest / total * 100).toFixed(1), color: C.accent });
+  }
 
   const maxW = Math.max(...rows.map(r => r.wallets), 1);
 
@@ -1086,7 +3512,7 @@ function RecurrenceBreakdown({ recurrence, uniqueWallets }) {
   );
 }
 
-function HourlyTrendPanel({ trend }) {
+function HourlyTrendPanel({ trend, unit = "SOL" }) {
   const { byHour, ranked, totalCount, peakHour, quietHour } = trend;
   const maxCount = Math.max(...ranked.map(r => r.count), 1);
 
@@ -1097,7 +3523,7 @@ function HourlyTrendPanel({ trend }) {
         <div style={{ padding: "14px 16px", borderRight: `1px solid ${C.border}` }}>
           <div style={{ fontSize: 9, color: C.textDim, marginBottom: 5, letterSpacing: 0.8 }}>TOTAL ACTIVITY</div>
           <div style={{ fontSize: 17, fontWeight: 700, color: C.yellow }}>{totalCount}</div>
-          <div style={{ fontSize: 9, color: C.textDim, marginTop: 2 }}>events in 3 days</div>
+          <div style={{ fontSize: 9, color: C.textDim, marginTop: 2 }}>events in {fmtSpan(trend.span)}</div>
         </div>
         <div style={{ padding: "14px 16px", borderRight: `1px solid ${C.border}` }}>
           <div style={{ fontSize: 9, color: C.textDim, marginBottom: 5, letterSpacing: 0.8 }}>PEAK HOUR</div>
@@ -1118,7 +3544,7 @@ function HourlyTrendPanel({ trend }) {
           <BarChart data={byHour} barCategoryGap="10%">
             <XAxis dataKey="label" tick={{ fill: C.textDim, fontSize: 8 }} stroke={C.border} interval={2} />
             <YAxis tick={{ fill: C.textDim, fontSize: 8 }} stroke={C.border} allowDecimals={false} width={30} />
-            <Tooltip content={<HourTT />} />
+            <Tooltip content={<HourTT unit={unit} />} />
             <Bar dataKey="count" name="Events" radius={[2, 2, 0, 0]}>
               {byHour.map((entry, i) => (
                 <Cell key={i} fill={entry.hour === peakHour.hour ? C.accent : C.yellow} fillOpacity={Math.max(0.3, entry.count / maxCount)} />
@@ -1160,7 +3586,7 @@ function HourlyTrendPanel({ trend }) {
   );
 }
 
-function HourTT({ active, payload }) {
+function HourTT({ active, payload, unit = "SOL" }) {
   if (!active || !payload?.length) return null;
   const d = payload[0]?.payload;
   if (!d) return null;
@@ -1168,8 +3594,8 @@ function HourTT({ active, payload }) {
     <div style={{ background: C.surface, border: `1px solid ${C.borderLight}`, borderRadius: 8, padding: "10px 14px", fontSize: 10, boxShadow: "0 6px 24px rgba(0,0,0,0.5)" }}>
       <div style={{ color: C.text, fontWeight: 600 }}>{d.label}</div>
       <div style={{ color: C.yellow }}>Events: <span style={{ fontWeight: 700 }}>{d.count}</span></div>
-      {d.incoming > 0 && <div style={{ color: C.accent }}>In: {d.incoming.toFixed(4)} SOL</div>}
-      {d.outgoing > 0 && <div style={{ color: C.red }}>Out: {d.outgoing.toFixed(4)} SOL</div>}
+      {d.incoming > 0 && <div style={{ color: C.accent }}>In: {d.incoming.toFixed(4)} {unit}</div>}
+      {d.outgoing > 0 && <div style={{ color: C.red }}>Out: {d.outgoing.toFixed(4)} {unit}</div>}
     </div>
   );
 }
@@ -1198,42 +3624,43 @@ function MS({ label, value, sub, color }) {
   );
 }
 
-function WalletTbl({ cps }) {
+function WalletTbl({ cps, days, unit = "SOL", onSelect }) {
   const sorted = cps.slice().sort((a, b) => b.activeDays - a.activeDays || b.count - a.count).slice(0, 20);
   return (
     <div style={{ marginTop: 12, background: C.surface, borderRadius: 12, border: `1px solid ${C.border}`, overflow: "hidden" }}>
       <div style={{ padding: "14px 16px", borderBottom: `1px solid ${C.border}`, fontSize: 12, fontWeight: 600, display: "flex", justifyContent: "space-between" }}>
         <span>Wallet Details</span>
         <span style={{ fontSize: 9, color: C.textDim }}>
-          <span style={{ color: C.accent }}>■</span> In (SOL)
-          {" "}<span style={{ color: C.red }}>■</span> Out (SOL)
+          <span style={{ color: C.accent }}>■</span> In ({unit})
+          {" "}<span style={{ color: C.red }}>■</span> Out ({unit})
         </span>
       </div>
       <div style={{ overflowX: "auto" }}>
         <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, minWidth: 800 }}>
           <thead>
             <tr style={{ borderBottom: `1px solid ${C.border}` }}>
-              {["#", "Wallet", "Days", "In (SOL)", "Out (SOL)", "15-Day", "Label"].map(h => (
+              {["#", "Wallet", "Days", `In (${unit})`, `Out (${unit})`, `${days}-Day`, "Label"].map(h => (
                 <th key={h} style={{ padding: "8px 12px", textAlign: "left", color: C.textDim, fontWeight: 500, fontSize: 9, textTransform: "uppercase", letterSpacing: 0.8 }}>{h}</th>
               ))}
             </tr>
           </thead>
           <tbody>
             {sorted.map((cp, i) => {
-              const lbl = cp.activeDays >= 10 ? "Daily" : cp.activeDays >= 5 ? "Frequent" : cp.activeDays >= 2 ? "Returning" : "One-time";
-              const lc = cp.activeDays >= 10 ? C.accent : cp.activeDays >= 5 ? C.cyan : cp.activeDays >= 2 ? C.purple : C.textDim;
+              const { lbl, lc } = activityLabel(cp.activeDays, days);
               const mx = Math.max(...cp.daily.map(d => Math.max(d.incoming, d.outgoing)), 0.0001);
               return (
-                <tr key={cp.address} style={{ borderBottom: `1px solid ${C.border}` }}
+                <tr key={cp.address} style={{ borderBottom: `1px solid ${C.border}`, cursor: onSelect ? "pointer" : "default" }}
+                  onClick={() => onSelect?.(cp.address)}
                   onMouseEnter={e => e.currentTarget.style.background = C.surfaceHover}
                   onMouseLeave={e => e.currentTarget.style.background = "transparent"}>
                   <td style={{ padding: "8px 12px", color: C.textDim }}>{i + 1}</td>
-                  <td style={{ padding: "8px 12px" }}><code style={{ fontSize: 9, background: C.bg, padding: "2px 5px", borderRadius: 4 }}>{short(cp.address)}</code></td>
-                  <td style={{ padding: "8px 12px" }}><span style={{ fontWeight: 700, color: lc }}>{cp.activeDays}</span><span style={{ color: C.textMuted, fontSize: 8 }}>/15</span></td>
+                  <td style={{ padding: "8px 12px" }}><Addr a={cp.address} /></td>
+                  <td style={{ padding: "8px 12px" }}><span style={{ fontWeight: 700, color: lc }}>{cp.activeDays}</span><span style={{ color: C.textMuted, fontSize: 8 }}>/{days}</span></td>
                   <td style={{ padding: "8px 12px", color: C.accent, fontWeight: 600 }}>{cp.incomingSol.toFixed(3)}</td>
                   <td style={{ padding: "8px 12px", color: C.red, fontWeight: 600 }}>{cp.outgoingSol.toFixed(3)}</td>
                   <td style={{ padding: "8px 12px" }}><Spk daily={cp.daily} mx={mx} /></td>
                   <td style={{ padding: "8px 12px" }}>
+                    <EntityTags a={cp.address} />
                     <span style={{ padding: "2px 8px", borderRadius: 12, fontSize: 9, fontWeight: 600, color: lc, background: `${lc}18`, border: `1px solid ${lc}30` }}>{lbl}</span>
                   </td>
                 </tr>
@@ -1246,13 +3673,146 @@ function WalletTbl({ cps }) {
   );
 }
 
+function CpGraph({ root, cps, days, unit, onExpand }) {
+  const nameOf = useNames();
+  const graph = useRef(null);
+  const sim = useRef({ alpha: 0, frame: 0 });
+  const [, setTick] = useState(0);
+  const [hops, setHops] = useState(() => Math.min(GRAPH_MAX_HOPS, Math.max(1, +getInitial("", "sol-dash-graph-hops") || 2)));
+  const [hover, setHover] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState("");
+
+  const heat = useCallback((alpha) => {
+    sim.current.alpha = Math.max(sim.current.alpha, alpha);
+    if (sim.current.frame) return;
+    const run = () => {
+      const s = sim.current;
+      graphStep(graph.current, s.alpha);
+      s.alpha *= 0.97;
+      setTick(t => t + 1);
+      s.frame = s.alpha > 0.02 ? requestAnimationFrame(run) : 0;
+    };
+    sim.current.frame = requestAnimationFrame(run);
+  }, []);
+
+  const reset = useCallback(() => {
+    graph.current = newGraph(root, cps, days);
+    setError("");
+    heat(1);
+  }, [root, cps, days, heat]);
+
+  // Rebuild whenever the wallet / view changes
+  useEffect(() => { reset(); }, [reset]);
+  useEffect(() => () => cancelAnimationFrame(sim.current.frame), []);
+
+  const expand = async (n) => {
+    if (!onExpand || busy || n.expanded || n.hop >= hops) return;
+    setBusy(n.id);
+    setError("");
+    try {
+      graphAdd(graph.current, n.id, await onExpand(n.id), days);
+      heat(0.6);
+    } catch (err) {
+      setError(`${short(n.id)}: ${err?.message || "fetch failed"}`);
+    }
+    setBusy(null);
+  };
+
+  const g = graph.current;
+  if (!g) return null;
+  const nodes = [...g.nodes.values()];
+  const labels = nodes.length <= 40;
+  const btn = { padding: "3px 8px", borderRadius: 6, border: `1px solid ${C.border}`, background: "transparent", color: C.textDim, fontSize: 9, cursor: "pointer", fontFamily: "inherit" };
+
+  return (
+    <Crd title={`Counterparty Graph (${unit})`} sub={onExpand ? `Node size = volume · colour = activity · click a node to expand its counterparties (up to ${hops} hop${hops > 1 ? "s" : ""})` : "Expansion is unavailable for a loaded snapshot"}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, padding: "0 6px 8px", fontSize: 9, color: C.textDim, flexWrap: "wrap" }}>
+        <span>Hop limit</span>
+        <select value={hops} onChange={e => { setHops(+e.target.value); persist("sol-dash-graph-hops", e.target.value); }}
+          style={{ padding: "2px 6px", background: C.bg, border: `1px solid ${C.border}`, borderRadius: 6, color: C.textDim, fontSize: 9, fontFamily: "inherit" }}>
+          {Array.from({ length: GRAPH_MAX_HOPS }, (_, i) => <option key={i} value={i + 1}>{i + 1}</option>)}
+        </select>
+        <button onClick={reset} style={btn}>Reset</button>
+        <span>{g.nodes.size} nodes · {g.edges.size} edges{g.nodes.size >= GRAPH_MAX_NODES ? " (node limit reached)" : ""}</span>
+        <span style={{ marginLeft: "auto" }}>
+          <span style={{ color: C.accent }}>→</span> in <span style={{ color: C.red, marginLeft: 6 }}>→</span> out <span style={{ color: C.textMuted, marginLeft: 6 }}>- -</span> token only
+        </span>
+        {busy && <span style={{ color: C.accent, width: "100%" }}>Fetching {short(busy)}…</span>}
+        {error && <span style={{ color: C.red, width: "100%" }}>{error}</span>}
+      </div>
+      <svg viewBox={`0 0 ${GRAPH_W} ${GRAPH_H}`} style={{ width: "100%", display: "block", background: C.bg, borderRadius: 8 }}>
+        <defs>
+          {[["in", C.accent], ["out", C.red]].map(([k, col]) => (
+            <marker key={k} id={`arrow-${k}`} viewBox="0 0 10 10" refX="10" refY="5" markerWidth="5" markerHeight="5" orient="auto-start-reverse">
+              <path d="M0,0L10,5L0,10z" fill={col} />
+            </marker>
+          ))}
+        </defs>
+        {[...g.edges.values()].map(e => {
+          const a = g.nodes.get(e.source), b = g.nodes.get(e.target);
+          const dx = b.x - a.x, dy = b.y - a.y, d = Math.sqrt(dx * dx + dy * dy) || 1;
+          const rb = nodeR(g, b) + 2;
+          const on = hover && (hover === e.source || hover === e.target);
+          return (
+            <line key={`${e.source}>${e.target}`} x1={a.x} y1={a.y} x2={b.x - dx / d * rb} y2={b.y - dy / d * rb}
+              stroke={e.kind === "in" ? C.accent : e.kind === "out" ? C.red : C.textMuted}
+              strokeOpacity={hover ? (on ? 0.9 : 0.1) : 0.45} strokeWidth={e.kind === "token" ? 1 : 1 + Math.min(3, Math.sqrt(e.vol / (g.maxVol || 1)) * 3)}
+              strokeDasharray={e.kind === "token" ? "3 3" : undefined}
+              markerEnd={e.kind === "token" ? undefined : `url(#arrow-${e.kind})`} />
+          );
+        })}
+        {nodes.map(n => {
+          const { lc } = n.root ? { lc: C.yellow } : activityLabel(n.activeDays, days);
+          const r = nodeR(g, n);
+          const canExpand = onExpand && !n.expanded && n.hop < hops;
+          return (
+            <g key={n.id} transform={`translate(${n.x},${n.y})`} style={{ cursor: canExpand ? "pointer" : "default" }}
+              onMouseEnter={() => setHover(n.id)} onMouseLeave={() => setHover(null)} onClick={() => expand(n)}>
+              <circle r={r} fill={`${lc}33`} stroke={busy === n.id ? C.text : lc} strokeWidth={n.expanded && !n.root ? 2.5 : 1.2}
+                strokeDasharray={canExpand ? undefined : n.root ? undefined : "2 2"} />
+              {(labels || n.root || hover === n.id) && (
+                <text y={r + 10} textAnchor="middle" fontSize={9} fill={n.root ? C.yellow : C.textDim}>{n.root && root === "all" ? "All wallets" : nameOf(n.id)?.name || short(n.id)}</text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      {hover && g.nodes.get(hover) && (() => {
+        const n = g.nodes.get(hover);
+        return (
+          <div style={{ padding: "8px 6px 0", fontSize: 10, color: C.textDim, display: "flex", gap: 14, flexWrap: "wrap" }}>
+            {nameOf(n.id)?.name && <span style={{ color: C.purple, fontWeight: 700 }}>{nameOf(n.id).name}</span>}
+            <code style={{ color: C.text }}>{n.id}</code>
+            {!n.root && <span>{n.vol.toFixed(3)} {unit}</span>}
+            {!n.root && <span>{n.activeDays}/{days} days</span>}
+            <span>hop {n.hop}</span>
+            {n.expanded && !n.root && <span style={{ color: C.accent }}>expanded</span>}
+          </div>
+        );
+      })()}
+    </Crd>
+  );
+}
+
+// Activity bucket thresholds scale with the lookback (10/5/2 of 15 days)
+function activityLabel(activeDays, days) {
+  if (activeDays >= Math.ceil(days * 2 / 3) && activeDays >= 2) return { lbl: "Daily", lc: C.accent };
+  if (activeDays >= Math.ceil(days / 3) && activeDays >= 2) return { lbl: "Frequent", lc: C.cyan };
+  if (activeDays >= 2) return { lbl: "Returning", lc: C.purple };
+  return { lbl: "One-time", lc: C.textDim };
+}
+
+// Fixed-width sparkline: bar width shrinks as the lookback grows
 function Spk({ daily, mx }) {
-  const w = 9, gap = 1.5, h = 26;
-  const total = daily.length * (w + gap);
+  const h = 26, width = 158;
+  const step = width / Math.max(daily.length, 1);
+  const gap = step > 4 ? 1.5 : 0, w = Math.max(step - gap, 0.5);
+  const total = daily.length * step;
   return (
     <svg width={total} height={h} style={{ display: "block" }}>
       {daily.map((d, i) => {
-        const x = i * (w + gap);
+        const x = i * step;
         const iH = mx > 0 ? (d.incoming / mx) * (h / 2 - 1) : 0;
         const oH = mx > 0 ? (d.outgoing / mx) * (h / 2 - 1) : 0;
         return (
@@ -1270,7 +3830,7 @@ function Spk({ daily, mx }) {
 
 // ─── Tooltips ───────────────────────────────────────────────────────────────
 
-function TT({ active, payload, label }) {
+function TT({ active, payload, label, fmt = (v) => v.toFixed(4) }) {
   if (!active || !payload?.length) return null;
   return (
     <div style={{ background: C.surface, border: `1px solid ${C.borderLight}`, borderRadius: 8, padding: "10px 14px", fontSize: 10, boxShadow: "0 6px 24px rgba(0,0,0,0.5)" }}>
@@ -1279,7 +3839,7 @@ function TT({ active, payload, label }) {
         <div key={p.name} style={{ display: "flex", gap: 6, alignItems: "center", marginBottom: 2 }}>
           <div style={{ width: 6, height: 6, borderRadius: 1, background: p.color }} />
           <span style={{ color: C.textDim }}>{p.name}:</span>
-          <span style={{ fontWeight: 600, color: p.color }}>{typeof p.value === "number" ? p.value.toFixed(4) : p.value}</span>
+          <span style={{ fontWeight: 600, color: p.color }}>{typeof p.value === "number" ? fmt(p.value) : p.value}</span>
         </div>
       ))}
     </div>
@@ -1298,15 +3858,18 @@ function BktTT({ active, payload, fmt }) {
   );
 }
 
-function FreqTT({ active, payload }) {
+function FreqTT({ active, payload, days, unit = "SOL" }) {
+  const nameOf = useNames();
   if (!active || !payload?.length) return null;
   const d = payload[0]?.payload;
   if (!d) return null;
+  const info = nameOf(d.address);
   return (
     <div style={{ background: C.surface, border: `1px solid ${C.borderLight}`, borderRadius: 8, padding: "10px 14px", fontSize: 10, boxShadow: "0 6px 24px rgba(0,0,0,0.5)", maxWidth: 300 }}>
+      {info?.name && <div style={{ color: C.purple, fontWeight: 700, marginBottom: 2 }}>{info.name}</div>}
       <div style={{ color: C.text, fontWeight: 600, marginBottom: 4, wordBreak: "break-all" }}>{d.address}</div>
-      <div style={{ color: C.textDim }}>Active: <span style={{ color: C.accent, fontWeight: 600 }}>{d.activeDays}/15 days</span></div>
-      <div style={{ color: C.textDim }}>In: <span style={{ color: C.accent }}>{d.incomingSol?.toFixed(4) || 0}</span> Out: <span style={{ color: C.red }}>{d.outgoingSol?.toFixed(4) || 0}</span></div>
+      <div style={{ color: C.textDim }}>Active: <span style={{ color: C.accent, fontWeight: 600 }}>{d.activeDays}/{days} days</span></div>
+      <div style={{ color: C.textDim }}>In: <span style={{ color: C.accent }}>{d.incomingSol?.toFixed(4) || 0}</span> Out: <span style={{ color: C.red }}>{d.outgoingSol?.toFixed(4) || 0}</span> {unit}</div>
       {d.tokens?.length > 0 && <div style={{ color: C.textDim, marginTop: 2 }}>Tokens: <span style={{ color: C.yellow }}>{d.tokens.map(t => t.name).join(", ")}</span></div>}
     </div>
   );
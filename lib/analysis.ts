@@ -0,0 +1,610 @@
+// Headless wallet analysis: turns Helius enhanced transactions into the
+// daily / counterparty / window / hourly aggregates the dashboard draws.
+// No React, DOM or Next.js here, so scripts and the CLI get the same numbers.
+
+import { DAY_MS, TZ_DEFAULT, dayKey, hourOf, shiftDay } from "@/lib/time";
+
+export const LAMPORTS = 1_000_000_000;
+
+// Lookback window (days) for fetching and daily aggregation
+export const DEFAULT_DAYS = 15;
+export const MAX_DAYS = 365;
+
+// Base fee per signature. Enhanced txs don't carry the signer count, so the
+// priority fee is estimated as everything above one base fee.
+export const BASE_FEE_LAMPORTS = 5000;
+
+// Helius enhanced transaction (only the fields analysis reads)
+export interface HeliusTx {
+  signature: string;
+  timestamp: number;
+  type?: string;
+  source?: string;
+  description?: string;
+  fee?: number;
+  feePayer?: string;
+  nativeTransfers?: { fromUserAccount: string; toUserAccount: string; amount: number }[];
+  tokenTransfers?: { fromUserAccount: string; toUserAccount: string; mint: string; tokenAmount: number }[];
+  [key: string]: any;
+}
+
+export interface AnalyzeOptions {
+  priceAt?: ((mint: string, ts: number) => number | null) | null;
+  now?: number;
+  tz?: string;
+  types?: Set<string> | null;
+}
+
+export interface RawEvent {
+  ts: number;
+  incoming: number;
+  outgoing: number;
+  incomingUsd: number;
+  outgoingUsd: number;
+  counterparty: string;
+  type: string;
+  source: string;
+  signature: string;
+  tokenOnly?: boolean;
+  mint?: string;
+  amount?: number;
+  direction?: "in" | "out";
+}
+
+export interface DailyPoint {
+  date: string;
+  incoming: number;
+  outgoing: number;
+  incomingUsd: number;
+  outgoingUsd: number;
+  txCount: number;
+  fees: number;
+  feesUsd: number;
+}
+
+export interface CounterpartySummary {
+  address: string;
+  count: number;
+  totalSol: number;
+  incomingSol: number;
+  outgoingSol: number;
+  totalUsd: number;
+  incomingUsd: number;
+  outgoingUsd: number;
+  activeDays: number;
+  tokens: { name: string; volume: number }[];
+}
+
+export interface Counterparty extends CounterpartySummary {
+  daily: { date: string; incoming: number; outgoing: number; incomingUsd: number; outgoingUsd: number }[];
+}
+
+export interface FeeStats {
+  total: number;
+  totalUsd: number;
+  priority: number;
+  txCount: number;
+  othersPaid: number;
+  sponsored: number;
+  paidCount: number;
+  avg: number;
+  p50: number;
+  p90: number;
+  p99: number;
+  max: number;
+}
+
+export interface AnalysisResult {
+  dailyData: DailyPoint[];
+  counterparties: Counterparty[];
+  recurrence: { days: number; label: string; wallets: number }[];
+  totalIn: number;
+  totalOut: number;
+  totalTx: number;
+  uniqueWallets: number;
+  totalTokens: number;
+  rawEvents: RawEvent[];
+  totalInUsd: number;
+  totalOutUsd: number;
+  priced: boolean;
+  unpricedTransfers: number;
+  tokenFlows: any[];
+  days: number;
+  tz: string;
+  asOf: number;
+  allCounterparties: CounterpartySummary[];
+  txTypes: { name: string; count: number; volume: number; volumeUsd: number }[];
+  txSources: { name: string; count: number; volume: number; volumeUsd: number }[];
+  typeDaily: Record<string, any>[];
+  typeFilter: string[] | null;
+  fees: FeeStats;
+}
+
+export interface TxRecord {
+  signature: string;
+  ts: number;
+  type: string;
+  source: string;
+  description: string;
+  fee: number;
+  feePayer: string | null;
+  native: { from: string; to: string; amount: number }[];
+  tokens: { from: string; to: string; mint: string; amount: number }[];
+  flows: Record<string, { in: number; out: number }>;
+  counterparties: string[];
+  direction: "in" | "out" | "both" | "none";
+  sol: number;
+}
+
+export type Range = { preset: string; from?: undefined; to?: undefined } | { preset?: undefined; from: number; to: number };
+
+export interface WindowResult {
+  incoming: number;
+  outgoing: number;
+  net: number;
+  txCount: number;
+  walletCount: number;
+  topWallets: { address: string; incoming: number; outgoing: number; count: number }[];
+  buckets: { time: number; incoming: number; outgoing: number }[];
+  from: number;
+  to: number;
+  bucketMs: number;
+}
+
+export interface HourBucket {
+  hour: number;
+  label: string;
+  count: number;
+  incoming: number;
+  outgoing: number;
+}
+
+export interface HourlyTrend {
+  byHour: HourBucket[];
+  ranked: HourBucket[];
+  totalCount: number;
+  peakHour: HourBucket;
+  quietHour: HourBucket;
+  span: number;
+}
+
+export const short = (a: string): string => a ? a.slice(0, 4) + "…" + a.slice(-4) : "";
+
+// Newest first, one entry per signature
+export function mergeTxs(...lists: HeliusTx[][]): HeliusTx[] {
+  const seen = new Map<string, HeliusTx>();
+  for (const list of lists) for (const tx of list) if (tx?.signature && !seen.has(tx.signature)) seen.set(tx.signature, tx);
+  return [...seen.values()].sort((a, b) => b.timestamp - a.timestamp);
+}
+
+// ─── Analysis ───────────────────────────────────────────────────────────────
+
+// opts.priceAt(mint, ts) → USD price (mint "SOL" for native). When given, every
+// native and token transfer is also valued in USD (*Usd fields).
+// `wallet` may be a Set of addresses analyzed as one group: transfers between
+// members are internal and skipped, so they don't inflate in/out totals.
+// opts.types (Set of Helius tx types) limits everything except the type /
+// source breakdown, which always covers every transaction.
+// opts.tz sets the zone for the daily buckets (see lib/time.ts).
+// Transactions outside the last `days` before opts.now are ignored.
+export function analyze(wallet: string | Set<string>, txs: HeliusTx[], days = DEFAULT_DAYS, opts: AnalyzeOptions = {}): AnalysisResult {
+  const a = createAnalyzer(wallet, days, opts);
+  a.add(txs);
+  return a.result();
+}
+
+export interface Analyzer {
+  // Day key of the newest daily bucket
+  today: string;
+  // Tallies more transactions (newer than those already added, e.g. a live
+  // poll) and moves asOf to `now`; returns their raw events
+  add(txs: HeliusTx[], now?: number): RawEvent[];
+  result(): AnalysisResult;
+}
+
+// The accumulator behind analyze(): live mode keeps one per wallet and adds
+// each poll's transactions instead of re-running analyze over the full history.
+// The daily buckets are fixed at creation and tallied transactions are not
+// dropped as asOf moves forward, so once `today` has passed the caller starts
+// a new analyzer.
+export function createAnalyzer(wallet: string | Set<string>, days = DEFAULT_DAYS, opts: AnalyzeOptions = {}): Analyzer {
+  const own = wallet instanceof Set ? wallet : new Set([wallet]);
+  const dMap: Record<string, any> = {}, cpMap: Record<string, any> = {}, tfMap: Record<string, any> = {};
+  const typeMap: Record<string, any> = {}, srcMap: Record<string, any> = {}, tdMap: Record<string, any> = {};
+  let raw: RawEvent[] = [];
+  const priceAt = opts.priceAt || null;
+  const types = opts.types?.size ? opts.types : null;
+  // Reference time for the daily buckets (a snapshot replays at its fetch time)
+  let asOf = opts.now ?? Date.now();
+  const tz = opts.tz ?? TZ_DEFAULT;
+  let unpriced = 0, keep = true;
+  const usd = (mint, amt, ts) => {
+    if (!priceAt) return 0;
+    const p = priceAt(mint, ts);
+    if (p == null) { if (keep) unpriced++; return 0; }
+    return amt * p;
+  };
+
+  // Initialize one daily bucket per lookback day
+  const today = dayKey(asOf, tz);
+  for (let i = days - 1; i >= 0; i--) {
+    const k = shiftDay(today, -i);
+    dMap[k] = { date: k, incoming: 0, outgoing: 0, incomingUsd: 0, outgoingUsd: 0, txCount: 0, fees: 0, feesUsd: 0 };
+  }
+  const feeList: number[] = [];
+  let feeTotal = 0, feeUsd = 0, priority = 0, feeTxs = 0, othersPaid = 0, sponsored = 0;
+
+  const add = (txs: HeliusTx[], now = asOf): RawEvent[] => {
+    asOf = Math.max(asOf, now);
+    const batch: RawEvent[] = [];
+    // Only [asOf - days, asOf]: a fetch can reach past the lookback (a cached
+    // or merged history), and nothing outside it may reach any tally
+    const from = asOf - days * DAY_MS;
+    for (const tx of txs) {
+      const ts = tx.timestamp * 1000;
+      if (ts < from || ts > asOf) continue;
+      const dk = dayKey(ts, tz);
+      const type = tx.type || "UNKNOWN", source = tx.source || "UNKNOWN";
+      keep = !types || types.has(type);
+      let txSol = 0, txUsd = 0, moved = false;
+      if (keep && dMap[dk]) dMap[dk].txCount++;
+
+      // Native SOL transfers → daily chart + counterparty
+      for (const nt of tx.nativeTransfers || []) {
+        const sol = nt.amount / LAMPORTS;
+        if (sol < 1e-6) continue;
+        const isIn = own.has(nt.toUserAccount);
+        const isOut = own.has(nt.fromUserAccount);
+        if (isIn && isOut) continue;
+        const cp = isIn ? nt.fromUserAccount : isOut ? nt.toUserAccount : null;
+        const u = (isIn || isOut) ? usd("SOL", sol, ts) : 0;
+        if (isIn || isOut) { txSol += sol; txUsd += u; moved = true; }
+        if (!keep) continue;
+        if (dMap[dk]) {
+          if (isIn) { dMap[dk].incoming += sol; dMap[dk].incomingUsd += u; }
+          else if (isOut) { dMap[dk].outgoing += sol; dMap[dk].outgoingUsd += u; }
+        }
+        if (cp) {
+          trkCp(cpMap, cp, dk, isIn ? sol : 0, isOut ? sol : 0, "SOL", isIn ? u : 0, isOut ? u : 0);
+          batch.push({ ts, incoming: isIn ? sol : 0, outgoing: isOut ? sol : 0, incomingUsd: isIn ? u : 0, outgoingUsd: isOut ? u : 0, counterparty: cp, type, source, signature: tx.signature });
+        }
+      }
+
+      // Token transfers → counterparty (SOL chart unaffected; USD totals include them)
+      for (const tt of tx.tokenTransfers || []) {
+        const amt = tt.tokenAmount || 0;
+        if (amt < 1e-6) continue;
+        const isIn = own.has(tt.toUserAccount);
+        const isOut = own.has(tt.fromUserAccount);
+        if (isIn && isOut) continue;
+        const cp = isIn ? tt.fromUserAccount : isOut ? tt.toUserAccount : null;
+        const u = (isIn || isOut) ? usd(tt.mint, amt, ts) : 0;
+        if (isIn || isOut) { txUsd += u; moved = true; }
+        if (!keep) continue;
+        if (dMap[dk]) {
+          if (isIn) dMap[dk].incomingUsd += u;
+          else if (isOut) dMap[dk].outgoingUsd += u;
+        }
+        if (cp) {
+          const mint = tt.mint || "Token";
+          const iA = isIn ? amt : 0, oA = isOut ? amt : 0, iU = isIn ? u : 0, oU = isOut ? u : 0;
+          // SOL figures stay 0; the token volume is kept in token units
+          trkCp(cpMap, cp, dk, 0, 0, mint, iU, oU, amt);
+
+          // Per-mint flows in token units (daily + counterparties)
+          if (!tfMap[mint]) tfMap[mint] = { mint, dd: {}, cpMap: {}, transfers: 0 };
+          const tf = tfMap[mint];
+          tf.transfers++;
+          if (dMap[dk]) {
+            if (!tf.dd[dk]) tf.dd[dk] = { incoming: 0, outgoing: 0, incomingUsd: 0, outgoingUsd: 0, txCount: 0 };
+            tf.dd[dk].incoming += iA; tf.dd[dk].outgoing += oA;
+            tf.dd[dk].incomingUsd += iU; tf.dd[dk].outgoingUsd += oU;
+            tf.dd[dk].txCount++;
+          }
+          trkCp(tf.cpMap, cp, dk, iA, oA, mint, iU, oU);
+
+          // Track token activity as raw event for 1h/24h panels (SOL value = 0, but count matters)
+          batch.push({
+            ts, incoming: 0, outgoing: 0, incomingUsd: isIn ? u : 0, outgoingUsd: isOut ? u : 0,
+            counterparty: cp, tokenOnly: true, mint, amount: amt, direction: isIn ? "in" : "out", type, source, signature: tx.signature,
+          });
+        }
+      }
+
+      // Fees: counted when one of our wallets is the fee payer. "Sponsored" =
+      // we paid but moved nothing ourselves (paying on someone else's behalf).
+      if (keep && tx.feePayer) {
+        feeTxs++;
+        if (own.has(tx.feePayer)) {
+          const fee = (tx.fee || 0) / LAMPORTS;
+          const fUsd = priceAt ? fee * (priceAt("SOL", ts) ?? 0) : 0;
+          feeList.push(fee);
+          feeTotal += fee;
+          feeUsd += fUsd;
+          priority += Math.max(0, (tx.fee || 0) - BASE_FEE_LAMPORTS) / LAMPORTS;
+          if (!moved) sponsored++;
+          if (dMap[dk]) { dMap[dk].fees += fee; dMap[dk].feesUsd += fUsd; }
+        } else {
+          othersPaid++;
+        }
+      }
+
+      // Type / source breakdown over every transaction (ignores opts.types)
+      for (const [m, k] of [[typeMap, type], [srcMap, source]] as [Record<string, any>, string][]) {
+        if (!m[k]) m[k] = { name: k, count: 0, volume: 0, volumeUsd: 0 };
+        m[k].count++;
+        m[k].volume += txSol;
+        m[k].volumeUsd += txUsd;
+      }
+      if (dMap[dk]) {
+        if (!tdMap[dk]) tdMap[dk] = {};
+        tdMap[dk][type] = (tdMap[dk][type] || 0) + 1;
+      }
+    }
+    // Newest first, as the transactions come from Helius
+    raw = batch.concat(raw);
+    return batch;
+  };
+
+  const result = (): AnalysisResult => {
+    const dates = Object.keys(dMap).sort();
+    const daily = Object.values(dMap).map(d => ({ ...d })).sort((a, b) => a.date.localeCompare(b.date));
+    const cps = buildCps(cpMap, dates);
+    const rec = buildRec(cpMap, days);
+
+    // Per-mint views, most active mint first. Amounts are in token units.
+    const tokenFlows = Object.values(tfMap).map(tf => {
+      const tDaily = dates.map(d => ({ date: d, incoming: 0, outgoing: 0, incomingUsd: 0, outgoingUsd: 0, txCount: 0, ...tf.dd[d] }));
+      return {
+        mint: tf.mint, transfers: tf.transfers,
+        dailyData: tDaily,
+        counterparties: buildCps(tf.cpMap, dates),
+        recurrence: buildRec(tf.cpMap, days),
+        uniqueWallets: Object.keys(tf.cpMap).length,
+        totalIn: tDaily.reduce((s, d) => s + d.incoming, 0),
+        totalOut: tDaily.reduce((s, d) => s + d.outgoing, 0),
+        totalInUsd: tDaily.reduce((s, d) => s + d.incomingUsd, 0),
+        totalOutUsd: tDaily.reduce((s, d) => s + d.outgoingUsd, 0),
+        totalTx: tDaily.reduce((s, d) => s + d.txCount, 0),
+      };
+    }).sort((a, b) => b.transfers - a.transfers);
+
+    const tIn = daily.reduce((s, d) => s + d.incoming, 0);
+    const tOut = daily.reduce((s, d) => s + d.outgoing, 0);
+    const tTx = daily.reduce((s, d) => s + d.txCount, 0);
+    const tInUsd = daily.reduce((s, d) => s + d.incomingUsd, 0);
+    const tOutUsd = daily.reduce((s, d) => s + d.outgoingUsd, 0);
+    const uW = Object.keys(cpMap).length;
+    const toks = new Set<string>();
+    Object.values(cpMap).forEach(c => Object.keys(c.tokens).forEach(t => toks.add(t)));
+
+    return {
+      dailyData: daily, counterparties: cps, recurrence: rec,
+      totalIn: tIn, totalOut: tOut, totalTx: tTx,
+      uniqueWallets: uW, totalTokens: toks.size, rawEvents: raw,
+      totalInUsd: tInUsd, totalOutUsd: tOutUsd, priced: !!priceAt, unpricedTransfers: unpriced,
+      tokenFlows, days, tz, asOf,
+      allCounterparties: Object.values(cpMap).map(cpSummary).sort((a, b) => b.count - a.count),
+      txTypes: Object.values(typeMap).map(t => ({ ...t })).sort((a, b) => b.count - a.count),
+      txSources: Object.values(srcMap).map(t => ({ ...t })).sort((a, b) => b.count - a.count),
+      typeDaily: dates.map(d => ({ date: d, ...tdMap[d] })),
+      typeFilter: types ? [...types] : null,
+      fees: feeStats(feeList, { total: feeTotal, totalUsd: feeUsd, priority, txCount: feeTxs, othersPaid, sponsored }),
+    };
+  };
+
+  return { today, add, result };
+}
+
+// One row per raw Helius transaction for the Transactions explorer: every
+// native/token transfer kept as-is, plus per-mint in/out for the watched
+// wallet(s) and the addresses it moved value with.
+export function txRecords(wallet: string | Set<string>, txs: HeliusTx[]): TxRecord[] {
+  const own = wallet instanceof Set ? wallet : new Set([wallet]);
+  return txs.map(tx => {
+    const flows: Record<string, { in: number; out: number }> = {}, cps = new Set<string>();
+    const add = (mint, from, to, amt) => {
+      const isIn = own.has(to), isOut = own.has(from);
+      if (isIn === isOut) return;
+      if (!flows[mint]) flows[mint] = { in: 0, out: 0 };
+      if (isIn) flows[mint].in += amt; else flows[mint].out += amt;
+      const cp = isIn ? from : to;
+      if (cp) cps.add(cp);
+    };
+    const native = (tx.nativeTransfers || []).map(nt => {
+      const t = { from: nt.fromUserAccount, to: nt.toUserAccount, amount: nt.amount / LAMPORTS };
+      add("SOL", t.from, t.to, t.amount);
+      return t;
+    });
+    const tokens = (tx.tokenTransfers || []).map(tt => {
+      const t = { from: tt.fromUserAccount, to: tt.toUserAccount, mint: tt.mint, amount: tt.tokenAmount || 0 };
+      add(t.mint, t.from, t.to, t.amount);
+      return t;
+    });
+    const f = Object.values(flows);
+    const ins = f.some(x => x.in > 0), outs = f.some(x => x.out > 0);
+    return {
+      signature: tx.signature, ts: tx.timestamp * 1000,
+      type: tx.type || "UNKNOWN", source: tx.source || "UNKNOWN", description: tx.description || "",
+      fee: (tx.fee || 0) / LAMPORTS, feePayer: tx.feePayer || null,
+      native, tokens, flows, counterparties: [...cps],
+      direction: (ins && outs ? "both" : ins ? "in" : outs ? "out" : "none") as TxRecord["direction"],
+      sol: (flows.SOL?.in || 0) - (flows.SOL?.out || 0),
+    };
+  });
+}
+
+// Fee totals plus per-transaction average / percentiles (SOL)
+export function feeStats(list: number[], t: Omit<FeeStats, "paidCount" | "avg" | "p50" | "p90" | "p99" | "max">): FeeStats {
+  const sorted = list.slice().sort((a, b) => a - b);
+  const pct = (p) => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : 0;
+  return {
+    ...t,
+    paidCount: sorted.length,
+    avg: sorted.length ? t.total / sorted.length : 0,
+    p50: pct(0.5), p90: pct(0.9), p99: pct(0.99),
+    max: sorted[sorted.length - 1] || 0,
+  };
+}
+
+// Counterparty totals without the per-day series (every counterparty, for export)
+export function cpSummary(c: any): CounterpartySummary {
+  return {
+    address: c.address, count: c.count,
+    totalSol: c.totalSol, incomingSol: c.incomingSol, outgoingSol: c.outgoingSol,
+    totalUsd: c.totalUsd, incomingUsd: c.incomingUsd, outgoingUsd: c.outgoingUsd,
+    activeDays: c.days.size,
+    tokens: Object.entries(c.tokens as Record<string, number>).map(([n, v]) => ({ name: n, volume: v })).sort((a, b) => b.volume - a.volume),
+  };
+}
+
+// Top 30 counterparties by transfer count, with a per-day series
+function buildCps(cpMap: Record<string, any>, dates: string[]): Counterparty[] {
+  return Object.values(cpMap).map(c => ({
+    ...cpSummary(c),
+    daily: dates.map(d => ({
+      date: d,
+      incoming: c.dd[d]?.incoming || 0,
+      outgoing: c.dd[d]?.outgoing || 0,
+      incomingUsd: c.dd[d]?.incomingUsd || 0,
+      outgoingUsd: c.dd[d]?.outgoingUsd || 0,
+    })),
+  })).sort((a, b) => b.count - a.count).slice(0, 30);
+}
+
+// Recurrence distribution: how many wallets active on exactly N days
+function buildRec(cpMap: Record<string, any>, days: number) {
+  const dcm: Record<number, number> = {};
+  Object.values(cpMap).forEach(c => {
+    const d = c.days.size;
+    dcm[d] = (dcm[d] || 0) + 1;
+  });
+  return Array.from({ length: days }, (_, i) => ({
+    days: i + 1,
+    label: `${i + 1}d`,
+    wallets: dcm[i + 1] || 0,
+  }));
+}
+
+// `tok` keys the per-counterparty token volume ("SOL" or a mint); `vol` is
+// in that token's units (defaults to the SOL amount).
+function trkCp(m: Record<string, any>, addr: string, dk: string, iA: number, oA: number, tok: string, iU = 0, oU = 0, vol = iA + oA) {
+  if (!m[addr]) {
+    m[addr] = {
+      address: addr, count: 0, totalSol: 0, incomingSol: 0, outgoingSol: 0,
+      totalUsd: 0, incomingUsd: 0, outgoingUsd: 0,
+      days: new Set(), dd: {}, tokens: {},
+    };
+  }
+  const c = m[addr];
+  c.count++;
+  c.totalSol += iA + oA;
+  c.incomingSol += iA;
+  c.outgoingSol += oA;
+  c.totalUsd += iU + oU;
+  c.incomingUsd += iU;
+  c.outgoingUsd += oU;
+  c.days.add(dk);
+  if (!c.dd[dk]) c.dd[dk] = { incoming: 0, outgoing: 0, incomingUsd: 0, outgoingUsd: 0 };
+  c.dd[dk].incoming += iA;
+  c.dd[dk].outgoing += oA;
+  c.dd[dk].incomingUsd += iU;
+  c.dd[dk].outgoingUsd += oU;
+  if (tok) c.tokens[tok] = (c.tokens[tok] || 0) + vol;
+}
+
+// ─── Time Window ────────────────────────────────────────────────────────────
+
+// Window panels run over a [from, to) range: a relative preset ("24h",
+// sliding with live polls) or an absolute ISO interval ("from/to").
+// Both forms are the ?range= URL param and the CLI --range flag.
+export const RANGE_PRESETS: Record<string, number> = { "1h": 3600000, "6h": 6 * 3600000, "24h": DAY_MS, "3d": 3 * DAY_MS, "7d": 7 * DAY_MS };
+export const RANGE_DEFAULT = "24h";
+// Smallest bucket that keeps a range to RANGE_MAX_BUCKETS bars (days beyond)
+const RANGE_BUCKETS = [5, 15, 30, 60, 180, 360, 720].map(m => m * 60000);
+const RANGE_MAX_BUCKETS = 48;
+
+export function parseRange(v: string): Range {
+  if (RANGE_PRESETS[v]) return { preset: v };
+  const [a, b] = (v || "").split("/").map(x => Date.parse(x));
+  return a < b ? { from: a, to: b } : { preset: RANGE_DEFAULT };
+}
+
+export const rangeParam = (range: Range): string => range.preset || `${new Date(range.from).toISOString()}/${new Date(range.to).toISOString()}`;
+
+export const resolveRange = (range: Range, at = Date.now()): { from: number; to: number } => range.preset ? { from: at - RANGE_PRESETS[range.preset], to: at } : { from: range.from, to: range.to };
+
+export const rangeBucket = (span: number): number => RANGE_BUCKETS.find(b => span / b <= RANGE_MAX_BUCKETS) || DAY_MS;
+
+
+// Relative window ending at `at`, with its historical 5-minute / hourly buckets
+export function compWin(raw: RawEvent[], ms: number, at = Date.now()): WindowResult {
+  return compRange(raw, at - ms, at, ms <= 3600000 ? 300000 : 3600000);
+}
+
+export function compRange(raw: RawEvent[], from: number, to: number, bMs = rangeBucket(to - from)): WindowResult {
+  const ev = raw.filter(e => e.ts >= from && e.ts < to);
+  let inc = 0, out = 0;
+  const cc: Record<string, number> = {};
+  for (const e of ev) {
+    inc += e.incoming;
+    out += e.outgoing;
+    cc[e.counterparty] = (cc[e.counterparty] || 0) + 1;
+  }
+  const top = Object.entries(cc)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([addr]) => {
+      const w = ev.filter(e => e.counterparty === addr);
+      return {
+        address: addr,
+        incoming: w.reduce((s, e) => s + e.incoming, 0),
+        outgoing: w.reduce((s, e) => s + e.outgoing, 0),
+        count: w.length,
+      };
+    });
+  const bN = Math.max(1, Math.ceil((to - from) / bMs));
+  const bS = from;
+  const bk = Array.from({ length: bN }, (_, i) => ({
+    time: bS + i * bMs, incoming: 0, outgoing: 0,
+  }));
+  for (const e of ev) {
+    const i = Math.min(Math.floor((e.ts - bS) / bMs), bN - 1);
+    if (i >= 0) {
+      bk[i].incoming += e.incoming;
+      bk[i].outgoing += e.outgoing;
+    }
+  }
+  return {
+    incoming: inc, outgoing: out, net: inc - out,
+    txCount: ev.length, walletCount: Object.keys(cc).length,
+    topWallets: top, buckets: bk, from, to, bucketMs: bMs,
+  };
+}
+
+// ─── Hourly Trend ───────────────────────────────────────────────────────────
+
+// Hour-of-day activity over [from, to), hours in the selected zone
+export function compHourlyTrend(raw: RawEvent[], from: number, to: number, tz = TZ_DEFAULT): HourlyTrend {
+  const ev = raw.filter(e => e.ts >= from && e.ts < to);
+
+  // Group by hour-of-day (0-23), aggregated across the trend window
+  const hourMap: Record<number, HourBucket> = {};
+  for (let h = 0; h < 24; h++) {
+    hourMap[h] = { hour: h, label: `${String(h).padStart(2, "0")}:00`, count: 0, incoming: 0, outgoing: 0 };
+  }
+  for (const e of ev) {
+    const h = hourOf(e.ts, tz);
+    hourMap[h].count++;
+    hourMap[h].incoming += e.incoming;
+    hourMap[h].outgoing += e.outgoing;
+  }
+
+  const byHour = Object.values(hourMap);
+  const ranked = byHour.slice().sort((a, b) => b.count - a.count);
+  const totalCount = ev.length;
+  const peakHour = ranked[0];
+  const quietHour = ranked[ranked.length - 1];
+
+  return { byHour, ranked, totalCount, peakHour, quietHour, span: to - from };
+}
@@ -0,0 +1,355 @@
+// Daily digest of a server-configured watchlist, run by the cron route
+// /api/digest. Per wallet: 24h in/out/net, counterparties first seen in the
+// last 24h, the largest SOL transfers, and holdings changes since the
+// previous digest.
+//
+//   DIGEST_WALLETS       "addr1, Treasury=addr2, ..." (label optional)
+//   DIGEST_DAYS          lookback for "first seen" (default 30)
+//   DIGEST_TZ            zone for displayed times (default UTC)
+//   DIGEST_WEBHOOK       https URL; receives { text, html, digest }
+//   SMTP_URL             smtp(s)://user:pass@host:port, with DIGEST_EMAIL_TO
+//                        (and optionally DIGEST_EMAIL_FROM)
+//
+// The previous digest's holdings are kept in Vercel KV / Upstash
+// (KV_REST_API_URL + KV_REST_API_TOKEN) when configured, otherwise in
+// DIGEST_STATE_FILE (default .data/digest-state.json). Serverless file systems
+// are read-only, so in production the file is only used when DIGEST_STATE_FILE
+// names one explicitly (a self-hosted `next start`); otherwise KV is required.
+
+import { mkdir, readFile, writeFile } from "fs/promises";
+import { dirname, resolve } from "path";
+import { createTransport } from "nodemailer";
+import { MAX_DAYS, compWin, short, type RawEvent } from "@/lib/analysis";
+import { resolveHeliusKey } from "@/lib/helius";
+import type { Holdings } from "@/lib/holdings";
+import { isAllowedWebhook, postWebhook } from "@/lib/notify";
+import { DAY_MS, isTz, tzName, tzOpt } from "@/lib/time";
+import { ApiError, isAddress, walletAnalysis, walletHoldings } from "@/lib/wallet-api";
+
+const DEFAULT_DAYS = 30;
+const STATE_KEY = "sol-dash:digest-state";
+const DEFAULT_STATE_FILE = ".data/digest-state.json";
+const TOP_TRANSFERS = 5;
+const TOP_COUNTERPARTIES = 10;
+const EXPLORER = "https://solscan.io";
+
+export interface DigestConfig {
+  wallets: { address: string; label: string | null }[];
+  days: number;
+  tz: string;
+  webhook: string | null;
+  smtpUrl: string | null;
+  emailTo: string | null;
+  emailFrom: string | null;
+}
+
+interface HoldingsSnapshot {
+  sol: number;
+  tokens: Record<string, { symbol: string; amount: number }>;
+  nfts: number;
+}
+
+export interface DigestState {
+  at: number;
+  wallets: Record<string, HoldingsSnapshot>;
+}
+
+interface TokenChange {
+  mint: string;
+  symbol: string;
+  before: number;
+  after: number;
+}
+
+export interface WalletDigest {
+  address: string;
+  label: string | null;
+  error: string | null;
+  window: { incoming: number; outgoing: number; net: number; txCount: number; walletCount: number } | null;
+  newCounterparties: { address: string; incoming: number; outgoing: number; count: number; firstSeen: number }[];
+  largestTransfers: { signature: string; ts: number; direction: "in" | "out"; amount: number; counterparty: string }[];
+  holdings: { sol: number; solBefore: number | null; tokens: number; nfts: number; nftsBefore: number | null; changes: TokenChange[] } | null;
+}
+
+export interface Digest {
+  at: number;
+  previousAt: number | null;
+  tz: string;
+  wallets: WalletDigest[];
+  state: DigestState;
+}
+
+export function digestConfig(): DigestConfig {
+  const wallets = (process.env.DIGEST_WALLETS || "").split(/[\s,]+/).filter(Boolean).map(entry => {
+    const i = entry.lastIndexOf("=");
+    return i > 0 ? { label: entry.slice(0, i), address: entry.slice(i + 1) } : { label: null, address: entry };
+  });
+  const bad = wallets.filter(w => !isAddress(w.address));
+  if (bad.length) throw new ApiError(`DIGEST_WALLETS has invalid addresses: ${bad.map(w => w.address).join(", ")}`, 500);
+
+  const daysParam = parseInt(process.env.DIGEST_DAYS || "", 10);
+  const tz = process.env.DIGEST_TZ?.trim() || "UTC";
+  if (!isTz(tz)) throw new ApiError(`DIGEST_TZ "${tz}" is not a known time zone`, 500);
+  const webhook = process.env.DIGEST_WEBHOOK?.trim() || null;
+  if (webhook && !isAllowedWebhook(webhook)) throw new ApiError("DIGEST_WEBHOOK must be an https URL", 500);
+
+  return {
+    wallets,
+    days: Number.isFinite(daysParam) && daysParam >= 1 ? Math.min(daysParam, MAX_DAYS) : DEFAULT_DAYS,
+    tz,
+    webhook,
+    smtpUrl: process.env.SMTP_URL?.trim() || null,
+    emailTo: process.env.DIGEST_EMAIL_TO?.trim() || null,
+    emailFrom: process.env.DIGEST_EMAIL_FROM?.trim() || null,
+  };
+}
+
+export const hasDeliveryTarget = (c: DigestConfig): boolean => Boolean(c.webhook || (c.smtpUrl && c.emailTo));
+
+// ─── State ──────────────────────────────────────────────────────────────────
+
+const kvConfigured = () => Boolean(process.env.KV_REST_API_URL?.trim() && process.env.KV_REST_API_TOKEN?.trim());
+const stateFile = () => resolve(process.cwd(), process.env.DIGEST_STATE_FILE?.trim() || DEFAULT_STATE_FILE);
+
+// Throws before anything is built or delivered when the state could not be saved
+export function checkDigestStateStore(): void {
+  if (kvConfigured() || process.env.NODE_ENV !== "production" || process.env.DIGEST_STATE_FILE?.trim()) return;
+  throw new ApiError("Digest state needs KV in production (KV_REST_API_URL + KV_REST_API_TOKEN), or a writable DIGEST_STATE_FILE", 500);
+}
+
+async function kv(command: string, body?: string): Promise<any> {
+  const res = await fetch(`${process.env.KV_REST_API_URL.trim().replace(/\/$/, "")}/${command}/${encodeURIComponent(STATE_KEY)}`, {
+    method: body == null ? "GET" : "POST",
+    headers: { Authorization: `Bearer ${process.env.KV_REST_API_TOKEN.trim()}` },
+    body,
+    cache: "no-store",
+  });
+  if (!res.ok) throw new Error(`KV ${command} failed (HTTP ${res.status})`);
+  return (await res.json()).result;
+}
+
+export async function loadDigestState(): Promise<DigestState | null> {
+  let raw: string | null;
+  if (kvConfigured()) {
+    raw = await kv("get");
+  } else {
+    try { raw = await readFile(stateFile(), "utf8"); }
+    catch (err) { if (err?.code === "ENOENT") return null; throw err; }
+  }
+  if (!raw) return null;
+  const state = JSON.parse(raw);
+  return Number.isFinite(state?.at) && state.wallets ? state : null;
+}
+
+export async function saveDigestState(state: DigestState): Promise<void> {
+  const raw = JSON.stringify(state);
+  if (kvConfigured()) { await kv("set", raw); return; }
+  const file = stateFile();
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, raw);
+}
+
+// ─── Build ──────────────────────────────────────────────────────────────────
+
+function snapshot(h: Holdings): HoldingsSnapshot {
+  const tokens: HoldingsSnapshot["tokens"] = {};
+  for (const t of h.tokens) if (!t.spam) tokens[t.mint] = { symbol: t.symbol, amount: t.displayBalance };
+  return { sol: h.sol, tokens, nfts: h.nfts.length };
+}
+
+function tokenChanges(prev: HoldingsSnapshot | undefined, cur: HoldingsSnapshot): TokenChange[] {
+  if (!prev) return [];
+  const mints = new Set([...Object.keys(prev.tokens), ...Object.keys(cur.tokens)]);
+  return [...mints]
+    .map(mint => ({
+      mint,
+      symbol: cur.tokens[mint]?.symbol || prev.tokens[mint]?.symbol || short(mint),
+      before: prev.tokens[mint]?.amount ?? 0,
+      after: cur.tokens[mint]?.amount ?? 0,
+    }))
+    .filter(c => c.before !== c.after)
+    .sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before));
+}
+
+// Counterparties active in [from, to) with no earlier event in the lookback
+function newCounterparties(raw: RawEvent[], from: number, to: number): WalletDigest["newCounterparties"] {
+  const seen: Record<string, WalletDigest["newCounterparties"][number]> = {};
+  const old = new Set<string>();
+  for (const e of raw) {
+    if (e.ts < from) { old.add(e.counterparty); continue; }
+    if (e.ts >= to) continue;
+    const c = seen[e.counterparty] ||= { address: e.counterparty, incoming: 0, outgoing: 0, count: 0, firstSeen: e.ts };
+    c.incoming += e.incoming;
+    c.outgoing += e.outgoing;
+    c.count++;
+    c.firstSeen = Math.min(c.firstSeen, e.ts);
+  }
+  return Object.values(seen)
+    .filter(c => !old.has(c.address))
+    .sort((a, b) => (b.incoming + b.outgoing) - (a.incoming + a.outgoing) || b.count - a.count);
+}
+
+async function walletDigest(w: DigestConfig["wallets"][number], config: DigestConfig, apiKey: string, prev: DigestState | null) {
+  const q = { address: w.address, days: config.days, tz: config.tz, apiKey };
+  const out: WalletDigest = { ...w, error: null, window: null, newCounterparties: [], largestTransfers: [], holdings: null };
+  let snap: HoldingsSnapshot | null = null;
+  try {
+    const { result: r } = await walletAnalysis(q);
+    const from = r.asOf - DAY_MS;
+    const { incoming, outgoing, net, txCount, walletCount } = compWin(r.rawEvents, DAY_MS, r.asOf);
+    out.window = { incoming, outgoing, net, txCount, walletCount };
+    out.newCounterparties = newCounterparties(r.rawEvents, from, r.asOf);
+    out.largestTransfers = r.rawEvents
+      .filter(e => e.ts >= from && !e.tokenOnly)
+      .map(e => ({ signature: e.signature, ts: e.ts, direction: (e.incoming > 0 ? "in" : "out") as "in" | "out", amount: e.incoming || e.outgoing, counterparty: e.counterparty }))
+      .sort((a, b) => b.amount - a.amount)
+      .slice(0, TOP_TRANSFERS);
+
+    const { holdings } = await walletHoldings(q);
+    snap = snapshot(holdings);
+    const before = prev?.wallets[w.address];
+    out.holdings = {
+      sol: snap.sol, solBefore: before?.sol ?? null,
+      tokens: Object.keys(snap.tokens).length,
+      nfts: snap.nfts, nftsBefore: before?.nfts ?? null,
+      changes: tokenChanges(before, snap),
+    };
+  } catch (err) {
+    out.error = err?.message || "Analysis failed";
+  }
+  return { digest: out, snap };
+}
+
+// Wallets run one at a time to stay inside Helius rate limits. A wallet that
+// fails keeps its previous holdings in the state, so its next delta still
+// spans back to the last good digest.
+export async function buildDigest(config: DigestConfig, prev: DigestState | null): Promise<Digest> {
+  const apiKey = resolveHeliusKey(null);
+  if (!apiKey) throw new ApiError("HELIUS_API_KEY is required for the digest", 500);
+  const at = Date.now();
+  const state: DigestState = { at, wallets: { ...prev?.wallets } };
+  const wallets: WalletDigest[] = [];
+  for (const w of config.wallets) {
+    const { digest, snap } = await walletDigest(w, config, apiKey, prev);
+    wallets.push(digest);
+    if (snap) state.wallets[w.address] = snap;
+  }
+  return { at, previousAt: prev?.at ?? null, tz: config.tz, wallets, state };
+}
+
+// ─── Render ─────────────────────────────────────────────────────────────────
+
+const sol = (v: number) => v.toFixed(4);
+const signed = (v: number, f = sol) => (v >= 0 ? "+" : "−") + f(Math.abs(v));
+const amt = (v: number) => v.toLocaleString("en-US", { maximumFractionDigits: 4 });
+const when = (ts: number, tz: string) => new Date(ts).toLocaleString("en-GB", { timeZone: tzOpt(tz), dateStyle: "medium", timeStyle: "short" });
+const plural = (n: number, word: string) => `${n} ${word}${n === 1 ? "" : "s"}`;
+const title = (w: WalletDigest) => w.label ? `${w.label} (${short(w.address)})` : short(w.address);
+
+export const digestSubject = (d: Digest): string => {
+  const net = d.wallets.reduce((s, w) => s + (w.window?.net ?? 0), 0);
+  return `Wallet digest ${new Date(d.at).toLocaleDateString("en-CA", { timeZone: tzOpt(d.tz) })}: ${plural(d.wallets.length, "wallet")}, net ${signed(net)} SOL`;
+};
+
+function changeText(c: TokenChange): string {
+  if (!c.before) return `${c.symbol} new (${amt(c.after)})`;
+  if (!c.after) return `${c.symbol} gone (was ${amt(c.before)})`;
+  return `${c.symbol} ${signed(c.after - c.before, amt)}`;
+}
+
+function holdingsText(h: WalletDigest["holdings"]): string {
+  const solDelta = h.solBefore == null ? "" : ` (${signed(h.sol - h.solBefore)})`;
+  const nftDelta = h.nftsBefore == null || h.nftsBefore === h.nfts ? "" : ` (${signed(h.nfts - h.nftsBefore, v => String(v))})`;
+  return `${sol(h.sol)} SOL${solDelta} · ${plural(h.tokens, "token")} · ${plural(h.nfts, "NFT")}${nftDelta}`;
+}
+
+export function renderMarkdown(d: Digest): string {
+  const lines = [
+    `# ${digestSubject(d)}`,
+    d.previousAt ? `Holdings changes since ${when(d.previousAt, d.tz)} (${tzName(d.tz)})` : "First digest: holdings changes start with the next one",
+  ];
+  for (const w of d.wallets) {
+    lines.push("", `## [${title(w)}](${EXPLORER}/account/${w.address})`);
+    if (w.error) { lines.push(`Failed: ${w.error}`); continue; }
+    const x = w.window;
+    lines.push(`24h: in ${sol(x.incoming)} SOL · out ${sol(x.outgoing)} SOL · net ${signed(x.net)} SOL · ${x.txCount} events · ${x.walletCount} wallets`);
+    if (w.holdings) {
+      lines.push(`Holdings: ${holdingsText(w.holdings)}`);
+      if (w.holdings.changes.length) lines.push(`Token changes: ${w.holdings.changes.map(changeText).join(" · ")}`);
+    }
+    if (w.newCounterparties.length) {
+      lines.push("", `New counterparties (${w.newCounterparties.length}):`);
+      for (const c of w.newCounterparties.slice(0, TOP_COUNTERPARTIES)) {
+        lines.push(`- [${short(c.address)}](${EXPLORER}/account/${c.address}) in ${sol(c.incoming)} / out ${sol(c.outgoing)} SOL · ${c.count} events`);
+      }
+    }
+    if (w.largestTransfers.length) {
+      lines.push("", "Largest transfers:");
+      for (const t of w.largestTransfers) {
+        lines.push(`- ${t.direction} ${sol(t.amount)} SOL ${t.direction === "in" ? "from" : "to"} ${short(t.counterparty)} · ${when(t.ts, d.tz)} · [tx](${EXPLORER}/tx/${t.signature})`);
+      }
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+const esc = (s: string) => s.replace(/[&<>"]/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+const link = (href: string, text: string) => `<a href="${esc(href)}">${esc(text)}</a>`;
+
+export function renderHtml(d: Digest): string {
+  const out = [
+    `<h1 style="font-size:18px">${esc(digestSubject(d))}</h1>`,
+    `<p style="color:#666">${esc(d.previousAt ? `Holdings changes since ${when(d.previousAt, d.tz)} (${tzName(d.tz)})` : "First digest: holdings changes start with the next one")}</p>`,
+  ];
+  for (const w of d.wallets) {
+    out.push(`<h2 style="font-size:15px">${link(`${EXPLORER}/account/${w.address}`, title(w))}</h2>`);
+    if (w.error) { out.push(`<p style="color:#c00">Failed: ${esc(w.error)}</p>`); continue; }
+    const x = w.window;
+    out.push(`<p>24h: in <b>${sol(x.incoming)}</b> SOL · out <b>${sol(x.outgoing)}</b> SOL · net <b style="color:${x.net >= 0 ? "#080" : "#c00"}">${signed(x.net)}</b> SOL · ${x.txCount} events · ${x.walletCount} wallets</p>`);
+    if (w.holdings) {
+      out.push(`<p>Holdings: ${esc(holdingsText(w.holdings))}</p>`);
+      if (w.holdings.changes.length) out.push(`<p>Token changes: ${esc(w.holdings.changes.map(changeText).join(" · "))}</p>`);
+    }
+    if (w.newCounterparties.length) {
+      out.push(`<p>New counterparties (${w.newCounterparties.length}):</p><ul>`);
+      for (const c of w.newCounterparties.slice(0, TOP_COUNTERPARTIES)) {
+        out.push(`<li>${link(`${EXPLORER}/account/${c.address}`, short(c.address))} in ${sol(c.incoming)} / out ${sol(c.outgoing)} SOL · ${c.count} events</li>`);
+      }
+      out.push("</ul>");
+    }
+    if (w.largestTransfers.length) {
+      out.push("<p>Largest transfers:</p><ul>");
+      for (const t of w.largestTransfers) {
+        out.push(`<li>${t.direction} ${sol(t.amount)} SOL ${t.direction === "in" ? "from" : "to"} ${esc(short(t.counterparty))} · ${esc(when(t.ts, d.tz))} · ${link(`${EXPLORER}/tx/${t.signature}`, "tx")}</li>`);
+      }
+      out.push("</ul>");
+    }
+  }
+  return `<div style="font-family:sans-serif;font-size:13px">${out.join("\n")}</div>`;
+}
+
+// ─── Deliver ────────────────────────────────────────────────────────────────
+
+// Every configured target is tried; throws only when none of them succeeded
+export async function deliverDigest(config: DigestConfig, d: Digest): Promise<{ delivered: string[]; errors: string[] }> {
+  const text = renderMarkdown(d), html = renderHtml(d), subject = digestSubject(d);
+  const delivered: string[] = [];
+  const errors: string[] = [];
+  if (config.webhook) {
+    try {
+      const { state, ...digest } = d;
+      await postWebhook(config.webhook, { text, html, digest });
+      delivered.push("webhook");
+    } catch (err) { errors.push(`webhook: ${err?.message}`); }
+  }
+  if (config.smtpUrl && config.emailTo) {
+    try {
+      await createTransport(config.smtpUrl).sendMail({
+        from: config.emailFrom || config.emailTo, to: config.emailTo, subject, text, html,
+      });
+      delivered.push("email");
+    } catch (err) { errors.push(`email: ${err?.message}`); }
+  }
+  if (errors.length && !delivered.length) throw new ApiError(`Digest delivery failed (${errors.join("; ")})`, 502);
+  return { delivered, errors };
+}
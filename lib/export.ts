@@ -0,0 +1,79 @@
+// Export datasets shared by the dashboard's Export bar and the CLI.
+// Datasets are read from the raw analyze() result, so SOL and USD columns sit
+// side by side whatever the current unit / token view. A column is a field
+// name or [header, row => value]. Windows end at the result's reference time.
+
+import { compWin, type AnalysisResult } from "@/lib/analysis";
+import type { Holdings } from "@/lib/holdings";
+import { TZ_DEFAULT, tzName } from "@/lib/time";
+
+export type ExportColumn = string | [string, (row: any) => unknown];
+
+export interface ExportDataset {
+  label: string;
+  rows: (r: AnalysisResult, h?: Holdings | null) => any[];
+  cols: ExportColumn[];
+}
+
+export const EXPORT_WINDOWS: [string, number][] = [["1h", 3600000], ["6h", 6 * 3600000], ["24h", 86400000]];
+
+export const EXPORTS: Record<string, ExportDataset> = {
+  daily: {
+    label: "Daily",
+    rows: (r) => r.dailyData,
+    cols: ["date", "incoming", "outgoing", "incomingUsd", "outgoingUsd", "txCount"],
+  },
+  counterparties: {
+    label: "Counterparties",
+    rows: (r) => r.allCounterparties || r.counterparties.map(({ daily, ...c }) => c),
+    cols: ["address", "count", "activeDays", "incomingSol", "outgoingSol", "totalSol", "incomingUsd", "outgoingUsd", "totalUsd",
+      ["tokens", c => c.tokens.map(t => `${t.name}:${+t.volume.toFixed(6)}`).join(" ")]],
+  },
+  events: {
+    label: "Events",
+    rows: (r) => r.rawEvents.slice().sort((a, b) => b.ts - a.ts),
+    cols: [["time", e => new Date(e.ts).toISOString()], "counterparty",
+      ["asset", e => e.tokenOnly ? e.mint : "SOL"],
+      ["direction", e => e.direction || (e.incoming ? "in" : "out")],
+      ["amount", e => e.tokenOnly ? e.amount : e.incoming || e.outgoing],
+      ["usd", e => (e.incomingUsd || 0) + (e.outgoingUsd || 0)]],
+  },
+  windows: {
+    label: "Windows",
+    rows: (r) => EXPORT_WINDOWS.map(([window, ms]) => ({ window, ...compWin(r.rawEvents, ms, r.asOf) })),
+    cols: ["window", "incoming", "outgoing", "net", "txCount", "walletCount",
+      ["topWallets", w => w.topWallets.map(t => t.address).join(" ")]],
+  },
+  holdings: {
+    label: "Holdings",
+    rows: (r, h) => h ? [
+      { type: "SOL", mint: "SOL", symbol: "SOL", name: "Solana", balance: h.sol, usd: h.solUsd ?? null },
+      ...h.tokens.map(t => ({ type: "token", mint: t.mint, symbol: t.symbol, name: t.name, balance: t.displayBalance, usd: t.usd ?? t.dasUsd ?? null, spam: !!t.spam })),
+      ...(h.nfts || []).map(n => ({ type: n.compressed ? "cNFT" : "NFT", mint: n.id, symbol: "", name: n.name, balance: 1, usd: null, collection: n.collection })),
+    ] : [],
+    cols: ["type", "mint", "symbol", "name", "balance", "usd", "collection", "spam"],
+  },
+};
+
+// Text a spreadsheet would run as a formula (token names and symbols are
+// chosen by whoever minted them) is prefixed with '; numbers are written as-is
+export function toCsv(rows: any[], cols: ExportColumn[]): string {
+  const cell = (v) => {
+    if (v == null) return "";
+    let t = String(v);
+    if (typeof v !== "number" && /^[=+\-@\t\r]/.test(t)) t = "'" + t;
+    return /[",\r\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+  };
+  const get = cols.map(c => Array.isArray(c) ? c[1] : (r: any) => r[c]);
+  const head = cols.map(c => Array.isArray(c) ? c[0] : c);
+  return [head.join(","), ...rows.map(r => get.map(g => cell(g(r))).join(","))].join("\n") + "\n";
+}
+
+// Wallet address, lookback range and generation time for export files
+export function exportMeta(wallet: string, r: AnalysisResult) {
+  return {
+    wallet, lookbackDays: r.days, timeZone: tzName(r.tz ?? TZ_DEFAULT),
+    from: r.dailyData[0]?.date ?? null, to: r.dailyData[r.dailyData.length - 1]?.date ?? null,
+    generatedAt: new Date().toISOString(),
+  };
+}
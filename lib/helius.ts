@@ -0,0 +1,80 @@
+// Server-side Helius access. The API key comes from the HELIUS_API_KEY
+// environment variable; a user-supplied key is only used when the server
+// has none configured, so a deployed instance never exposes its own key.
+
+export const HELIUS_API = "https://api.helius.xyz/v0/addresses";
+export const HELIUS_RPC = "https://mainnet.helius-rpc.com";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 100;
+// Leaves headroom under the routes' 60 s maxDuration
+export const FETCH_BUDGET_MS = 45_000;
+
+export class HeliusError extends Error {
+  status: number;
+
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = "HeliusError";
+    this.status = status;
+  }
+}
+
+export function serverKeyConfigured(): boolean {
+  return Boolean(process.env.HELIUS_API_KEY?.trim());
+}
+
+// Server key wins; fall back to the key the client sent (if any)
+export function resolveHeliusKey(userKey?: string | null): string | null {
+  return process.env.HELIUS_API_KEY?.trim() || userKey?.trim() || null;
+}
+
+// Walks Helius enhanced transactions newest → oldest until the lookback
+// cutoff (or, with `until`, until that signature is reached). Page cap
+// scales with the window (~20 pages per 15 days) and the walk also stops
+// once `budgetMs` has passed; either way `truncated` is set and the oldest
+// returned transaction marks how far back the result really reaches.
+export async function fetchTransactions(
+  wallet: string,
+  apiKey: string,
+  { days, until, budgetMs = FETCH_BUDGET_MS }: { days: number; until?: string | null; budgetMs?: number },
+): Promise<{ txs: any[]; truncated: boolean }> {
+  const started = Date.now();
+  const cutoff = started - days * DAY_MS;
+  const maxPages = 20 * Math.ceil(days / 15);
+  const all: any[] = [];
+  let before: string | null = null, page = 0;
+  while (true) {
+    page++;
+    let url = `${HELIUS_API}/${encodeURIComponent(wallet)}/transactions?api-key=${encodeURIComponent(apiKey)}&limit=${PAGE_SIZE}`;
+    if (before) url += `&before=${encodeURIComponent(before)}`;
+    if (until) url += `&until=${encodeURIComponent(until)}`;
+    const res = await fetch(url, { cache: "no-store" });
+    if (!res.ok) {
+      if (res.status === 401 || res.status === 403) throw new HeliusError("Invalid Helius API key", 401);
+      throw new HeliusError(`Helius error ${res.status}`, res.status === 429 ? 429 : 502);
+    }
+    const txs = await res.json();
+    if (!txs?.length) break;
+    let done = false;
+    for (const tx of txs) {
+      if (tx.timestamp * 1000 < cutoff) { done = true; break; }
+      all.push(tx);
+    }
+    if (done || txs.length < PAGE_SIZE) break;
+    if (page >= maxPages || Date.now() - started >= budgetMs) return { txs: all, truncated: true };
+    before = txs[txs.length - 1].signature;
+    await new Promise(r => setTimeout(r, 200));
+  }
+  return { txs: all, truncated: false };
+}
+
+// JSON-RPC call against the Helius RPC endpoint (DAS methods live only here)
+export async function heliusRpc(body: string, apiKey: string): Promise<Response> {
+  return fetch(`${HELIUS_RPC}/?api-key=${encodeURIComponent(apiKey)}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body,
+    cache: "no-store",
+  });
+}
@@ -0,0 +1,135 @@
+// Wallet holdings from Helius DAS: SOL balance, fungible tokens (with a spam
+// heuristic) and NFTs. Transport is injected so the dashboard can go through
+// its API routes and scripts can call Helius directly.
+
+import { LAMPORTS, short } from "@/lib/analysis";
+
+// JSON-RPC callers; each resolves to the raw { result | error } body
+export interface HoldingsRpc {
+  rpc: (method: string, params: any) => Promise<any>;
+  das: (method: string, params: any) => Promise<any>;
+}
+
+export interface HoldingToken {
+  mint: string;
+  name: string;
+  symbol: string;
+  balance: number;
+  decimals: number;
+  displayBalance: number;
+  dasUsd: number | null;
+  spam: boolean;
+  // Set once priced (dashboard valueHoldings)
+  usd?: number | null;
+}
+
+export interface HoldingNft {
+  id: string;
+  name: string;
+  collection: string | null;
+  collectionName: string | null;
+  image: string | null;
+  compressed: boolean;
+  interface: string;
+}
+
+export interface Holdings {
+  sol: number;
+  solUsd?: number | null;
+  tokens: HoldingToken[];
+  nfts: HoldingNft[];
+  totalAssets: number;
+  truncated: boolean;
+}
+
+// DAS pages are 1000 assets; stop after this many pages and flag truncation
+export const DAS_PAGE_LIMIT = 1000;
+export const DAS_MAX_PAGES = 50;
+
+// Airdrop-spam names usually carry a link or a call to action
+export const SPAM_RE = /https?:|www\.|\.(com|io|xyz|net|org|app)\b|claim|airdrop|reward|visit|voucher/i;
+
+// getBalance goes through `rpc.rpc` (any Solana RPC); getAssetsByOwner through
+// `rpc.das` (Helius DAS only), paged until exhausted.
+export async function fetchHoldings(wallet: string, rpc: HoldingsRpc, onProgress?: (msg: string) => void): Promise<Holdings> {
+  const balPromise = rpc.rpc("getBalance", [wallet]);
+  const items: any[] = [];
+  let page = 1, truncated = false;
+  while (true) {
+    if (page > 1) onProgress?.(`Loading assets page ${page}…`);
+    const assetsJson = await rpc.das("getAssetsByOwner", {
+      ownerAddress: wallet,
+      displayOptions: { showFungible: true, showNativeBalance: false, showCollectionMetadata: true },
+      page,
+      limit: DAS_PAGE_LIMIT,
+    });
+    if (assetsJson.error) throw new Error(assetsJson.error.message || "DAS error");
+    const batch = assetsJson.result?.items || [];
+    items.push(...batch);
+    if (batch.length < DAS_PAGE_LIMIT) break;
+    if (page >= DAS_MAX_PAGES) { truncated = true; break; }
+    page++;
+  }
+  const balJson = await balPromise;
+
+  const sol = (balJson.result?.value ?? 0) / LAMPORTS;
+
+  const tokens = items
+    .filter(a =>
+      (a.interface === "FungibleToken" || a.interface === "FungibleAsset") &&
+      a.token_info?.balance > 0
+    )
+    .map(a => {
+      const name = a.content?.metadata?.name || "Unknown";
+      const symbol = a.content?.metadata?.symbol || short(a.id);
+      return {
+        mint: a.id,
+        name,
+        symbol,
+        balance: a.token_info.balance,
+        decimals: a.token_info.decimals ?? 0,
+        displayBalance: a.token_info.balance / Math.pow(10, a.token_info.decimals ?? 0),
+        dasUsd: a.token_info.price_info?.total_price ?? null,
+        spam: SPAM_RE.test(name) || SPAM_RE.test(symbol),
+      };
+    })
+    .sort((a, b) => b.displayBalance - a.displayBalance);
+
+  // Everything non-fungible: NFTs, pNFTs, Core assets, compressed NFTs
+  const nfts = items
+    .filter(a => a.interface !== "FungibleToken" && a.interface !== "FungibleAsset" && !a.burnt)
+    .map(a => {
+      const col = a.grouping?.find(g => g.group_key === "collection");
+      const file = a.content?.files?.find(f => f.mime?.startsWith("image/")) || a.content?.files?.[0];
+      return {
+        id: a.id,
+        name: a.content?.metadata?.name || short(a.id),
+        collection: col?.group_value || null,
+        collectionName: col?.collection_metadata?.name || null,
+        image: file?.cdn_uri || a.content?.links?.image || file?.uri || null,
+        compressed: !!a.compression?.compressed,
+        interface: a.interface,
+      };
+    });
+
+  return { sol, tokens, nfts, totalAssets: items.length, truncated };
+}
+
+// Combined holdings of several wallets: SOL and each mint summed
+export function sumHoldings(list: Holdings[]): Holdings {
+  const byMint: Record<string, HoldingToken> = {};
+  for (const h of list) for (const t of h.tokens) {
+    const e = byMint[t.mint];
+    if (!e) { byMint[t.mint] = { ...t }; continue; }
+    e.balance += t.balance;
+    e.displayBalance += t.displayBalance;
+    if (t.dasUsd != null) e.dasUsd = (e.dasUsd ?? 0) + t.dasUsd;
+  }
+  return {
+    sol: list.reduce((s, h) => s + h.sol, 0),
+    tokens: Object.values(byMint).sort((a, b) => b.displayBalance - a.displayBalance),
+    nfts: list.flatMap(h => h.nfts || []),
+    totalAssets: list.reduce((s, h) => s + (h.totalAssets || 0), 0),
+    truncated: list.some(h => h.truncated),
+  };
+}
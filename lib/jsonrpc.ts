@@ -0,0 +1,19 @@
+// Request checks for the JSON-RPC proxies (/api/rpc, /api/das). Both forward
+// with a server-side key, so only the methods the dashboard actually calls
+// get through; batches and anything else are rejected with 400.
+
+export const RPC_METHODS = ["getBalance"];
+export const DAS_METHODS = ["getAssetsByOwner"];
+
+// Returns an error Response for a disallowed body, or null when it may be forwarded
+export function rejectRpcBody(body: string, allowed: string[]): Response | null {
+  let req: any;
+  try { req = JSON.parse(body); } catch { return rpcError("Invalid JSON body"); }
+  if (!req || typeof req !== "object" || Array.isArray(req)) return rpcError("Expected a single JSON-RPC request");
+  if (!allowed.includes(req.method)) return rpcError(`Method not allowed: ${String(req.method)}`, req.id);
+  return null;
+}
+
+function rpcError(message: string, id: any = null): Response {
+  return Response.json({ jsonrpc: "2.0", id, error: { code: 400, message } }, { status: 400 });
+}
@@ -0,0 +1,101 @@
+// Outbound notification delivery (webhooks). Runs server-side so the
+// browser isn't blocked by CORS on arbitrary webhook endpoints.
+//
+// The server makes the request, so targets are checked before every post:
+// the hostname is resolved and private, loopback and link-local addresses
+// are refused (redirects are not followed, so they can't sneak back in).
+
+import { lookup } from "node:dns/promises";
+import { isIP } from "node:net";
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+
+export class WebhookError extends Error {
+  status: number;
+
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = "WebhookError";
+    this.status = status;
+  }
+}
+
+const isDev = () => process.env.NODE_ENV === "development";
+const isLocalhost = (host: string) => host === "localhost" || host === "127.0.0.1" || host === "[::1]";
+
+// Only https targets (plain http, and localhost at all, only during development)
+export function isAllowedWebhook(url: string): boolean {
+  try {
+    const u = new URL(url);
+    if (isLocalhost(u.hostname)) return isDev() && (u.protocol === "https:" || u.protocol === "http:");
+    return u.protocol === "https:";
+  } catch { return false; }
+}
+
+// Hosts the alert relay may post to, from ALERT_WEBHOOK_HOSTS (comma separated;
+// "*.example.com" also matches subdomains). Without it the relay only runs in
+// development, so a deployed instance isn't an open proxy.
+export function alertWebhookAllowed(url: string): boolean {
+  const hosts = (process.env.ALERT_WEBHOOK_HOSTS || "").split(/[\s,]+/).filter(Boolean).map(h => h.toLowerCase());
+  if (!hosts.length) return isDev();
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return hosts.some(h => h === host || (h.startsWith("*.") && host.endsWith(h.slice(1))));
+  } catch { return false; }
+}
+
+function ipv4Private(ip: string): boolean {
+  const [a, b, c] = ip.split(".").map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224
+    || (a === 100 && b >= 64 && b < 128)
+    || (a === 169 && b === 254)
+    || (a === 172 && b >= 16 && b < 32)
+    || (a === 192 && b === 168)
+    || (a === 192 && b === 0 && c === 0)
+    || (a === 198 && (b === 18 || b === 19));
+}
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+export function isPrivateAddress(ip: string): boolean {
+  if (isIP(ip) === 4) return ipv4Private(ip);
+  const v6 = ip.toLowerCase().replace(/^\[|\]$/g, "");
+  const mapped = v6.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return ipv4Private(mapped[1]);
+  // URL parsing normalizes mapped addresses to hex (::ffff:7f00:1)
+  const hex = v6.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) {
+    const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return ipv4Private(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  return v6 === "::" || v6 === "::1" || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6) || v6.startsWith("ff");
+}
+
+// Throws WebhookError (400) unless every address the host resolves to is public
+export async function checkWebhookTarget(url: string): Promise<void> {
+  if (!isAllowedWebhook(url)) throw new WebhookError("Webhook URL must be https (localhost only in development)", 400);
+  const { hostname } = new URL(url);
+  if (isDev() && isLocalhost(hostname)) return;
+  const host = hostname.replace(/^\[|\]$/g, "");
+  let addresses: string[];
+  try {
+    addresses = isIP(host) ? [host] : (await lookup(host, { all: true, verbatim: true })).map(a => a.address);
+  } catch {
+    throw new WebhookError(`Webhook host ${host} does not resolve`, 400);
+  }
+  if (!addresses.length || addresses.some(isPrivateAddress)) {
+    throw new WebhookError(`Webhook host ${host} resolves to a private address`, 400);
+  }
+}
+
+export async function postWebhook(url: string, payload: unknown): Promise<void> {
+  await checkWebhookTarget(url);
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+    cache: "no-store",
+    redirect: "manual",
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+}
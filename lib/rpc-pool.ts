@@ -0,0 +1,226 @@
+// Pool of JSON-RPC upstreams used by /api/rpc.
+//
+// Upstreams come from RPC_UPSTREAMS (inline JSON) or RPC_UPSTREAMS_FILE
+// (path to a JSON file), defaulting to official mainnet then Helius.
+// Either form is an array of upstreams or { upstreams, breaker }:
+//
+//   [{ "name": "own-1", "url": "https://rpc.internal:8899", "timeoutMs": 4000, "retries": 2 },
+//    { "name": "helius", "url": "https://mainnet.helius-rpc.com/?api-key={heliusKey}" }]
+//
+// "{heliusKey}" in a url is replaced with the resolved Helius key; upstreams
+// that need it are skipped when no key is available.
+//
+// Health state is kept in module memory, so it is per server instance.
+
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { HELIUS_RPC, resolveHeliusKey } from "@/lib/helius";
+
+const SOLANA_RPC = "https://api.mainnet-beta.solana.com";
+const KEY_PLACEHOLDER = "{heliusKey}";
+const SAMPLE_SIZE = 50;
+
+export interface UpstreamConfig {
+  name: string;
+  url: string;
+  timeoutMs?: number;
+  retries?: number;
+  backoffMs?: number;
+}
+
+interface BreakerConfig {
+  failureThreshold: number;
+  cooldownMs: number;
+}
+
+interface Sample {
+  ts: number;
+  ms: number;
+  ok: boolean;
+}
+
+interface UpstreamState {
+  samples: Sample[];
+  consecutiveFailures: number;
+  openUntil: number;
+  served: number;
+  lastServedAt: number | null;
+  lastError: string | null;
+}
+
+export interface RpcResult {
+  status: number;
+  json: any;
+  upstream: string | null;
+}
+
+const DEFAULT_UPSTREAMS: UpstreamConfig[] = [
+  { name: "solana-mainnet", url: SOLANA_RPC },
+  { name: "helius", url: `${HELIUS_RPC}/?api-key=${KEY_PLACEHOLDER}` },
+];
+const DEFAULT_BREAKER: BreakerConfig = { failureThreshold: 3, cooldownMs: 30_000 };
+const DEFAULT_TIMEOUT_MS = 8_000;
+const DEFAULT_RETRIES = 1;
+const DEFAULT_BACKOFF_MS = 250;
+
+let config: { upstreams: UpstreamConfig[]; breaker: BreakerConfig } | null = null;
+const states = new Map<string, UpstreamState>();
+
+class RetryableError extends Error {}
+
+function loadConfig() {
+  if (config) return config;
+  let raw: any = null;
+  try {
+    if (process.env.RPC_UPSTREAMS?.trim()) {
+      raw = JSON.parse(process.env.RPC_UPSTREAMS);
+    } else if (process.env.RPC_UPSTREAMS_FILE?.trim()) {
+      raw = JSON.parse(readFileSync(resolve(process.cwd(), process.env.RPC_UPSTREAMS_FILE), "utf8"));
+    }
+  } catch (err) {
+    console.error(`[rpc-pool] Invalid upstream config, using defaults: ${err?.message}`);
+    raw = null;
+  }
+  const list: any[] = Array.isArray(raw) ? raw : Array.isArray(raw?.upstreams) ? raw.upstreams : DEFAULT_UPSTREAMS;
+  const upstreams = list
+    .filter(u => u && typeof u.url === "string")
+    .map((u, i) => ({ ...u, name: String(u.name || `upstream-${i + 1}`) }));
+  config = {
+    upstreams: upstreams.length ? upstreams : DEFAULT_UPSTREAMS,
+    breaker: { ...DEFAULT_BREAKER, ...(Array.isArray(raw) ? {} : raw?.breaker) },
+  };
+  return config;
+}
+
+function stateOf(name: string): UpstreamState {
+  let s = states.get(name);
+  if (!s) {
+    s = { samples: [], consecutiveFailures: 0, openUntil: 0, served: 0, lastServedAt: null, lastError: null };
+    states.set(name, s);
+  }
+  return s;
+}
+
+function record(name: string, ms: number, ok: boolean, error?: string) {
+  const s = stateOf(name);
+  s.samples.push({ ts: Date.now(), ms, ok });
+  if (s.samples.length > SAMPLE_SIZE) s.samples.shift();
+  if (ok) {
+    s.consecutiveFailures = 0;
+    s.openUntil = 0;
+  } else {
+    s.lastError = error || "error";
+  }
+}
+
+// Transport-level failure: counts toward the circuit breaker
+function fail(name: string, ms: number, error: string) {
+  const { breaker } = loadConfig();
+  record(name, ms, false, error);
+  const s = stateOf(name);
+  s.consecutiveFailures++;
+  if (s.consecutiveFailures >= breaker.failureThreshold) {
+    s.openUntil = Date.now() + breaker.cooldownMs;
+  }
+}
+
+function resolveUrl(u: UpstreamConfig, heliusKey: string | null): string | null {
+  if (!u.url.includes(KEY_PLACEHOLDER)) return u.url;
+  return heliusKey ? u.url.split(KEY_PLACEHOLDER).join(encodeURIComponent(heliusKey)) : null;
+}
+
+const sleep = (ms: number) => new Promise(r => setTimeout(r, ms));
+
+async function attempt(url: string, body: string, timeoutMs: number) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body,
+    cache: "no-store",
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (res.status === 429 || res.status >= 500) throw new RetryableError(`HTTP ${res.status}`);
+  return { status: res.status, json: await res.json() };
+}
+
+// Sends the JSON-RPC body to the first healthy upstream that answers without
+// an error. 429/5xx/timeouts are retried with exponential backoff; upstreams
+// with an open breaker are skipped until their cooldown ends.
+export async function rpcRequest(body: string, userKey?: string | null): Promise<RpcResult> {
+  const { upstreams } = loadConfig();
+  const heliusKey = resolveHeliusKey(userKey);
+  const now = Date.now();
+  const usable = upstreams.filter(u => resolveUrl(u, heliusKey));
+  const healthy = usable.filter(u => stateOf(u.name).openUntil <= now);
+  // If every breaker is open, try them anyway rather than fail outright
+  const order = healthy.length ? healthy : usable;
+
+  let lastRpcError: RpcResult | null = null;
+  const failures: string[] = [];
+
+  for (const u of order) {
+    const url = resolveUrl(u, heliusKey);
+    const retries = u.retries ?? DEFAULT_RETRIES;
+    const backoff = u.backoffMs ?? DEFAULT_BACKOFF_MS;
+    for (let i = 0; i <= retries; i++) {
+      if (i > 0) await sleep(backoff * 2 ** (i - 1));
+      const started = Date.now();
+      try {
+        const { status, json } = await attempt(url, body, u.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+        const ms = Date.now() - started;
+        if (status >= 400 || json?.error) {
+          // Upstream answered but refused the call: try the next one
+          record(u.name, ms, false, json?.error?.message || `HTTP ${status}`);
+          lastRpcError = { status: status >= 400 ? status : 200, json, upstream: u.name };
+          failures.push(`${u.name}: ${json?.error?.message || `HTTP ${status}`}`);
+          break;
+        }
+        record(u.name, ms, true);
+        const s = stateOf(u.name);
+        s.served++;
+        s.lastServedAt = Date.now();
+        return { status: 200, json, upstream: u.name };
+      } catch (err) {
+        // fetch echoes a malformed url back in its message; keep credentials out of lastError
+        const msg = err?.name === "TimeoutError" ? `timeout after ${u.timeoutMs ?? DEFAULT_TIMEOUT_MS}ms`
+          : (err?.message || "fetch failed").split(url).join("<url>");
+        fail(u.name, Date.now() - started, msg);
+        if (i === retries) failures.push(`${u.name}: ${msg}`);
+      }
+    }
+  }
+
+  if (lastRpcError) return lastRpcError;
+  if (!usable.length) {
+    return { status: 400, json: { error: { code: 400, message: "api-key required for fallback" } }, upstream: null };
+  }
+  return { status: 502, json: { error: { code: 502, message: `All RPC upstreams failed (${failures.join("; ")})` } }, upstream: null };
+}
+
+// Recent latency / error rate per upstream, for /api/rpc/health. The route is
+// unauthenticated, so upstreams are reported by name only, never by url.
+export function poolHealth() {
+  const { upstreams, breaker } = loadConfig();
+  const now = Date.now();
+  return {
+    breaker,
+    upstreams: upstreams.map(u => {
+      const s = stateOf(u.name);
+      const lat = s.samples.map(x => x.ms).sort((a, b) => a - b);
+      const errors = s.samples.filter(x => !x.ok).length;
+      return {
+        name: u.name,
+        status: s.openUntil > now ? "open" : s.consecutiveFailures > 0 ? "degraded" : "healthy",
+        openUntil: s.openUntil > now ? new Date(s.openUntil).toISOString() : null,
+        samples: s.samples.length,
+        errorRate: s.samples.length ? +(errors / s.samples.length).toFixed(3) : 0,
+        avgLatencyMs: lat.length ? Math.round(lat.reduce((a, b) => a + b, 0) / lat.length) : null,
+        p95LatencyMs: lat.length ? lat[Math.min(lat.length - 1, Math.floor(lat.length * 0.95))] : null,
+        consecutiveFailures: s.consecutiveFailures,
+        served: s.served,
+        lastServedAt: s.lastServedAt ? new Date(s.lastServedAt).toISOString() : null,
+        lastError: s.lastError,
+      };
+    }),
+  };
+}
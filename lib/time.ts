@@ -0,0 +1,67 @@
+// Time zone helpers shared by the dashboard, the analysis library and the CLI.
+//
+// A zone is "local" (the runtime's zone), "UTC" or any IANA name. Daily
+// buckets are "YYYY-MM-DD" day keys in the selected zone, so the same zone
+// has to be used for bucketing, hour-of-day stats and displayed times.
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TZ_DEFAULT = "local";
+export const tzOpt = (tz: string): string | undefined => tz === "local" ? undefined : tz;
+const tzParts = new Map<string, Intl.DateTimeFormat>();
+
+export function isTz(tz: string): boolean {
+  if (tz === "local") return true;
+  try { new Intl.DateTimeFormat("en-US", { timeZone: tz }); return true; }
+  catch { return false; }
+}
+
+// Resolved IANA name ("local" → the browser's zone)
+export const tzName = (tz: string): string => tz === "local" ? Intl.DateTimeFormat().resolvedOptions().timeZone : tz;
+
+// Every zone the browser knows, with "local" and UTC first
+export function tzList(current: string): string[] {
+  const all: string[] = typeof (Intl as any).supportedValuesOf === "function" ? (Intl as any).supportedValuesOf("timeZone") : [];
+  return [...new Set(["local", "UTC", current, ...all])];
+}
+
+// Calendar fields of `ts` in the zone; formatters are cached per zone
+export function zoned(ts: number, tz = TZ_DEFAULT): Record<string, string> {
+  let f = tzParts.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", { timeZone: tzOpt(tz), year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+    tzParts.set(tz, f);
+  }
+  const p: Record<string, string> = {};
+  for (const { type, value } of f.formatToParts(ts)) p[type] = value;
+  return p;
+}
+
+export const dayKey = (ts: number, tz = TZ_DEFAULT): string => { const p = zoned(ts, tz); return `${p.year}-${p.month}-${p.day}`; };
+export const hourOf = (ts: number, tz = TZ_DEFAULT): number => +zoned(ts, tz).hour % 24;
+
+// Zone offset at `ts` in ms (wall clock minus UTC)
+export function tzOffset(ts: number, tz: string): number {
+  const p = zoned(ts, tz);
+  return Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour % 24, +p.minute) - Math.floor(ts / 60000) * 60000;
+}
+
+// "YYYY-MM-DDTHH:mm" wall-clock time in the zone (datetime-local format) and back
+export function toWall(ts: number, tz: string): string {
+  const p = zoned(ts, tz);
+  return `${p.year}-${p.month}-${p.day}T${String(+p.hour % 24).padStart(2, "0")}:${p.minute}`;
+}
+
+export function fromWall(s: string, tz: string): number | null {
+  const guess = Date.parse(`${s}Z`);
+  if (Number.isNaN(guess)) return null;
+  // Second pass picks up a DST change between the guess and the result
+  return guess - tzOffset(guess - tzOffset(guess, tz), tz);
+}
+
+// Day key `n` days after `key` (calendar arithmetic, zone-independent)
+export function shiftDay(key: string, n: number): string {
+  const d = new Date(`${key}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
@@ -0,0 +1,127 @@
+// Shared plumbing for the JSON wallet routes (/api/wallet/<address>/summary,
+// /windows, /holdings, /transactions): query validation, the { error: { code, message } }
+// shape, and Helius fetches behind a short-lived cache.
+//
+// The cache is module memory, so it is per server instance (like the RPC
+// pool's health state). Entries live WALLET_API_TTL_SECONDS (default 60);
+// concurrent requests for the same key share one in-flight fetch. Cache keys
+// include a hash of the Helius key, so a caller's own key never serves anyone
+// else. The Cache-Control header carries the remaining TTL so a CDN can
+// absorb repeats.
+
+import { createHash } from "node:crypto";
+import { DEFAULT_DAYS, MAX_DAYS, analyze, type AnalysisResult } from "@/lib/analysis";
+import { HeliusError, fetchTransactions, heliusRpc, resolveHeliusKey, serverKeyConfigured } from "@/lib/helius";
+import { fetchHoldings, type Holdings } from "@/lib/holdings";
+import { isTz } from "@/lib/time";
+
+const ADDRESS_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const DEFAULT_TTL_S = 60;
+const MAX_ENTRIES = 500;
+// Server instances usually run in UTC, so "local" would be ambiguous here
+export const API_TZ_DEFAULT = "UTC";
+
+export class ApiError extends Error {
+  status: number;
+
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+export interface WalletQuery {
+  address: string;
+  days: number;
+  tz: string;
+  apiKey: string;
+}
+
+interface Entry {
+  at: number;
+  value: Promise<any>;
+}
+
+const cache = new Map<string, Entry>();
+
+export const isAddress = (a: string): boolean => ADDRESS_RE.test(a || "");
+
+function ttlSeconds(): number {
+  const v = parseInt(process.env.WALLET_API_TTL_SECONDS || "", 10);
+  return Number.isFinite(v) && v >= 0 ? v : DEFAULT_TTL_S;
+}
+
+export function parseWalletQuery(req: Request, address: string): WalletQuery {
+  const url = new URL(req.url);
+  if (!isAddress(address)) throw new ApiError("Invalid Solana address", 400);
+
+  const daysRaw = url.searchParams.get("days");
+  const daysParam = daysRaw == null ? DEFAULT_DAYS : Number(daysRaw);
+  if (!Number.isInteger(daysParam) || daysParam < 1) throw new ApiError("days must be a positive integer", 400);
+
+  const tz = url.searchParams.get("tz") || API_TZ_DEFAULT;
+  if (!isTz(tz)) throw new ApiError(`Unknown time zone "${tz}"`, 400);
+
+  const apiKey = resolveHeliusKey(url.searchParams.get("api-key"));
+  if (!apiKey) throw new ApiError("api-key required (server has no HELIUS_API_KEY)", 400);
+
+  return { address, days: Math.min(daysParam, MAX_DAYS), tz, apiKey };
+}
+
+const keyTag = (apiKey: string) => createHash("sha256").update(apiKey).digest("hex").slice(0, 16);
+
+// Failed loads are dropped so the next request retries
+async function cached<T>(key: string, load: () => Promise<T>): Promise<{ value: T; fetchedAt: number }> {
+  const now = Date.now();
+  let entry = cache.get(key);
+  if (!entry || now - entry.at >= ttlSeconds() * 1000) {
+    const fresh: Entry = { at: now, value: load() };
+    fresh.value.catch(() => { if (cache.get(key) === fresh) cache.delete(key); });
+    cache.delete(key);
+    cache.set(key, fresh);
+    if (cache.size > MAX_ENTRIES) cache.delete(cache.keys().next().value);
+    entry = fresh;
+  }
+  return { value: await entry.value, fetchedAt: entry.at };
+}
+
+// getBalance and DAS both go straight to the Helius RPC endpoint
+export function heliusHoldings(address: string, apiKey: string): Promise<Holdings> {
+  const call = async (method: string, params: any) => {
+    const res = await heliusRpc(JSON.stringify({ jsonrpc: "2.0", id: method, method, params }), apiKey);
+    if (!res.ok) throw new HeliusError(`Helius RPC error ${res.status}`, res.status === 429 ? 429 : 502);
+    return res.json();
+  };
+  return fetchHoldings(address, { rpc: call, das: call });
+}
+
+// Analysis runs at fetch time, so a cached response is internally consistent
+export async function walletAnalysis(q: WalletQuery): Promise<{ result: AnalysisResult; truncated: boolean; fetchedAt: number }> {
+  const { value: { txs, truncated }, fetchedAt } = await cached(`txs:${keyTag(q.apiKey)}:${q.address}:${q.days}`,
+    () => fetchTransactions(q.address, q.apiKey, { days: q.days }));
+  return { result: analyze(q.address, txs, q.days, { now: fetchedAt, tz: q.tz }), truncated, fetchedAt };
+}
+
+export async function walletHoldings(q: WalletQuery): Promise<{ holdings: Holdings; fetchedAt: number }> {
+  const { value: holdings, fetchedAt } = await cached(`holdings:${keyTag(q.apiKey)}:${q.address}`, () => heliusHoldings(q.address, q.apiKey));
+  return { holdings, fetchedAt };
+}
+
+// HTTP caching: shared caches only when the server's own key is in use; a
+// response fetched with a caller-supplied key is marked private
+export function cachedJson(body: any, fetchedAt: number): Response {
+  const left = Math.max(0, ttlSeconds() - Math.floor((Date.now() - fetchedAt) / 1000));
+  const cacheControl = serverKeyConfigured()
+    ? `public, max-age=0, s-maxage=${left}, stale-while-revalidate=${ttlSeconds()}`
+    : `private, max-age=${left}`;
+  return Response.json(body, { headers: { "Cache-Control": cacheControl } });
+}
+
+export function errorJson(err: any): Response {
+  const status = err instanceof ApiError || err instanceof HeliusError ? err.status : 502;
+  return Response.json({ error: { code: status, message: err?.message || "Request failed" } }, {
+    status,
+    headers: { "Cache-Control": "no-store" },
+  });
+}
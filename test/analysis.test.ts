@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { LAMPORTS, analyze, createAnalyzer, type HeliusTx } from "@/lib/analysis";
+import { DAY_MS } from "@/lib/time";
+
+const W = "Wa11et1111111111111111111111111111111111111";
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+// One SOL transfer from `cp` to the watched wallet, `ageMs` before NOW
+const tx = (sig: string, ageMs: number, cp: string, sol = 1, type = "TRANSFER"): HeliusTx => ({
+  signature: sig,
+  timestamp: Math.floor((NOW - ageMs) / 1000),
+  type,
+  source: "SYSTEM_PROGRAM",
+  fee: 10_000,
+  feePayer: W,
+  nativeTransfers: [{ fromUserAccount: cp, toUserAccount: W, amount: sol * LAMPORTS }],
+});
+
+describe("analyze lookback window", () => {
+  const inside = [tx("a", 1 * DAY_MS, "cpIn", 2), tx("b", 3 * DAY_MS, "cpIn", 1)];
+  const outside = [
+    tx("old", 20 * DAY_MS, "cpOld", 50, "SWAP"),
+    tx("future", -DAY_MS, "cpFuture", 7, "NFT_SALE"),
+  ];
+  const r = analyze(W, [...outside, ...inside], 7, { now: NOW, tz: "UTC" });
+
+  it("tallies only transactions inside [now - days, now]", () => {
+    assert.equal(r.totalTx, 2);
+    assert.equal(r.totalIn, 3);
+    assert.deepEqual(r.rawEvents.map(e => e.signature).sort(), ["a", "b"]);
+  });
+
+  it("keeps out-of-window counterparties out of every breakdown", () => {
+    assert.deepEqual(r.allCounterparties.map(c => c.address), ["cpIn"]);
+    assert.equal(r.uniqueWallets, 1);
+    assert.equal(r.recurrence.reduce((s, x) => s + x.wallets, 0), 1);
+    assert.deepEqual(r.txTypes.map(t => [t.name, t.count]), [["TRANSFER", 2]]);
+    assert.deepEqual(r.txSources.map(t => t.count), [2]);
+  });
+
+  it("counts fees for in-window transactions only", () => {
+    assert.equal(r.fees.txCount, 2);
+    assert.equal(r.fees.paidCount, 2);
+    assert.equal(r.fees.total, 20_000 / LAMPORTS);
+    assert.equal(r.dailyData.reduce((s, d) => s + d.fees, 0), 20_000 / LAMPORTS);
+  });
+});
+
+describe("createAnalyzer", () => {
+  it("adds newer transactions to the same totals analyze() gives", () => {
+    const older = [tx("b", 2 * DAY_MS, "cp1"), tx("c", 3 * DAY_MS, "cp2")];
+    const newer = [tx("a", 60_000, "cp1", 3)];
+    const a = createAnalyzer(W, 7, { now: NOW - 120_000, tz: "UTC" });
+    a.add(older);
+    const events = a.add(newer, NOW);
+    const full = analyze(W, [...newer, ...older], 7, { now: NOW, tz: "UTC" });
+    const r = a.result();
+
+    assert.deepEqual(events.map(e => e.signature), ["a"]);
+    assert.equal(r.asOf, NOW);
+    assert.equal(r.totalIn, full.totalIn);
+    assert.deepEqual(r.rawEvents.map(e => e.signature), full.rawEvents.map(e => e.signature));
+    assert.deepEqual(r.dailyData, full.dailyData);
+    assert.deepEqual(r.allCounterparties, full.allCounterparties);
+  });
+
+  it("leaves earlier results untouched", () => {
+    const a = createAnalyzer(W, 7, { now: NOW, tz: "UTC" });
+    a.add([tx("b", DAY_MS, "cp1")]);
+    const before = a.result();
+    a.add([tx("a", 1000, "cp1")]);
+    assert.equal(before.totalTx, 1);
+    assert.equal(before.rawEvents.length, 1);
+    assert.equal(before.txTypes[0].count, 1);
+  });
+});
+
+describe("fee stats", () => {
+  const fee = (sig: string, ageMs: number, lamports: number, payer = W, moved = true): HeliusTx => ({
+    ...tx(sig, ageMs, "cp", moved ? 1 : 0), fee: lamports, feePayer: payer,
+  });
+  const r = analyze(W, [
+    fee("a", DAY_MS, 5_000),
+    fee("b", 2 * DAY_MS, 25_000),
+    fee("c", 3 * DAY_MS, 105_000, W, false),
+    fee("d", 4 * DAY_MS, 5_000, "someoneElse"),
+    // Past the lookback: its large fee must not show up anywhere
+    fee("old", 30 * DAY_MS, 9_000_000),
+  ], 7, { now: NOW, tz: "UTC" });
+
+  it("computes totals, priority and percentiles from in-window payments", () => {
+    assert.equal(r.fees.paidCount, 3);
+    assert.equal(r.fees.total, 135_000 / LAMPORTS);
+    assert.equal(r.fees.priority, 120_000 / LAMPORTS);
+    assert.equal(r.fees.p50, 25_000 / LAMPORTS);
+    assert.equal(r.fees.max, 105_000 / LAMPORTS);
+  });
+
+  it("splits payers into own, others and sponsored", () => {
+    assert.equal(r.fees.txCount, 4);
+    assert.equal(r.fees.othersPaid, 1);
+    assert.equal(r.fees.sponsored, 1);
+  });
+});
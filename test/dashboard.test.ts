@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { evalRules, genDemo, genDemoHoldings } from "@/docs/reference/solana-wallet-dashboard";
+
+// The dashboard .jsx isn't type-checked, so a missing import only shows up at runtime
+describe("dashboard demo data", () => {
+  it("generates a full result for the Demo button", () => {
+    const r = genDemo(7, "UTC");
+    assert.equal(r.dailyData.length, 7);
+    assert.ok(r.counterparties.length > 0);
+    assert.ok(r.fees.paidCount > 0);
+    assert.ok(r.fees.p50 <= r.fees.p90);
+  });
+
+  it("generates holdings", () => {
+    assert.ok(genDemoHoldings().tokens.length > 0);
+  });
+});
+
+describe("alert rules", () => {
+  const ev = (signature: string, counterparty: string, ageMs: number) =>
+    ({ signature, counterparty, ts: Date.now() - ageMs, incoming: 1, outgoing: 0 });
+  const rule = (type: string, threshold: number) => ({ id: type, type, enabled: true, threshold, windowMin: 5 });
+
+  it("counts transactions, not transfers, for bursts", () => {
+    // Three transfers in two transactions, plus one outside the window
+    const data = { days: 7, rawEvents: [ev("a", "cp1", 1000), ev("a", "cp2", 1000), ev("b", "cp1", 2000), ev("c", "cp1", 3600_000)] };
+    assert.equal(evalRules([rule("txBurst", 2)], data, null).length, 0);
+    assert.equal(evalRules([rule("txBurst", 1)], data, null)[0].value, 2);
+  });
+
+  it("flags counterparties not seen earlier in the lookback", () => {
+    const data = { days: 7, rawEvents: [ev("a", "cpNew", 1000), ev("b", "cpOld", 1000), ev("c", "cpOld", 3600_000)] };
+    assert.deepEqual(evalRules([rule("newCounterparty", 0)], data, null).map(a => a.value), ["cpNew"]);
+  });
+});
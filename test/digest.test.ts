@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { LAMPORTS } from "@/lib/analysis";
+import { buildDigest, checkDigestStateStore, renderMarkdown, type DigestConfig, type DigestState } from "@/lib/digest";
+import { DAY_MS } from "@/lib/time";
+
+const A = "9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM";
+const HOUR = 3600_000;
+const now = Date.now();
+
+const transfer = (sig: string, ageMs: number, from: string, to: string, sol: number) => ({
+  signature: sig, timestamp: Math.floor((now - ageMs) / 1000), type: "TRANSFER", source: "SYSTEM_PROGRAM", fee: 5000, feePayer: from,
+  nativeTransfers: [{ fromUserAccount: from, toUserAccount: to, amount: sol * LAMPORTS }],
+});
+const TXS = [
+  transfer("new-1", HOUR, "cpNew", A, 4),
+  transfer("old-2", 2 * HOUR, A, "cpOld", 1),
+  transfer("old-1", 5 * DAY_MS, "cpOld", A, 2),
+];
+const ASSETS = [
+  { id: "BonkMint", interface: "FungibleToken", content: { metadata: { name: "Bonk", symbol: "BONK" } }, token_info: { balance: 1000, decimals: 0 } },
+  { id: "SpamMint", interface: "FungibleToken", content: { metadata: { name: "claim at x.com", symbol: "X" } }, token_info: { balance: 1, decimals: 0 } },
+];
+
+const config: DigestConfig = { wallets: [{ address: A, label: "Treasury" }], days: 30, tz: "UTC", webhook: null, smtpUrl: null, emailTo: null, emailFrom: null };
+const prev: DigestState = {
+  at: now - DAY_MS,
+  wallets: { [A]: { sol: 1, tokens: { BonkMint: { symbol: "BONK", amount: 1600 }, GoneMint: { symbol: "GONE", amount: 5 } }, nfts: 2 } },
+};
+
+const realFetch = globalThis.fetch;
+before(() => {
+  process.env.HELIUS_API_KEY = "test-key";
+  globalThis.fetch = (async (url: string, init?: RequestInit) => {
+    if (String(url).includes("/transactions")) return Response.json(TXS);
+    const { method, id } = JSON.parse(String(init?.body));
+    if (method === "getBalance") return Response.json({ jsonrpc: "2.0", id, result: { value: 2.5 * LAMPORTS } });
+    return Response.json({ jsonrpc: "2.0", id, result: { items: ASSETS } });
+  }) as typeof fetch;
+});
+after(() => { globalThis.fetch = realFetch; });
+
+describe("buildDigest", () => {
+  it("reports holdings deltas against the previous state", async () => {
+    const d = await buildDigest(config, prev);
+    const w = d.wallets[0];
+    assert.equal(w.error, null);
+    assert.equal(d.previousAt, prev.at);
+    assert.equal(w.holdings.sol, 2.5);
+    assert.equal(w.holdings.solBefore, 1);
+    assert.equal(w.holdings.nftsBefore, 2);
+    assert.deepEqual(w.holdings.changes.map(c => [c.symbol, c.before, c.after]), [["BONK", 1600, 1000], ["GONE", 5, 0]]);
+    assert.deepEqual(Object.keys(d.state.wallets[A].tokens), ["BonkMint"]);
+    assert.match(renderMarkdown(d), /BONK.*−600/);
+  });
+
+  it("lists only counterparties first seen in the last 24h", async () => {
+    const w = (await buildDigest(config, prev)).wallets[0];
+    assert.deepEqual(w.newCounterparties.map(c => c.address), ["cpNew"]);
+    assert.deepEqual(w.window, { incoming: 4, outgoing: 1, net: 3, txCount: 2, walletCount: 2 });
+    assert.deepEqual(w.largestTransfers.map(t => [t.signature, t.direction]), [["new-1", "in"], ["old-2", "out"]]);
+  });
+
+  it("has no deltas on the first run", async () => {
+    const w = (await buildDigest(config, null)).wallets[0];
+    assert.equal(w.holdings.solBefore, null);
+    assert.deepEqual(w.holdings.changes, []);
+  });
+});
+
+describe("checkDigestStateStore", () => {
+  const env = process.env as Record<string, string | undefined>;
+  const run = (vars: Record<string, string | undefined>) => {
+    const saved = Object.fromEntries(Object.keys(vars).map(k => [k, env[k]]));
+    Object.assign(env, vars);
+    for (const k of Object.keys(vars)) if (vars[k] === undefined) delete env[k];
+    try { checkDigestStateStore(); return true; } catch { return false; } finally {
+      for (const [k, v] of Object.entries(saved)) if (v === undefined) delete env[k]; else env[k] = v;
+    }
+  };
+
+  it("refuses to run in production without KV or an explicit state file", () => {
+    assert.equal(run({ NODE_ENV: "production", KV_REST_API_URL: undefined, DIGEST_STATE_FILE: undefined }), false);
+    assert.equal(run({ NODE_ENV: "production", KV_REST_API_URL: "https://kv", KV_REST_API_TOKEN: "t" }), true);
+    assert.equal(run({ NODE_ENV: "production", DIGEST_STATE_FILE: "/var/lib/digest.json" }), true);
+    assert.equal(run({ NODE_ENV: "development", KV_REST_API_URL: undefined }), true);
+  });
+});
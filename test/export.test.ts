@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { EXPORTS, toCsv } from "@/lib/export";
+
+describe("toCsv", () => {
+  it("neutralizes cells a spreadsheet would evaluate", () => {
+    const rows = [
+      { name: "=HYPERLINK(\"http://x\")" }, { name: "+1" }, { name: "-2+3" }, { name: "@SUM(A1)" },
+      { name: "\tTab" }, { name: "\rCR" }, { name: "plain" },
+    ];
+    assert.equal(toCsv(rows, ["name"]), [
+      "name",
+      "\"'=HYPERLINK(\"\"http://x\"\")\"", "'+1", "'-2+3", "'@SUM(A1)", "'\tTab", "\"'\rCR\"", "plain",
+    ].join("\n") + "\n");
+  });
+
+  it("keeps numeric columns numeric", () => {
+    assert.equal(toCsv([{ net: -1.5, count: 0 }, { net: 2, count: null }], ["net", "count"]), "net,count\n-1.5,0\n2,\n");
+  });
+
+  it("escapes token names in the holdings export", () => {
+    const h = { sol: 1, solUsd: null, nfts: [], totalAssets: 1, truncated: false,
+      tokens: [{ mint: "M", symbol: "=cmd", name: "a,b", balance: 1, decimals: 0, displayBalance: 1, dasUsd: null, spam: false }] };
+    const { rows, cols } = EXPORTS.holdings;
+    const csv = toCsv(rows(null, h), cols);
+    assert.match(csv, /\ntoken,M,'=cmd,"a,b",1,,,false\n/);
+  });
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { GET as summary } from "@/app/api/wallet/[address]/summary/route";
+import { GET as transactions } from "@/app/api/wallet/[address]/transactions/route";
+import { GET as windows } from "@/app/api/wallet/[address]/windows/route";
+import { ApiError, parseWalletQuery, walletAnalysis } from "@/lib/wallet-api";
+
+const A = "9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM";
+const req = (query: string) => new Request(`http://test/api/wallet/x/summary${query}`);
+const ctx = (address: string) => ({ params: Promise.resolve({ address }) });
+
+const realFetch = globalThis.fetch;
+const calls: string[] = [];
+before(() => {
+  delete process.env.HELIUS_API_KEY;
+  globalThis.fetch = (async (url: string) => {
+    calls.push(String(url));
+    return Response.json([]);
+  }) as typeof fetch;
+});
+after(() => { globalThis.fetch = realFetch; });
+
+describe("parseWalletQuery", () => {
+  const status = (query: string, address = A) => {
+    try { parseWalletQuery(req(query), address); return 200; } catch (err) { return err instanceof ApiError ? err.status : -1; }
+  };
+
+  it("rejects bad addresses, days, zones and a missing key with 400", () => {
+    assert.equal(status("?api-key=k", "not-an-address"), 400);
+    assert.equal(status("?api-key=k&days=0"), 400);
+    assert.equal(status("?api-key=k&days=abc"), 400);
+    assert.equal(status("?api-key=k&days=1.5"), 400);
+    assert.equal(status("?api-key=k&tz=Mars/Base"), 400);
+    assert.equal(status(""), 400);
+  });
+
+  it("defaults to UTC and clamps days", () => {
+    const q = parseWalletQuery(req("?api-key=k&days=9999"), A);
+    assert.equal(q.tz, "UTC");
+    assert.equal(q.days, 365);
+  });
+});
+
+describe("wallet routes", () => {
+  it("answer invalid input with a 400 error body", async () => {
+    for (const [route, query, address] of [
+      [summary, "?api-key=k", "bad"],
+      [transactions, "?api-key=k&days=-3", A],
+      [windows, "?api-key=k&range=2d", A],
+    ] as const) {
+      const res = await route(req(query), ctx(address));
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).error.code, 400);
+      assert.equal(res.headers.get("Cache-Control"), "no-store");
+    }
+  });
+
+  it("returns a truncated flag from the transactions route", async () => {
+    const res = await transactions(req("?api-key=k&days=1"), ctx(A));
+    assert.deepEqual(await res.json(), { transactions: [], truncated: false });
+  });
+});
+
+describe("walletAnalysis cache", () => {
+  it("never serves one caller's key to another", async () => {
+    calls.length = 0;
+    const q = (apiKey: string) => ({ address: A, days: 2, tz: "UTC", apiKey });
+    await walletAnalysis(q("key-one"));
+    await walletAnalysis(q("key-one"));
+    assert.equal(calls.length, 1);
+    await walletAnalysis(q("key-two"));
+    assert.equal(calls.length, 2);
+    assert.match(calls[1], /api-key=key-two/);
+  });
+});